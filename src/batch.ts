@@ -0,0 +1,125 @@
+export type BatchQueueOptions = {
+    /** Number of items that triggers an immediate flush */
+    maxSize: number;
+    /** Time in milliseconds to wait for more items after the first one is queued */
+    window: number;
+};
+
+/**
+ * Handles one flushed batch. Returns one result per item, in the same order;
+ * an Error in the result list rejects only that item.
+ */
+export type BatchHandler<T, R> = (items: T[]) => Promise<Array<R | Error>>;
+
+type PendingItem<T, R> = {
+    item: T;
+    resolve: (result: R) => void;
+    reject: (error: Error) => void;
+};
+
+/**
+ * Collects items over a short window (or until `maxSize` is reached) and hands them to the
+ * handler in one call. Only one batch is in flight at a time; items queued meanwhile wait
+ * for the next batch.
+ */
+export class BatchQueue<T, R> {
+    private pending: Array<PendingItem<T, R>> = [];
+    private timer: ReturnType<typeof setTimeout> | null = null;
+    private inFlight = false;
+    private closed = false;
+
+    constructor(
+        private options: BatchQueueOptions,
+        private handler: BatchHandler<T, R>,
+        private onIdle: () => void,
+    ) { }
+
+    /**
+     * Queues an item and resolves with its own result once its batch has been handled.
+     * Aborting `signal` withdraws the item while it is still queued; a batch in flight is
+     * sent as a whole. An item whose signal is already aborted is not queued at all.
+     */
+    add(item: T, signal?: AbortSignal): Promise<R> {
+        if (signal?.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = { item, resolve, reject };
+            this.pending.push(entry);
+
+            signal?.addEventListener('abort', () => {
+                const index = this.pending.indexOf(entry);
+                if (index >= 0) {
+                    this.pending.splice(index, 1);
+                    reject(signal.reason);
+                }
+            }, { once: true });
+
+            this.schedule();
+        });
+    }
+
+    /**
+     * Returns true while the next batch still has room for more items
+     */
+    isIdle(): boolean {
+        return this.pending.length < this.options.maxSize;
+    }
+
+    /**
+     * Sends whatever is queued without waiting for the window to elapse
+     */
+    close(): void {
+        this.closed = true;
+        this.flush();
+    }
+
+    private schedule(): void {
+        if (this.inFlight) {
+            // The running batch reschedules when it completes
+            return;
+        }
+
+        if (this.closed || this.pending.length >= this.options.maxSize) {
+            this.flush();
+        } else if (this.pending.length > 0 && !this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.options.window);
+        }
+    }
+
+    private flush(): void {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        if (this.inFlight || this.pending.length === 0) {
+            return;
+        }
+
+        const batch = this.pending.splice(0, this.options.maxSize);
+        this.inFlight = true;
+
+        this.handler(batch.map(({ item }) => item))
+            .then(
+                (results) => batch.forEach((entry, index) => {
+                    const result = results[index];
+                    if (result instanceof Error) {
+                        entry.reject(result);
+                    } else {
+                        entry.resolve(result);
+                    }
+                }),
+                (error) => batch.forEach((entry) => entry.reject(error)),
+            )
+            .finally(() => {
+                this.inFlight = false;
+                this.schedule();
+
+                if (this.isIdle()) {
+                    this.onIdle();
+                }
+            });
+    }
+}
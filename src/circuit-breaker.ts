@@ -0,0 +1,99 @@
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+export type CircuitBreakerOptions = {
+    /** Consecutive failures that open the circuit */
+    failureThreshold: number;
+    /** Time in milliseconds the circuit stays open before a trial request is let through */
+    cooldown: number;
+};
+
+/**
+ * Tracks consecutive API failures. Once `failureThreshold` is reached the circuit opens and
+ * requests are refused for `cooldown` milliseconds; after that it is half-open and lets a single
+ * trial request through, which closes the circuit when it succeeds and opens it again when it fails.
+ * The state moves to half-open when it is next checked, so no timer is left running.
+ */
+export class CircuitBreaker {
+    private current: CircuitState = 'closed';
+    private failures = 0;
+    private openedAt = 0;
+    private trialInFlight = false;
+
+    constructor(
+        private options: CircuitBreakerOptions,
+        private onStateChange: (state: CircuitState, previous: CircuitState, failures: number) => void,
+    ) { }
+
+    get state(): CircuitState {
+        if (this.current === 'open' && this.retryAfter === 0) {
+            this.transition('half-open');
+        }
+        return this.current;
+    }
+
+    /**
+     * Milliseconds until the open circuit lets a trial request through (0 when it is not open)
+     */
+    get retryAfter(): number {
+        return this.current === 'open' ? Math.max(0, this.openedAt + this.options.cooldown - Date.now()) : 0;
+    }
+
+    /**
+     * Returns true while requests are refused: the circuit is open, or half-open with its trial
+     * request still in flight
+     */
+    isRejecting(): boolean {
+        const state = this.state;
+        return state === 'open' || (state === 'half-open' && this.trialInFlight);
+    }
+
+    /**
+     * Claims the right to send a request. Returns false while requests are refused;
+     * in the half-open state the first caller gets the trial.
+     */
+    acquire(): boolean {
+        if (this.isRejecting()) {
+            return false;
+        }
+        if (this.current === 'half-open') {
+            this.trialInFlight = true;
+        }
+        return true;
+    }
+
+    /**
+     * The request got an answer that shows the API is up (any response but a server error)
+     */
+    recordSuccess(): void {
+        this.failures = 0;
+        this.trialInFlight = false;
+        if (this.current !== 'closed') {
+            this.transition('closed');
+        }
+    }
+
+    /**
+     * The request failed with a server or network error
+     */
+    recordFailure(): void {
+        this.failures++;
+        this.trialInFlight = false;
+        if (this.current === 'half-open' || (this.current === 'closed' && this.failures >= this.options.failureThreshold)) {
+            this.openedAt = Date.now();
+            this.transition('open');
+        }
+    }
+
+    /**
+     * The request was cancelled before it told anything about the API; frees the trial
+     */
+    recordCancel(): void {
+        this.trialInFlight = false;
+    }
+
+    private transition(state: CircuitState): void {
+        const previous = this.current;
+        this.current = state;
+        this.onStateChange(state, previous, this.failures);
+    }
+}
@@ -0,0 +1,130 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { UseSend } from "usesend-js";
+import type { TransportLogger } from "./utils/logger";
+
+/**
+ * Error payload returned by the Usesend API, extended with the HTTP response details
+ * that `usesend-js` does not expose on its own.
+ */
+export type UsesendApiErrorPayload = {
+    code?: string;
+    message?: string;
+    name?: string;
+    issues?: Array<{ path: Array<string | number>; message: string; [key: string]: unknown }>;
+    /** HTTP status code of the failed response */
+    status?: number;
+    /** Delay requested by the `Retry-After` header, in milliseconds */
+    retryAfter?: number;
+    [key: string]: unknown;
+};
+
+/**
+ * Per-call request options: the signal of the send a request belongs to and extra headers
+ */
+export type UsesendRequestOptions = {
+    signal?: AbortSignal;
+    headers?: Record<string, string>;
+};
+
+/**
+ * The usesend-js methods take no request options, so they are passed along with the call instead
+ */
+const requestOptions = new AsyncLocalStorage<UsesendRequestOptions>();
+
+/**
+ * Usesend client that keeps the HTTP status and `Retry-After` header of failed
+ * responses on the returned error, so the transport can decide whether to retry.
+ */
+export class UsesendClient extends UseSend {
+    /** Logs each request and response in full, when the transport's `debug` option is set */
+    logger: TransportLogger | null = null;
+
+    /**
+     * Runs `call` with the API requests it makes sending the extra `headers` and aborted by `signal`
+     */
+    withRequestOptions<T>(options: UsesendRequestOptions, call: () => Promise<T>): Promise<T> {
+        return requestOptions.run(options, call);
+    }
+
+    async fetchRequest<T>(path: string, options: RequestInit = {}): Promise<{
+        data: T | null;
+        error: (UsesendApiErrorPayload & { code: string; message: string }) | null;
+    }> {
+        const { signal, headers } = requestOptions.getStore() || {};
+        const init: RequestInit = { ...options, signal };
+        if (headers) {
+            // The client's headers are shared by every request, so they are copied before adding to them
+            init.headers = new Headers(options.headers);
+            Object.keys(headers).forEach((name) => (init.headers as Headers).set(name, headers[name]));
+        }
+
+        const started = Date.now();
+        const method = init.method || 'GET';
+        if (this.logger?.debugTraffic) {
+            const logged: Record<string, string> = {};
+            new Headers(init.headers).forEach((value, name) => (logged[name] = value));
+            this.logger.debug({ tnx: 'client', method, path, headers: logged }, '%s %s', method, path);
+        }
+
+        const response = await fetch(`${this.url}${path}`, init);
+
+        if (!response.ok) {
+            let body: any = null;
+            try {
+                body = await response.json();
+            } catch {
+                // Non-JSON error body, fall back to the status text below
+            }
+
+            let payload: UsesendApiErrorPayload;
+            if (body && typeof body.error === 'object' && body.error !== null) {
+                payload = body.error;
+            } else if (body && typeof body.error === 'string') {
+                payload = { message: body.error };
+            } else {
+                payload = { code: 'INTERNAL_SERVER_ERROR', message: response.statusText };
+            }
+
+            const error = {
+                ...payload,
+                status: response.status,
+                retryAfter: parseRetryAfter(response.headers.get('retry-after')),
+            } as UsesendApiErrorPayload & { code: string; message: string };
+
+            this.logResponse(method, path, response.status, started, body);
+            return { data: null, error };
+        }
+
+        const data = await response.json();
+        this.logResponse(method, path, response.status, started, data);
+        return { data, error: null };
+    }
+
+    private logResponse(method: string, path: string, status: number, started: number, body: unknown): void {
+        if (this.logger?.debugTraffic) {
+            const duration = Date.now() - started;
+            this.logger.debug({ tnx: 'server', method, path, status, duration, body }, '%s %s responded with %d in %d ms', method, path, status, duration);
+        }
+    }
+}
+
+/**
+ * Parses a `Retry-After` header (delta-seconds or HTTP-date) into milliseconds
+ */
+function parseRetryAfter(value: string | null): number | undefined {
+    if (!value) {
+        return undefined;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+        return Math.max(0, date - Date.now());
+    }
+
+    return undefined;
+}
@@ -0,0 +1,264 @@
+import type { UsesendApiErrorPayload } from './client';
+
+/**
+ * Stable machine-readable codes carried by every Usesend error
+ */
+export type UsesendErrorCode =
+    | 'VALIDATION_ERROR'
+    | 'AUTH_ERROR'
+    | 'RATE_LIMIT_ERROR'
+    | 'SERVER_ERROR'
+    | 'NETWORK_ERROR'
+    | 'ATTACHMENT_ERROR'
+    | 'TIMEOUT_ERROR'
+    | 'ABORT_ERROR'
+    | 'CIRCUIT_OPEN_ERROR'
+    | 'HOOK_ERROR'
+    | 'API_ERROR';
+
+export type UsesendErrorOptions = {
+    /** HTTP status of the API response, when the error came from one */
+    status?: number;
+    /** Raw error payload returned by the API */
+    payload?: unknown;
+    /** Underlying error that caused this one */
+    cause?: unknown;
+};
+
+export type UsesendValidationIssue = {
+    path: Array<string | number>;
+    message: string;
+    [key: string]: unknown;
+};
+
+/**
+ * Base class for all errors produced by the transport.
+ * Use `instanceof` on the subclasses (or compare `code`) to tell failure kinds apart.
+ */
+export class UsesendError extends Error {
+    public readonly code: UsesendErrorCode;
+    public readonly status?: number;
+    public readonly payload?: unknown;
+    public readonly cause?: unknown;
+
+    constructor(message: string, code: UsesendErrorCode = 'API_ERROR', options: UsesendErrorOptions = {}) {
+        super(message);
+        this.name = 'UsesendError';
+        this.code = code;
+        this.status = options.status;
+        this.payload = options.payload;
+        this.cause = options.cause;
+    }
+}
+
+/**
+ * The message was rejected as invalid, either locally before sending or by the API (400/422).
+ * `issues` lists the individual problems, as reported by the API's Zod validation.
+ */
+export class UsesendValidationError extends UsesendError {
+    public readonly issues: UsesendValidationIssue[];
+
+    constructor(message: string, issues: UsesendValidationIssue[] = [], options: UsesendErrorOptions = {}) {
+        super(message, 'VALIDATION_ERROR', options);
+        this.name = 'UsesendValidationError';
+        this.issues = issues;
+    }
+}
+
+/**
+ * The API key was missing, invalid, or lacks permission for the request (401/403)
+ */
+export class UsesendAuthError extends UsesendError {
+    constructor(message: string, options: UsesendErrorOptions = {}) {
+        super(message, 'AUTH_ERROR', options);
+        this.name = 'UsesendAuthError';
+    }
+}
+
+/**
+ * Too many requests were sent (429), or the transport's send queue is full (no `status`).
+ * `retryAfter` holds the delay the API asked for, in milliseconds.
+ */
+export class UsesendRateLimitError extends UsesendError {
+    public readonly retryAfter?: number;
+
+    constructor(message: string, options: UsesendErrorOptions & { retryAfter?: number } = {}) {
+        super(message, 'RATE_LIMIT_ERROR', options);
+        this.name = 'UsesendRateLimitError';
+        this.retryAfter = options.retryAfter;
+    }
+}
+
+/**
+ * The Usesend API failed to process the request (5xx)
+ */
+export class UsesendServerError extends UsesendError {
+    constructor(message: string, options: UsesendErrorOptions = {}) {
+        super(message, 'SERVER_ERROR', options);
+        this.name = 'UsesendServerError';
+    }
+}
+
+/**
+ * The request did not get a response (DNS failure, connection reset, request timeout)
+ */
+export class UsesendNetworkError extends UsesendError {
+    constructor(message: string, options: UsesendErrorOptions = {}) {
+        super(message, 'NETWORK_ERROR', options);
+        this.name = 'UsesendNetworkError';
+    }
+}
+
+/**
+ * An attachment could not be read, fetched or encoded, or exceeds the allowed limits
+ */
+export class UsesendAttachmentError extends UsesendError {
+    constructor(message: string, options: UsesendErrorOptions = {}) {
+        super(message, 'ATTACHMENT_ERROR', options);
+        this.name = 'UsesendAttachmentError';
+    }
+}
+
+/**
+ * The part of the attachment policy an attachment broke
+ */
+export type UsesendAttachmentRule = 'count' | 'size' | 'totalSize' | 'extension' | 'type' | 'url' | 'path';
+
+/**
+ * An attachment was refused by the attachment policy. `filename` names the offending attachment
+ * (it is absent for the count rule and for body paths) and `rule` the check it failed.
+ */
+export class UsesendAttachmentPolicyError extends UsesendAttachmentError {
+    public readonly rule: UsesendAttachmentRule;
+    public readonly filename?: string;
+
+    constructor(message: string, rule: UsesendAttachmentRule, filename?: string, options: UsesendErrorOptions = {}) {
+        super(message, options);
+        this.name = 'UsesendAttachmentPolicyError';
+        this.rule = rule;
+        this.filename = filename;
+    }
+}
+
+/**
+ * Sending did not complete within the transport's or the message's `timeout`. `timeout` holds
+ * the limit in milliseconds (absent when an `AbortSignal.timeout()` signal ran out instead).
+ */
+export class UsesendTimeoutError extends UsesendError {
+    public readonly timeout?: number;
+
+    constructor(message: string, timeout?: number, options: UsesendErrorOptions = {}) {
+        super(message, 'TIMEOUT_ERROR', options);
+        this.name = 'UsesendTimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * Sending was cancelled through the message's `signal`. `cause` holds the signal's reason.
+ */
+export class UsesendAbortError extends UsesendError {
+    constructor(message: string, options: UsesendErrorOptions = {}) {
+        super(message, 'ABORT_ERROR', options);
+        this.name = 'UsesendAbortError';
+    }
+}
+
+/**
+ * The circuit breaker is open after repeated server or network failures, so the request was not
+ * sent. `retryAfter` holds the time in milliseconds until a trial request is let through.
+ */
+export class UsesendCircuitOpenError extends UsesendError {
+    public readonly retryAfter: number;
+
+    constructor(message: string, retryAfter: number, options: UsesendErrorOptions = {}) {
+        super(message, 'CIRCUIT_OPEN_ERROR', options);
+        this.name = 'UsesendCircuitOpenError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * An `onBeforeSend` hook vetoed the message (returned `false`) or threw. `hook` names the hook
+ * and `cause` holds what it threw; a vetoed message has no cause.
+ */
+export class UsesendHookError extends UsesendError {
+    public readonly hook: string;
+
+    constructor(message: string, hook: string, options: UsesendErrorOptions = {}) {
+        super(message, 'HOOK_ERROR', options);
+        this.name = 'UsesendHookError';
+        this.hook = hook;
+    }
+}
+
+/**
+ * Maps a Usesend API error payload to the matching error class
+ */
+export function createApiError(error: UsesendApiErrorPayload): UsesendError {
+    const options = { status: error.status, payload: error };
+
+    // Check if it's a Zod validation error
+    if (error.name === 'ZodError' && error.issues) {
+        const issues = error.issues.map((issue) =>
+            `  - ${issue.path.join('.')}: ${issue.message}`
+        ).join('\n');
+        return new UsesendValidationError(`Usesend API Validation Error:\n${issues}`, error.issues, options);
+    }
+
+    // Check if error is nested (error.error structure)
+    const actualError = (error.error || error) as UsesendApiErrorPayload;
+    const errorCode = actualError.code || (error.status ? String(error.status) : 'UNKNOWN_ERROR');
+    const errorMessage = actualError.message || 'An unknown error occurred';
+    const status = error.status ?? statusFromCode(errorCode);
+    const message = `Usesend API Error (${errorCode}): ${errorMessage}`;
+
+    // Provide context-aware error messages
+    if (status === 400 || status === 422) {
+        return new UsesendValidationError(
+            `${message}\n\nPossible causes:\n- Invalid email format\n- Missing required fields\n- Invalid API key\n- Malformed request data`,
+            [],
+            options,
+        );
+    }
+    if (status === 401) {
+        return new UsesendAuthError(`${message}\n\nAuthentication failed. Please check your API key.`, options);
+    }
+    if (status === 403) {
+        return new UsesendAuthError(`${message}\n\nAccess forbidden. Your API key may not have permission to perform this action.`, options);
+    }
+    if (status === 408) {
+        return new UsesendNetworkError(`${message}\n\nThe request timed out. Please try again.`, options);
+    }
+    if (status === 429) {
+        return new UsesendRateLimitError(
+            `${message}\n\nRate limit exceeded. Please wait before sending more emails.`,
+            { ...options, retryAfter: error.retryAfter },
+        );
+    }
+    if (status !== undefined && status >= 500) {
+        return new UsesendServerError(`${message}\n\nServer error. Please try again later or contact Usesend support.`, options);
+    }
+
+    return new UsesendError(message, 'API_ERROR', options);
+}
+
+/**
+ * Usesend error codes mapped to HTTP statuses, for payloads without a known status
+ */
+const STATUS_BY_CODE: Record<string, number> = {
+    BAD_REQUEST: 400,
+    UNAUTHORIZED: 401,
+    FORBIDDEN: 403,
+    NOT_FOUND: 404,
+    TOO_MANY_REQUESTS: 429,
+    RATE_LIMITED: 429,
+    INTERNAL_SERVER_ERROR: 500,
+};
+
+function statusFromCode(code: string): number | undefined {
+    if (/^\d{3}/.test(code)) {
+        return Number(code.slice(0, 3));
+    }
+    return STATUS_BY_CODE[code];
+}
@@ -1,9 +1,33 @@
 import { UsesendTransport } from './transport';
-import { UsesendTransporterOptions } from './types/transport';
+import { UsesendTransporterOptions, UsesendRetryOptions, UsesendBatchOptions, UsesendAddressValidation, UsesendHtmlToTextOptions, UsesendInlineImageOptions, UsesendAttachmentOptions, UsesendRemoteAttachmentOptions, UsesendFileAttachmentOptions, UsesendAttachmentCacheOptions, UsesendIdempotencyOptions, UsesendIdempotencyRecord, UsesendIdempotencyStore, UsesendRateLimitOptions, UsesendCircuitBreakerOptions, UsesendEmailPayload, UsesendSendContext, UsesendBeforeSendHook, UsesendAfterSendHook, UsesendLogger } from './types/transport';
+import { UsesendMailOptions } from './types/mail';
 
 // Export main transport and types
 export { UsesendTransport };
-export type { UsesendTransporterOptions };
+export type { UsesendTransporterOptions, UsesendRetryOptions, UsesendBatchOptions, UsesendAddressValidation, UsesendHtmlToTextOptions, UsesendInlineImageOptions, UsesendAttachmentOptions, UsesendRemoteAttachmentOptions, UsesendFileAttachmentOptions, UsesendAttachmentCacheOptions, UsesendIdempotencyOptions, UsesendIdempotencyRecord, UsesendIdempotencyStore, UsesendRateLimitOptions, UsesendCircuitBreakerOptions, UsesendEmailPayload, UsesendSendContext, UsesendBeforeSendHook, UsesendAfterSendHook, UsesendLogger, UsesendMailOptions };
+
+// Export error classes (use instanceof to tell failure kinds apart)
+export {
+    UsesendError,
+    UsesendValidationError,
+    UsesendAuthError,
+    UsesendRateLimitError,
+    UsesendServerError,
+    UsesendNetworkError,
+    UsesendAttachmentError,
+    UsesendAttachmentPolicyError,
+    UsesendTimeoutError,
+    UsesendAbortError,
+    UsesendCircuitOpenError,
+    UsesendHookError,
+    type UsesendErrorCode,
+    type UsesendValidationIssue,
+    type UsesendAttachmentRule,
+} from './errors';
 
 // Export attachment utilities (useful for testing and advanced usage)
-export { processAttachment, type UsesendAttachment } from './utils/attachments';
+export { processAttachment, type UsesendAttachment, type ProcessAttachmentOptions, type ResolvedAttachment, type AttachmentSourceType } from './utils/attachments';
+export { AttachmentCache } from './utils/attachment-cache';
+export { MemoryIdempotencyStore } from './utils/idempotency';
+export { htmlToText } from './utils/html-to-text';
+export { textToHtml } from './utils/text-to-html';
\ No newline at end of file
@@ -0,0 +1,131 @@
+import { UsesendRateLimitError } from './errors';
+
+export type RateLimiterOptions = {
+    /** Requests allowed in flight at once */
+    maxConcurrency: number;
+    /** Token bucket: `requests` tokens, refilled evenly over `perMs` milliseconds */
+    rateLimit: { requests: number; perMs: number } | null;
+    /** Requests allowed to wait for their turn; more are rejected */
+    maxQueueSize: number;
+};
+
+type Waiter = {
+    resolve: (release: () => void) => void;
+    reject: (error: unknown) => void;
+};
+
+/**
+ * Limits API requests by concurrency and by rate. The rate is a token bucket holding up to
+ * `requests` tokens: bursts of that size go out at once, then requests are spaced so that
+ * no more than `requests` start per `perMs`. Requests wait in a FIFO queue for a free slot and a token.
+ */
+export class RateLimiter {
+    private active = 0;
+    private tokens: number;
+    private refilled = Date.now();
+    private waiting: Waiter[] = [];
+    private timer: ReturnType<typeof setTimeout> | null = null;
+    private idle = true;
+
+    constructor(
+        private options: RateLimiterOptions,
+        private onIdle: () => void,
+    ) {
+        this.tokens = options.rateLimit ? options.rateLimit.requests : Infinity;
+    }
+
+    /**
+     * Waits for a free slot and a token and resolves with the function that frees the slot again.
+     * Rejects with a UsesendRateLimitError when the queue is full, or with the signal's reason
+     * when `signal` is aborted while waiting.
+     */
+    acquire(signal?: AbortSignal): Promise<() => void> {
+        if (signal?.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
+        if (this.waiting.length >= this.options.maxQueueSize && !this.canStart()) {
+            return Promise.reject(new UsesendRateLimitError(
+                `Send queue is full: ${this.waiting.length} requests are already waiting for the rate limit. Please wait before sending more emails.`,
+            ));
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter: Waiter = { resolve, reject };
+            this.waiting.push(waiter);
+
+            signal?.addEventListener('abort', () => {
+                const index = this.waiting.indexOf(waiter);
+                if (index >= 0) {
+                    this.waiting.splice(index, 1);
+                    reject(signal.reason);
+                    this.update();
+                }
+            }, { once: true });
+
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Returns true while a request can start without waiting
+     */
+    isIdle(): boolean {
+        return this.waiting.length === 0 && this.active < this.options.maxConcurrency;
+    }
+
+    private canStart(): boolean {
+        this.refill();
+        return this.active < this.options.maxConcurrency && this.tokens >= 1;
+    }
+
+    private dispatch(): void {
+        while (this.waiting.length > 0 && this.canStart()) {
+            const waiter = this.waiting.shift() as Waiter;
+            this.active++;
+            this.tokens--;
+
+            let released = false;
+            waiter.resolve(() => {
+                if (released) return;
+                released = true;
+                this.active--;
+                this.dispatch();
+            });
+        }
+
+        // Waiting for a token rather than for a slot: wake up once the next one is refilled
+        if (this.waiting.length > 0 && this.active < this.options.maxConcurrency && !this.timer && this.options.rateLimit) {
+            const { requests, perMs } = this.options.rateLimit;
+            const delay = Math.ceil((1 - this.tokens) * perMs / requests);
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.dispatch();
+            }, delay);
+        }
+
+        this.update();
+    }
+
+    private refill(): void {
+        if (!this.options.rateLimit) {
+            return;
+        }
+
+        const { requests, perMs } = this.options.rateLimit;
+        const now = Date.now();
+        this.tokens = Math.min(requests, this.tokens + (now - this.refilled) * requests / perMs);
+        this.refilled = now;
+    }
+
+    /**
+     * Emits idle when a request can start again after having had to wait
+     */
+    private update(): void {
+        const idle = this.isIdle();
+        if (idle && !this.idle) {
+            this.onIdle();
+        }
+        this.idle = idle;
+    }
+}
@@ -1,27 +1,177 @@
+import { EventEmitter } from "node:events";
 import { SentMessageInfo, Transport } from "nodemailer";
 import { version as VERSION } from '../package.json';
-import { UsesendTransporterOptions } from "./types/transport";
+import {
+    UsesendAddressValidation,
+    UsesendAfterSendHook,
+    UsesendBatchOptions,
+    UsesendBeforeSendHook,
+    UsesendCircuitBreakerOptions,
+    UsesendTransporterOptions,
+} from "./types/transport";
+import Mail from "nodemailer/lib/mailer";
 import MailMessage from "nodemailer/lib/mailer/mail-message";
-import { UseSend } from "usesend-js";
-import { Address } from "nodemailer/lib/mailer";
-import { processAttachment } from "./utils/attachments";
-
-type NodeMailerAddress = string | Address | Array<string | Address> | undefined;
-
-export class UsesendTransport implements Transport<SentMessageInfo> {
+import { processAttachment, ResolvedAttachment } from "./utils/attachments";
+import { UsesendClient, UsesendApiErrorPayload, UsesendRequestOptions } from "./client";
+import { getRetryDelay, isRetryableError, resolveRetryPolicy, RetryPolicy, sleep } from "./utils/retry";
+import {
+    createApiError,
+    UsesendAttachmentError,
+    UsesendCircuitOpenError,
+    UsesendError,
+    UsesendNetworkError,
+    UsesendRateLimitError,
+    UsesendServerError,
+    UsesendValidationError,
+} from "./errors";
+import { BatchQueue } from "./batch";
+import { RateLimiter, RateLimiterOptions } from "./rate-limiter";
+import { CircuitBreaker } from "./circuit-breaker";
+import { buildHeaders, findHeader } from "./utils/headers";
+import { parseScheduledAt, SCHEDULED_AT_HEADER } from "./utils/schedule";
+import { resolveTemplate, UsesendTemplate } from "./utils/template";
+import { htmlToText } from "./utils/html-to-text";
+import { textToHtml } from "./utils/text-to-html";
+import { resolveBody } from "./utils/body";
+import { createSendSignal } from "./utils/abort";
+import { redactPayload, resolveHooks, runAfterSendHooks, runBeforeSendHooks } from "./utils/hooks";
+import { TransportLogger } from "./utils/logger";
+import { getBatchIdempotencyKey, getIdempotencyKey, IdempotencyPolicy, resolveIdempotencyPolicy } from "./utils/idempotency";
+import { inlineCidImages } from "./utils/inline-images";
+import { AttachmentPolicy, checkAttachmentCount, createAttachmentChecks, getBodyAccess, resolveAttachmentPolicy } from "./utils/attachment-policy";
+import {
+    applyEnvelope,
+    dedupeRecipients,
+    encodeAddressDomain,
+    formatAddress,
+    NodemailerAddress,
+    parseAddresses,
+    ParsedAddress,
+    Recipients,
+    validateAddress,
+} from "./utils/addresses";
+
+/** Maximum number of emails the Usesend batch endpoint accepts per request */
+const MAX_BATCH_SIZE = 100;
+
+/** Size of embedded images above which a warning is emitted (Gmail clips messages from about 102 KB) */
+const INLINE_IMAGE_WARN_SIZE = 102400;
+
+/** A message waiting in the batch queue */
+type QueuedEmail = {
+    payload: any;
+    idempotencyKey?: string;
+};
+
+export class UsesendTransport extends EventEmitter implements Transport<SentMessageInfo> {
     public name = 'UsesendMailTransporter';
     public version = VERSION;
 
-    private usesend: UseSend;
+    private usesend: UsesendClient;
+    private retryPolicy: RetryPolicy;
+    private batchQueue: BatchQueue<QueuedEmail, SentMessageInfo> | null = null;
+    private rateLimiter: RateLimiter | null = null;
+    private circuitBreaker: CircuitBreaker | null = null;
+    private fallback: UsesendCircuitBreakerOptions['fallback'] | null = null;
+    private beforeSendHooks: UsesendBeforeSendHook[];
+    private afterSendHooks: UsesendAfterSendHook[];
+    private addressValidation: UsesendAddressValidation;
+    private htmlToText: ((html: string) => string) | null;
+    private textToHtml: ((text: string) => string) | null;
+    private inlineImages: { warnSize: number } | null;
+    private attachmentPolicy: AttachmentPolicy;
+    private timeout: number | undefined;
+    private idempotency: IdempotencyPolicy | null;
+    private logger: TransportLogger;
 
     constructor(options: UsesendTransporterOptions) {
-        const { apiKey, apiUrl } = options;
+        super();
+
+        const { apiKey, apiUrl, retry, batch, addressValidation = 'strict', htmlToText: textConverter = true, textToHtml: htmlRenderer = true, inlineImages = true, attachments = {}, timeout, idempotency, maxConcurrency, rateLimit, rateDelta, maxQueueSize, circuitBreaker, onBeforeSend, onAfterSend, logger, debug, redactRecipients } = options;
 
         if (!apiKey || apiKey.trim() === '') {
             throw new Error('Usesend API key is required. Please provide a valid API key in the transport options.');
         }
 
-        this.usesend = new UseSend(apiKey, apiUrl);
+        this.logger = new TransportLogger({ logger, debug, redactRecipients, apiKey });
+        this.usesend = new UsesendClient(apiKey, apiUrl);
+        this.usesend.logger = this.logger;
+        this.retryPolicy = resolveRetryPolicy(retry);
+
+        if (!['strict', 'lenient', 'off'].includes(addressValidation)) {
+            throw new Error('Invalid option "addressValidation": expected "strict", "lenient" or "off".');
+        }
+        this.addressValidation = addressValidation;
+
+        if (typeof textConverter === 'function') {
+            this.htmlToText = textConverter;
+        } else if (textConverter) {
+            const converterOptions = textConverter === true ? {} : textConverter;
+            this.htmlToText = (html) => htmlToText(html, converterOptions);
+        } else {
+            this.htmlToText = null;
+        }
+
+        if (typeof htmlRenderer === 'function') {
+            this.textToHtml = htmlRenderer;
+        } else {
+            this.textToHtml = htmlRenderer ? textToHtml : null;
+        }
+
+        if (inlineImages) {
+            const { warnSize = INLINE_IMAGE_WARN_SIZE } = inlineImages === true ? {} : inlineImages;
+            if (!(warnSize >= 0)) {
+                throw new Error('Invalid inlineImages option "warnSize": expected a non-negative number of bytes.');
+            }
+            this.inlineImages = { warnSize };
+        } else {
+            this.inlineImages = null;
+        }
+
+        this.attachmentPolicy = resolveAttachmentPolicy(attachments);
+
+        if (timeout !== undefined && !(timeout > 0)) {
+            throw new Error('Invalid option "timeout": expected a positive number of milliseconds.');
+        }
+        this.timeout = timeout;
+        this.idempotency = resolveIdempotencyPolicy(idempotency);
+        this.beforeSendHooks = resolveHooks(onBeforeSend, 'onBeforeSend');
+        this.afterSendHooks = resolveHooks(onAfterSend, 'onAfterSend');
+
+        const limits = this.resolveRateLimiterOptions({ maxConcurrency, rateLimit, rateDelta, maxQueueSize });
+        if (limits) {
+            this.rateLimiter = new RateLimiter(limits, () => this.emit('idle'));
+        }
+
+        if (circuitBreaker) {
+            const { failureThreshold = 5, cooldown = 30000, fallback } = circuitBreaker === true ? {} : circuitBreaker;
+            if (!Number.isInteger(failureThreshold) || failureThreshold < 1) {
+                throw new Error('Invalid circuitBreaker option "failureThreshold": expected an integer of at least 1.');
+            }
+            if (!(cooldown > 0)) {
+                throw new Error('Invalid circuitBreaker option "cooldown": expected a positive number of milliseconds.');
+            }
+            if (fallback && typeof (fallback as any).sendMail !== 'function' && typeof (fallback as any).send !== 'function') {
+                throw new Error('Invalid circuitBreaker option "fallback": expected a Nodemailer transporter or transport.');
+            }
+
+            this.circuitBreaker = new CircuitBreaker(
+                { failureThreshold, cooldown },
+                (state, previous, failures) => {
+                    this.logCircuitState(state, failures);
+                    this.emit('circuit', { state, previous, failures });
+                },
+            );
+            this.fallback = fallback || null;
+        }
+
+        if (batch) {
+            this.batchQueue = new BatchQueue(
+                this.resolveBatchOptions(batch),
+                (payloads) => this.sendBatch(payloads),
+                () => this.emit('idle'),
+            );
+        }
     }
 
     public static makeTransport(options: UsesendTransporterOptions) {
@@ -29,185 +179,626 @@ export class UsesendTransport implements Transport<SentMessageInfo> {
     }
 
     async send(mail: MailMessage, callback: (err: Error | null, info: SentMessageInfo) => void): Promise<SentMessageInfo> {
+        const started = Date.now();
+        const messageId = mail.data.messageId || mail.message?.messageId();
+        let sendSignal: ReturnType<typeof createSendSignal> = null;
+
+        // Report the outcome once: an abort is reported right away and whatever completes afterwards is ignored
+        const report = callback;
+        let reported = false;
+        callback = (err, info) => {
+            if (reported) return;
+            reported = true;
+            sendSignal?.dispose();
+            if (err) {
+                this.logger.error({ tnx: 'send', messageId, err }, 'Sending message %s failed: %s', messageId, err.message);
+                this.emitError(err);
+            }
+            return report(err, info);
+        };
+
+        // Cancel on the message's signal or once the time limit is reached
+        const { signal: abortSignal, timeout = this.timeout } = mail.data;
+        if (timeout !== undefined && !(timeout > 0)) {
+            return callback(new UsesendValidationError('Invalid "timeout": expected a positive number of milliseconds.', [{ path: ['timeout'], message: 'Expected a positive number' }]), null);
+        }
+
+        sendSignal = createSendSignal(abortSignal, timeout);
+        const signal = sendSignal?.signal;
+        if (signal) {
+            if (signal.aborted) {
+                return callback(signal.reason, null);
+            }
+            signal.addEventListener('abort', () => callback(signal.reason, null), { once: true });
+        }
+
+        // Fail fast, or hand the message to the fallback, while the circuit is open
+        if (this.circuitBreaker?.isRejecting()) {
+            return this.fallback ? this.sendWithFallback(mail, callback) : callback(this.circuitOpenError(), null);
+        }
+
         // Validate required fields
         if (!mail.data.from) {
-            return callback(new Error('Missing required field "from". Please specify a sender email address.'), null);
+            return callback(new UsesendValidationError('Missing required field "from". Please specify a sender email address.', [{ path: ['from'], message: 'Required' }]), null);
         }
 
-        if (!mail.data.to && !mail.data.cc && !mail.data.bcc) {
-            return callback(new Error('At least one recipient must be specified (to, cc, or bcc). Please specify at least one recipient email address.'), null);
+        if (!mail.data.to && !mail.data.cc && !mail.data.bcc && !mail.data.envelope) {
+            return callback(new UsesendValidationError('At least one recipient must be specified (to, cc, or bcc). Please specify at least one recipient email address.', [{ path: ['to'], message: 'Required' }]), null);
         }
 
-        if (!mail.data.subject) {
-            return callback(new Error('Missing required field "subject". Please specify an email subject.'), null);
+        // Resolve template sending, which makes subject and content optional
+        let template: UsesendTemplate | null;
+        try {
+            template = resolveTemplate(mail.data);
+        } catch (templateError) {
+            return callback(templateError as Error, null);
         }
 
-        // Validate email addresses
-        try {
-            const fromEmail = typeof mail.data.from === 'string' ? mail.data.from : (mail.data.from as Address).address;
-            this.validateEmail(fromEmail, 'from');
+        if (!mail.data.subject && !template) {
+            return callback(new UsesendValidationError('Missing required field "subject". Please specify an email subject.', [{ path: ['subject'], message: 'Required' }]), null);
+        }
+
+        // Read the addresses Nodemailer has already parsed and apply any explicit envelope
+        const warnings: string[] = [];
+        const addresses = this.readAddresses(mail, warnings);
 
-            if (mail.data.to) {
-                const toAddresses = this.toUsesendAddresses(mail.data.to);
-                toAddresses.forEach(email => this.validateEmail(email, 'to'));
+        try {
+            if (addresses.from.length === 0) {
+                throw new UsesendValidationError('Missing required field "from". Please specify a sender email address.', [{ path: ['from'], message: 'Required' }]);
             }
 
-            if (mail.data.replyTo) {
-                const replyToAddresses = this.toUsesendAddresses(mail.data.replyTo);
-                replyToAddresses.forEach(email => this.validateEmail(email, 'replyTo'));
+            if (addresses.from.length > 1) {
+                throw new UsesendValidationError(
+                    `Only one sender address is allowed in "from", got ${addresses.from.length}. Please specify a single sender email address.`,
+                    [{ path: ['from'], message: 'Expected a single address' }],
+                );
             }
 
-            if (mail.data.cc) {
-                const ccAddresses = this.toUsesendAddresses(mail.data.cc);
-                ccAddresses.forEach(email => this.validateEmail(email, 'cc'));
+            for (const [fieldName, entries] of Object.entries(addresses)) {
+                entries.forEach(entry => this.validateEmail(entry, fieldName));
             }
 
-            if (mail.data.bcc) {
-                const bccAddresses = this.toUsesendAddresses(mail.data.bcc);
-                bccAddresses.forEach(email => this.validateEmail(email, 'bcc'));
+            if (addresses.to.length + addresses.cc.length + addresses.bcc.length === 0) {
+                throw new UsesendValidationError('At least one recipient must be specified (to, cc, or bcc). Please specify at least one recipient email address.', [{ path: ['to'], message: 'Required' }]);
             }
         } catch (validationError) {
             return callback(validationError as Error, null);
         }
+        this.logger.debug(
+            { tnx: 'validate', messageId },
+            'Validated message %s from %s to %d recipients',
+            messageId, addresses.from[0].address, addresses.to.length + addresses.cc.length + addresses.bcc.length,
+        );
+
+        // The key stays the same across retries; a key the store has seen was sent already
+        let idempotencyKey: string | undefined;
+        if (this.idempotency) {
+            try {
+                idempotencyKey = getIdempotencyKey(mail);
+                const recorded = await this.idempotency.store?.get(idempotencyKey);
+                if (recorded) {
+                    this.logger.info({ tnx: 'send', messageId, emailId: recorded.emailId }, 'Message %s was already sent as %s; not sending it again', messageId, recorded.emailId);
+                    return callback(null, { ...recorded, idempotencyKey, duplicate: true });
+                }
+            } catch (idempotencyError) {
+                return callback(idempotencyError as Error, null);
+            }
+        }
 
         // Prepare email payload - only include non-empty fields
         const emailPayload: any = {
-            from: mail.data.from as string,
-            subject: mail.data.subject ?? '',
+            from: formatAddress(addresses.from[0]),
         };
 
-        // Only add optional fields if they have values
-        const to = this.toUsesendAddresses(mail.data.to);
-        if (to.length > 0) emailPayload.to = to;
-
-        const replyTo = this.toUsesendAddresses(mail.data.replyTo);
-        if (replyTo.length > 0) emailPayload.replyTo = replyTo;
+        // Templates may define their own subject
+        if (mail.data.subject || !template) emailPayload.subject = mail.data.subject ?? '';
 
-        const cc = this.toUsesendAddresses(mail.data.cc);
-        if (cc.length > 0) emailPayload.cc = cc;
+        // Only add optional fields if they have values
+        if (addresses.to.length > 0) emailPayload.to = addresses.to.map(formatAddress);
+        if (addresses.replyTo.length > 0) emailPayload.replyTo = addresses.replyTo.map(formatAddress);
+        if (addresses.cc.length > 0) emailPayload.cc = addresses.cc.map(formatAddress);
+        if (addresses.bcc.length > 0) emailPayload.bcc = addresses.bcc.map(formatAddress);
+
+        // Schedule delivery if requested through the option or the equivalent header
+        const scheduledAtHeader = findHeader(mail.data.headers, SCHEDULED_AT_HEADER);
+        const scheduledAt = mail.data.scheduledAt ?? scheduledAtHeader;
+        if (scheduledAt !== undefined) {
+            try {
+                emailPayload.scheduledAt = parseScheduledAt(
+                    scheduledAt,
+                    mail.data.scheduledAt !== undefined ? 'scheduledAt' : SCHEDULED_AT_HEADER,
+                );
+            } catch (scheduleError) {
+                return callback(scheduleError as Error, null);
+            }
+        }
 
-        const bcc = this.toUsesendAddresses(mail.data.bcc);
-        if (bcc.length > 0) emailPayload.bcc = bcc;
+        // Forward custom headers, threading headers, priority and List-* headers
+        try {
+            const built = buildHeaders(mail.data);
+            if (Object.keys(built.headers).length > 0) emailPayload.headers = built.headers;
+            warnings.push(...built.warnings);
+        } catch (headerError) {
+            return callback(headerError as Error, null);
+        }
 
-        // Add text/html content - both are required by useSend API
-        const textContent = mail.data.text?.toString();
-        const htmlContent = mail.data.html?.toString();
+        // Add text/html content - at least one is required unless a template is used
+        let textContent: string | undefined;
+        let htmlContent: string | undefined;
+        try {
+            ({ text: textContent, html: htmlContent } = await resolveBody(mail.data, { ...getBodyAccess(this.attachmentPolicy), signal }));
+        } catch (bodyError) {
+            return callback(bodyError as Error, null);
+        }
 
-        // If only HTML is provided, strip HTML tags for text version
-        if (htmlContent && !textContent) {
-            emailPayload.text = htmlContent.replace(/<[^>]*>/g, '').trim();
+        if (template) {
+            // The template renders the content; pass through anything given explicitly
+            emailPayload.templateId = template.templateId;
+            if (template.variables) emailPayload.variables = template.variables;
+            if (textContent) emailPayload.text = textContent;
+            if (htmlContent) emailPayload.html = htmlContent;
+        } else if (htmlContent && !textContent) {
+            // If only HTML is provided, generate the text version unless disabled
+            if (this.htmlToText) emailPayload.text = this.htmlToText(htmlContent);
             emailPayload.html = htmlContent;
         } else if (textContent && !htmlContent) {
-            // If only text is provided, use it for both
+            // If only text is provided, render the HTML version from it unless disabled
             emailPayload.text = textContent;
-            emailPayload.html = textContent;
+            if (this.textToHtml) emailPayload.html = this.textToHtml(textContent);
         } else if (textContent && htmlContent) {
             // Both provided
             emailPayload.text = textContent;
             emailPayload.html = htmlContent;
         } else {
             // Neither provided - this should not happen due to nodemailer requirements
-            return callback(new Error('Either text or html content must be provided.'), null);
+            return callback(new UsesendValidationError('Either text or html content must be provided.'), null);
+        }
+
+        // Attachment policy checks; the message size budget is shared by inline images and attachments
+        const attachmentChecks = {
+            ...createAttachmentChecks(this.attachmentPolicy),
+            signal,
+            onResolved: (attachment: ResolvedAttachment) => {
+                this.logger.debug(
+                    { tnx: 'attachment', messageId, ...attachment },
+                    'Resolved attachment %s (%s, %d bytes from %s%s)',
+                    attachment.filename, attachment.contentType, attachment.size, attachment.source, attachment.cached ? ', cached' : '',
+                );
+                this.emit('attachmentResolved', attachment);
+            },
+        };
+
+        // Embed images referenced as cid: in the HTML, since the API cannot send content ids
+        let attachments = mail.data.attachments || [];
+        if (this.inlineImages && emailPayload.html && attachments.some((attachment) => attachment.cid)) {
+            try {
+                const inlined = await inlineCidImages(emailPayload.html, attachments, attachmentChecks);
+                emailPayload.html = inlined.html;
+                attachments = inlined.attachments;
+
+                if (inlined.inlinedSize > this.inlineImages.warnSize) {
+                    warnings.push(`Inline images add ${Math.ceil(inlined.inlinedSize / 1024)} KB to the HTML body; some email clients clip or block large messages.`);
+                }
+            } catch (inlineError) {
+                if (inlineError instanceof UsesendError) {
+                    return callback(inlineError, null);
+                }
+                return callback(new UsesendAttachmentError(
+                    `Inline image processing failed: ${inlineError instanceof Error ? inlineError.message : String(inlineError)}`,
+                    { cause: inlineError },
+                ), null);
+            }
         }
 
         // Add attachments if present
-        if (mail.data.attachments && mail.data.attachments.length > 0) {
-            // Validate attachment count (Usesend API limit)
-            if (mail.data.attachments.length > 10) {
-                return callback(new Error('Maximum 10 attachments allowed per email. Please reduce the number of attachments.'), null);
+        if (attachments.length > 0) {
+            // Validate attachment count (Usesend API limit by default)
+            try {
+                checkAttachmentCount(attachments.length, this.attachmentPolicy);
+            } catch (countError) {
+                return callback(countError as Error, null);
             }
 
             // Process all attachments (convert to base64, handle various input formats)
             try {
                 emailPayload.attachments = await Promise.all(
-                    mail.data.attachments.map(attachment => processAttachment(attachment))
+                    attachments.map(attachment => processAttachment(attachment, attachmentChecks))
                 );
             } catch (attachmentError) {
-                return callback(new Error(`Attachment processing failed: ${attachmentError instanceof Error ? attachmentError.message : String(attachmentError)}`), null);
+                // Policy violations are reported as they are
+                if (attachmentError instanceof UsesendError) {
+                    return callback(attachmentError, null);
+                }
+                return callback(new UsesendAttachmentError(
+                    `Attachment processing failed: ${attachmentError instanceof Error ? attachmentError.message : String(attachmentError)}`,
+                    { cause: attachmentError },
+                ), null);
             }
         }
 
-        this.usesend.emails.send(emailPayload).then(async (response) => {
-            if (response.error) {
-                const error = response.error as any;
+        // Middleware may change or veto the final payload
+        const context = { mail: mail.data, idempotencyKey };
+        let payload: any;
+        try {
+            payload = await runBeforeSendHooks(this.beforeSendHooks, emailPayload, context);
+        } catch (hookError) {
+            return callback(hookError as Error, null);
+        }
 
-                // Check if it's a Zod validation error
-                if (error.name === 'ZodError' && error.issues) {
-                    const issues = error.issues.map((issue: any) =>
-                        `  - ${issue.path.join('.')}: ${issue.message}`
-                    ).join('\n');
-                    throw new Error(`Usesend API Validation Error:\n${issues}`);
-                }
+        // The send may have been aborted or timed out while the payload was being prepared
+        if (signal?.aborted) {
+            return callback(signal.reason, null);
+        }
+        this.emit('beforeSend', { payload: redactPayload(payload), idempotencyKey });
 
-                // Check if error is nested (error.error structure)
-                const actualError = error.error || error;
-                const errorCode = actualError.code || 'UNKNOWN_ERROR';
-                const errorMessage = actualError.message || 'An unknown error occurred';
-
-                // Provide context-aware error messages
-                let detailedMessage = `Usesend API Error (${errorCode}): ${errorMessage}`;
-
-                // Add helpful hints based on error code
-                if (errorCode === '400' || errorCode.toString().startsWith('400')) {
-                    detailedMessage += '\n\nPossible causes:\n- Invalid email format\n- Missing required fields\n- Invalid API key\n- Malformed request data';
-                } else if (errorCode === '401' || errorCode.toString().startsWith('401')) {
-                    detailedMessage += '\n\nAuthentication failed. Please check your API key.';
-                } else if (errorCode === '403' || errorCode.toString().startsWith('403')) {
-                    detailedMessage += '\n\nAccess forbidden. Your API key may not have permission to perform this action.';
-                } else if (errorCode === '429' || errorCode.toString().startsWith('429')) {
-                    detailedMessage += '\n\nRate limit exceeded. Please wait before sending more emails.';
-                } else if (errorCode.toString().startsWith('5')) {
-                    detailedMessage += '\n\nServer error. Please try again later or contact Usesend support.';
-                }
+        const recipients = addresses.to.concat(addresses.cc, addresses.bcc).map((entry) => entry.address);
+        this.logger.info({ tnx: 'send', messageId }, 'Sending message %s to <%s>', messageId, recipients.join('>, <'));
+        if (this.logger.debugTraffic) {
+            this.logger.debug({ tnx: 'payload', messageId, idempotencyKey, payload: this.logger.payload(payload) }, 'Payload of message %s', messageId);
+        }
+
+        // Fields that could not be represented are reported as events, log entries and alongside the result
+        const reportWarning = (warning: string) => {
+            this.logger.warn({ tnx: 'send', messageId }, '%s', warning);
+            this.emit('warning', warning);
+        };
+        warnings.forEach(reportWarning);
+        const warn = (warning: string) => {
+            warnings.push(warning);
+            reportWarning(warning);
+        };
+        const succeed = async (info: SentMessageInfo) => {
+            if (idempotencyKey) {
+                info = { ...info, idempotencyKey };
+                await this.recordSent(idempotencyKey, info.emailId, warn);
+            }
+            const latency = Date.now() - started;
+            this.logger.info({ tnx: 'send', messageId, emailId: info.emailId, latency, attempts: info.attempts }, 'Message %s sent as %s in %d ms', messageId, info.emailId, latency);
+            this.emit('sent', { emailId: info.emailId, latency, attempts: info.attempts, idempotencyKey });
+
+            info = await runAfterSendHooks(this.afterSendHooks, info, { ...context, payload }, (hookError) => warn(
+                `The message was sent, but an onAfterSend hook failed: ${hookError instanceof Error ? hookError.message : String(hookError)}`,
+            ));
+            return callback(null, warnings.length > 0 ? { ...info, warnings } : info);
+        };
+        // The circuit may have opened while this message was being prepared or retried
+        const fail = (error: Error) => this.fallback && error instanceof UsesendCircuitOpenError
+            ? this.sendWithFallback(mail, callback)
+            : callback(error, null);
+
+        // Queue for the batch endpoint when batching is enabled
+        if (this.batchQueue) {
+            return this.batchQueue.add({ payload, idempotencyKey }, signal).then(succeed, fail);
+        }
+
+        const headers = idempotencyKey && this.idempotency ? { [this.idempotency.header]: idempotencyKey } : undefined;
+        return this.request(() => this.usesend.emails.send(payload), { signal, headers }).then(
+            ({ data, attempts }) => succeed({ ...data, attempts }),
+            fail,
+        );
+    };
+
+    /**
+     * Returns true when the transport can accept more messages without queueing them
+     * behind a full batch or the rate limits. Nodemailer forwards this as `transporter.isIdle()`.
+     */
+    public isIdle(): boolean {
+        return (this.batchQueue ? this.batchQueue.isIdle() : true) && (this.rateLimiter ? this.rateLimiter.isIdle() : true);
+    }
+
+    /**
+     * Sends any queued batch immediately. Called by Nodemailer's `transporter.close()`.
+     */
+    public close(): void {
+        this.batchQueue?.close();
+    }
 
-                throw new Error(detailedMessage);
+    /**
+     * Moves a scheduled email to a new delivery time
+     *
+     * @param emailId The id returned when the email was sent
+     * @param scheduledAt The new delivery time, in the future
+     */
+    public async reschedule(emailId: string, scheduledAt: Date | string): Promise<{ emailId: string }> {
+        this.assertEmailId(emailId);
+        const payload = { scheduledAt: parseScheduledAt(scheduledAt) };
+
+        const { data } = await this.request(() => this.usesend.emails.update(emailId, payload));
+        return { emailId: data.emailId ?? emailId };
+    }
+
+    /**
+     * Cancels a scheduled email before it is sent
+     *
+     * @param emailId The id returned when the email was sent
+     */
+    public async cancelScheduled(emailId: string): Promise<{ emailId: string }> {
+        this.assertEmailId(emailId);
+
+        const { data } = await this.request(() => this.usesend.emails.cancel(emailId));
+        return { emailId: data.emailId ?? emailId };
+    }
+
+    /**
+     * Performs an API request, retrying transient failures according to the retry policy.
+     * Every attempt waits for its turn under the rate limits and sends the same `headers`;
+     * aborting `signal` cancels the request in flight or the wait before it.
+     */
+    private async request<T>(
+        call: () => Promise<{ data: T | null; error: unknown }>,
+        options: UsesendRequestOptions = {},
+    ): Promise<{ data: T; attempts: number }> {
+        const { signal } = options;
+        let attempts = 0;
+
+        while (true) {
+            attempts++;
+
+            // Rejects when the send queue is full, without counting as a failed attempt
+            const release = this.rateLimiter ? await this.rateLimiter.acquire(signal) : null;
+            if (this.circuitBreaker && !this.circuitBreaker.acquire()) {
+                release?.();
+                throw this.circuitOpenError();
             }
 
-            callback(null, response.data);
-        }).catch((error) => {
-            // Enhance error with additional context if it's a generic network error
-            if (error.message && !error.message.includes('Usesend API Error')) {
-                const enhancedError = new Error(
-                    `Failed to send email via Usesend: ${error.message}\n\nPlease check:\n- Your network connection\n- API key validity\n- Usesend service status`
+            let error: UsesendError;
+            try {
+                const response = await this.usesend.withRequestOptions(options, call);
+                if (!response.error) {
+                    this.circuitBreaker?.recordSuccess();
+                    return { data: response.data as T, attempts };
+                }
+                error = createApiError(response.error as UsesendApiErrorPayload);
+            } catch (networkError) {
+                if (signal?.aborted) {
+                    this.circuitBreaker?.recordCancel();
+                    throw signal.reason;
+                }
+
+                // The request never got a response (DNS failure, connection reset, ...)
+                const message = networkError instanceof Error ? networkError.message : String(networkError);
+                error = new UsesendNetworkError(
+                    `Failed to send email via Usesend: ${message}\n\nPlease check:\n- Your network connection\n- API key validity\n- Usesend service status`,
+                    { cause: networkError },
                 );
-                callback(enhancedError, null);
+            } finally {
+                release?.();
+            }
+
+            // Any answer but a server error shows the API is up
+            if (error instanceof UsesendServerError || error instanceof UsesendNetworkError) {
+                this.circuitBreaker?.recordFailure();
             } else {
-                callback(error, null);
+                this.circuitBreaker?.recordSuccess();
+            }
+
+            if (isRetryableError(error) && attempts < this.retryPolicy.maxAttempts) {
+                const retryAfter = error instanceof UsesendRateLimitError ? error.retryAfter : undefined;
+                const delay = getRetryDelay(this.retryPolicy, attempts, retryAfter);
+                if (delay !== null) {
+                    this.logger.warn(
+                        { tnx: 'request', attempt: attempts, delay, err: error },
+                        'Request failed on attempt %d, retrying in %d ms: %s',
+                        attempts, delay, error.message,
+                    );
+                    this.emit('retry', { attempt: attempts, delay, error });
+                    await sleep(delay, signal);
+                    continue;
+                }
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * Sends queued messages through the batch endpoint and maps the returned
+     * email ids back to each message, in order
+     */
+    private async sendBatch(emails: QueuedEmail[]): Promise<Array<SentMessageInfo | Error>> {
+        const payloads = emails.map((email) => email.payload);
+        const headers = this.idempotency
+            ? { [this.idempotency.header]: getBatchIdempotencyKey(emails.map((email) => email.idempotencyKey || '')) }
+            : undefined;
+        const { data, attempts } = await this.request(() => this.usesend.emails.batch(payloads), { headers });
+
+        return payloads.map((_, index) => {
+            const emailId = data[index]?.emailId;
+            if (!emailId) {
+                return new UsesendServerError(
+                    `Usesend batch response did not include an email id for message ${index + 1} of ${payloads.length}.`,
+                    { payload: data },
+                );
             }
+            return { emailId, attempts, batchSize: payloads.length };
         });
-    };
+    }
+
+    /**
+     * Collects sender and recipient addresses from Nodemailer's parsed message (falling back to
+     * parsing `mail.data` when the transport is called directly). Recipients are deduplicated
+     * across to/cc/bcc and restricted to the explicit `envelope`, when one is given.
+     */
+    private readAddresses(mail: MailMessage, warnings: string[]): Recipients & { from: ParsedAddress[]; replyTo: ParsedAddress[] } {
+        const parsed = mail.message?.getAddresses() as Partial<Record<string, ParsedAddress[]>> | undefined;
+        const read = (key: string, input: NodemailerAddress): ParsedAddress[] => {
+            // Nodemailer silently drops entries without an address (e.g. `to: 'john'`); keep them so they are reported
+            const entries = parsed
+                ? (parsed[key] || []).map(({ name, address }) => ({ name: name || '', address })).concat(parseAddresses(input).filter((entry) => !entry.address))
+                : parseAddresses(input);
+            // Punycode IDN domains, so `bücher.de` and `xn--bcher-kva.de` are the same recipient
+            return entries.map((entry) => ({ ...entry, address: encodeAddressDomain(entry.address) }));
+        };
+
+        const from = read('from', mail.data.from);
+        let recipients = dedupeRecipients({
+            to: read('to', mail.data.to),
+            cc: read('cc', mail.data.cc),
+            bcc: read('bcc', mail.data.bcc),
+        });
+
+        const envelope = mail.data.envelope as Mail.Envelope | undefined;
+        if (envelope) {
+            const { from: envelopeFrom, to: envelopeTo } = mail.message
+                ? mail.message.getEnvelope()
+                : {
+                    from: parseAddresses(envelope.from)[0]?.address,
+                    to: parseAddresses([envelope.to, envelope.cc, envelope.bcc].filter(Boolean) as string[]).map((entry) => entry.address),
+                };
+
+            const applied = applyEnvelope(recipients, envelopeTo.map(encodeAddressDomain));
+            recipients = applied.recipients;
+
+            if (applied.dropped.length > 0) {
+                warnings.push(`Recipients not listed in "envelope" were not sent the message: ${applied.dropped.map((entry) => entry.address || entry.name).join(', ')}.`);
+            }
+            if (envelopeFrom && from[0] && envelopeFrom.toLowerCase() !== from[0].address.toLowerCase()) {
+                warnings.push(`Envelope sender "${envelopeFrom}" is not supported by the Usesend API; Usesend sets the envelope sender itself.`);
+            }
+        }
 
-    private validateEmail(email: string, fieldName: string): void {
-        // Extract email address from "Display Name <email@example.com>" format
-        const angleMatch = email.match(/<([^>]+)>/);
-        const emailToValidate = angleMatch ? angleMatch[1].trim() : email.trim();
+        return { from, replyTo: read('reply-to', mail.data.replyTo), ...recipients };
+    }
 
-        // Email regex that handles basic validation
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(emailToValidate)) {
-            throw new Error(`Invalid email address in "${fieldName}": "${email}". Please provide a valid email address (e.g., user@example.com or "Name <user@example.com>").`);
+    /**
+     * Sends a message through the fallback transport while the circuit is open. Its result is
+     * passed on with `fallback: true`, and its errors as they are.
+     */
+    private sendWithFallback(mail: MailMessage, callback: (err: Error | null, info: SentMessageInfo) => void): void {
+        const fallback = this.fallback as NonNullable<UsesendCircuitBreakerOptions['fallback']>;
+        const done = (error: Error | null, info: SentMessageInfo) => callback(error, error ? null : { ...info, fallback: true });
+        this.logger.warn({ tnx: 'send', messageId: mail.data.messageId }, 'Usesend API requests are paused; sending the message through the fallback transport');
+
+        if ('sendMail' in fallback && typeof fallback.sendMail === 'function') {
+            fallback.sendMail(mail.data, done);
+        } else {
+            (fallback as Transport<SentMessageInfo>).send(mail, done);
         }
     }
 
-    private toUsesendAddresses(address: NodeMailerAddress): Array<string> {
-        if (!address) {
-            return [];
+    private logCircuitState(state: string, failures: number): void {
+        if (state === 'open') {
+            this.logger.warn({ tnx: 'circuit', state, failures }, 'Pausing Usesend API requests after %d consecutive server or network failures', failures);
+        } else {
+            this.logger.info({ tnx: 'circuit', state, failures }, state === 'closed' ? 'Usesend API requests resumed' : 'Letting a trial request through to the Usesend API');
         }
+    }
 
-        if (typeof address === 'string') {
-            return [address];
+    private circuitOpenError(): UsesendCircuitOpenError {
+        const retryAfter = this.circuitBreaker ? this.circuitBreaker.retryAfter : 0;
+        const next = retryAfter > 0
+            ? `the next attempt is allowed in ${Math.ceil(retryAfter / 1000)} s`
+            : 'a trial request is checking whether the API is back';
+        return new UsesendCircuitOpenError(
+            `Usesend API requests are paused after repeated server or network failures; ${next}. Please try again later.`,
+            retryAfter,
+        );
+    }
+
+    /**
+     * Records a sent message in the idempotency store. The message is sent either way, so a failing
+     * store is reported as a warning rather than failing the send (which would invite a resend).
+     */
+    private async recordSent(idempotencyKey: string, emailId: string, warn: (warning: string) => void): Promise<void> {
+        if (!this.idempotency?.store || !emailId) {
+            return;
         }
 
-        if (Array.isArray(address)) {
-            return address.map((address) => {
-                if (typeof address === 'string') {
-                    return address;
-                }
+        try {
+            await this.idempotency.store.set(idempotencyKey, { emailId });
+        } catch (storeError) {
+            warn(`The message was sent, but recording it in the idempotency store failed: ${storeError instanceof Error ? storeError.message : String(storeError)}`);
+        }
+    }
+
+    /**
+     * Reports a failed send as an `error` event, calling the listeners one by one so that a listener
+     * that throws does not keep the others from running. Under Nodemailer the first listener is the
+     * transporter's: it logs the error and emits it again on the transporter, which throws when nobody
+     * listens there. The callback gets the error either way.
+     */
+    private emitError(error: Error): void {
+        for (const listener of this.rawListeners('error')) {
+            try {
+                (listener as (error: Error) => void).call(this, error);
+            } catch {
+                // A failing listener must not fail the send
+            }
+        }
+    }
 
-                return address.address;
-            });
+    /**
+     * The id becomes a segment of the request path, so it may only hold URL-safe characters and
+     * must not be a `.` or `..` segment that would point the request at another endpoint
+     */
+    private assertEmailId(emailId: string): void {
+        if (typeof emailId !== 'string' || emailId.trim() === '') {
+            throw new UsesendValidationError(
+                'Missing email id. Please pass the "emailId" returned when the email was sent.',
+                [{ path: ['emailId'], message: 'Required' }],
+            );
         }
+        if (!/^[\w.~-]+$/.test(emailId) || /^\.+$/.test(emailId)) {
+            throw new UsesendValidationError(
+                `Invalid email id "${emailId}". Please pass the "emailId" returned when the email was sent.`,
+                [{ path: ['emailId'], message: 'Invalid email id' }],
+            );
+        }
+    }
 
-        return [address.address];
+    private resolveRateLimiterOptions(
+        options: Pick<UsesendTransporterOptions, 'maxConcurrency' | 'rateLimit' | 'rateDelta' | 'maxQueueSize'>,
+    ): RateLimiterOptions | null {
+        const { maxConcurrency = Infinity, rateLimit, rateDelta = 1000, maxQueueSize = Infinity } = options;
+
+        if (!(maxConcurrency === Infinity || (Number.isInteger(maxConcurrency) && maxConcurrency >= 1))) {
+            throw new Error('Invalid option "maxConcurrency": expected an integer of at least 1.');
+        }
+        if (!(rateDelta > 0)) {
+            throw new Error('Invalid option "rateDelta": expected a positive number of milliseconds.');
+        }
+        if (!(maxQueueSize === Infinity || (Number.isInteger(maxQueueSize) && maxQueueSize >= 0))) {
+            throw new Error('Invalid option "maxQueueSize": expected a non-negative integer.');
+        }
+
+        let limit: RateLimiterOptions['rateLimit'] = null;
+        if (rateLimit !== undefined) {
+            // `rateLimit: 10` is 10 requests per `rateDelta`, as in Nodemailer's SMTP pool
+            limit = typeof rateLimit === 'number' ? { requests: rateLimit, perMs: rateDelta } : rateLimit;
+            if (!limit || !Number.isInteger(limit.requests) || limit.requests < 1 || !(limit.perMs > 0)) {
+                throw new Error('Invalid option "rateLimit": expected a positive integer, or { requests, perMs } with a positive integer and a positive number of milliseconds.');
+            }
+        }
+
+        if (maxConcurrency === Infinity && !limit) {
+            return null;
+        }
+
+        return { maxConcurrency, rateLimit: limit, maxQueueSize };
+    }
+
+    private resolveBatchOptions(batch: true | UsesendBatchOptions): { maxSize: number; window: number } {
+        const { maxSize = MAX_BATCH_SIZE, window = 100 } = batch === true ? {} : batch;
+
+        if (!Number.isInteger(maxSize) || maxSize < 1 || maxSize > MAX_BATCH_SIZE) {
+            throw new Error(`Invalid batch option "maxSize": expected an integer between 1 and ${MAX_BATCH_SIZE}.`);
+        }
+        if (!(window >= 0)) {
+            throw new Error('Invalid batch option "window": expected a non-negative number of milliseconds.');
+        }
+
+        return { maxSize, window };
+    }
+
+    private validateEmail(entry: ParsedAddress, fieldName: string): void {
+        // Entries without an address cannot be sent, whatever the validation level
+        const reason = entry.address ? validateAddress(entry.address, this.addressValidation) : 'Missing address';
+        if (reason) {
+            const shown = entry.address || entry.name;
+            throw new UsesendValidationError(
+                `Invalid email address in "${fieldName}": "${shown}" (${reason}). Please provide a valid email address (e.g., user@example.com or "Name <user@example.com>").`,
+                [{ path: [fieldName], message: reason }],
+            );
+        }
     }
 }
\ No newline at end of file
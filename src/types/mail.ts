@@ -0,0 +1,66 @@
+/**
+ * Usesend-specific options accepted by `sendMail()` in addition to Nodemailer's own
+ */
+export type UsesendMailOptions = {
+    /**
+     * Schedule delivery for a later time instead of sending immediately.
+     * Can also be given with the `X-Usesend-Scheduled-At` header.
+     * @example new Date(Date.now() + 60 * 60 * 1000)
+     * @example '2030-01-01T09:00:00Z'
+     */
+    scheduledAt?: Date | string;
+
+    /**
+     * Id of a Usesend template to render instead of sending `html`/`text`
+     */
+    templateId?: string;
+
+    /**
+     * Values for the template's variables. Usesend only accepts string values.
+     * @example { name: 'Jane', plan: 'Pro' }
+     */
+    variables?: Record<string, string>;
+
+    /**
+     * Cancels the send: reading bodies and attachments, retries and the API request.
+     * The send fails with a UsesendAbortError, or a UsesendTimeoutError for `AbortSignal.timeout()`.
+     * @example controller.signal
+     */
+    signal?: AbortSignal;
+
+    /**
+     * Time limit for sending this message in milliseconds, overriding the transport's `timeout`
+     * @example 10000
+     */
+    timeout?: number;
+
+    /**
+     * Idempotency key sent with the API request instead of the one derived from `messageId`.
+     * Submitting a message again with the same key lets it be detected as a duplicate.
+     * @example `order-${order.id}-confirmation`
+     */
+    idempotencyKey?: string;
+
+    /**
+     * Usesend-specific options grouped in one place. Takes precedence over the top-level ones.
+     * @example { templateId: 'tmpl_123', variables: { name: 'Jane' } }
+     */
+    usesend?: {
+        templateId?: string;
+        variables?: Record<string, string>;
+    };
+}
+
+// Make the options above known to `sendMail()` for TypeScript users
+declare module 'nodemailer/lib/mailer' {
+    interface Options extends UsesendMailOptions { }
+
+    interface AttachmentLike {
+        /**
+         * Charset of Buffer, stream, file or URL content used as the `text` or `html` body.
+         * Nodemailer replaces `contentType` on these objects, so the charset is declared here.
+         * @default 'utf-8'
+         */
+        charset?: string;
+    }
+}
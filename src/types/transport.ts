@@ -1,3 +1,6 @@
+import type { SentMessageInfo, Transport, Transporter } from 'nodemailer';
+import type Mail from 'nodemailer/lib/mailer';
+
 export type UsesendTransporterOptions = {
     /**
      * Your Usesend API key
@@ -10,4 +13,463 @@ export type UsesendTransporterOptions = {
      * @example 'https://your-custom-endpoint.com'
      */
     apiUrl?: string;
-}
\ No newline at end of file
+
+    /**
+     * Retry policy for transient failures (network errors, 408, 429 and 5xx responses).
+     * Pass `true` to use the defaults, or an object to tune them. Disabled by default.
+     * @example true
+     * @example { maxAttempts: 5, baseDelay: 1000 }
+     */
+    retry?: boolean | UsesendRetryOptions;
+
+    /**
+     * Collect messages for a short window and send them through Usesend's batch endpoint
+     * in one request. Pass `true` to use the defaults, or an object to tune them. Disabled by default.
+     * @example true
+     * @example { maxSize: 50, window: 250 }
+     */
+    batch?: boolean | UsesendBatchOptions;
+
+    /**
+     * How strictly sender and recipient addresses are validated before sending.
+     * `strict` applies RFC 5321 syntax and length limits (quoted local parts, IP literals and
+     * UTF-8 local parts are accepted), `lenient` only checks the basic `local@domain.tld` shape,
+     * and `off` forwards addresses as given. Internationalized domains are punycode encoded in every mode.
+     * @default 'strict'
+     */
+    addressValidation?: UsesendAddressValidation;
+
+    /**
+     * How the plain-text part is generated when only `html` is given. Pass options to tune the
+     * built-in converter, a function to replace it, or `false` to send the HTML part alone.
+     * @default true
+     * @example { wordwrap: 78 }
+     * @example (html) => convert(html)
+     */
+    htmlToText?: boolean | UsesendHtmlToTextOptions | ((html: string) => string);
+
+    /**
+     * How the HTML part is generated when only `text` is given. The built-in rendering escapes the
+     * text, keeps line breaks and paragraphs and links URLs. Pass a function to replace it, or
+     * `false` to send the text part alone.
+     * @default true
+     * @example false
+     */
+    textToHtml?: boolean | ((text: string) => string);
+
+    /**
+     * Embed attachments referenced as `cid:` in the HTML as data URIs. The Usesend API cannot send
+     * an attachment's content id, so without this inline images arrive as regular attachments.
+     * Pass `false` to send them as regular attachments, or an object to tune the size warning. Enabled by default.
+     * @example { warnSize: 50 * 1024 }
+     */
+    inlineImages?: boolean | UsesendInlineImageOptions;
+
+    /**
+     * Attachment policy: count and size limits, allowed and blocked extensions and allowed
+     * content types. Checked while attachments are read, so refused messages are never sent.
+     * @example { maxSize: 10 * 1024 * 1024, blockedExtensions: ['exe', 'bat'] }
+     */
+    attachments?: UsesendAttachmentOptions;
+
+    /**
+     * Time limit for sending one message in milliseconds, covering the reading of bodies and
+     * attachments, retries and the API request. A message's own `timeout` takes precedence.
+     * Fails the send with a UsesendTimeoutError. No limit by default.
+     * @example 30000
+     */
+    timeout?: number;
+
+    /**
+     * Send an idempotency key with every API request, so a message submitted twice (e.g. retried
+     * after a network error although Usesend had accepted it) can be detected as a duplicate. The key
+     * is the message's `idempotencyKey`, else a hash of its `messageId`. Pass an object to rename the
+     * header or to dedupe locally with a store, or `false` to send no key. Enabled by default.
+     * @example { store: true }
+     * @example { store: redisIdempotencyStore }
+     */
+    idempotency?: boolean | UsesendIdempotencyOptions;
+
+    /**
+     * Maximum number of API requests in flight at once. Further requests wait in the send queue.
+     * @default no limit
+     * @example 5
+     */
+    maxConcurrency?: number;
+
+    /**
+     * Maximum number of API requests started per `rateDelta` (a number), or per `perMs` milliseconds.
+     * Bursts up to the limit go out at once; further requests wait in the send queue. Retries count too.
+     * @default no limit
+     * @example 10
+     * @example { requests: 2, perMs: 1000 }
+     */
+    rateLimit?: number | UsesendRateLimitOptions;
+
+    /**
+     * Time window in milliseconds for a numeric `rateLimit`
+     * @default 1000
+     */
+    rateDelta?: number;
+
+    /**
+     * Maximum number of requests waiting in the send queue for `maxConcurrency` or `rateLimit`.
+     * Sends beyond it fail right away with a UsesendRateLimitError.
+     * @default no limit
+     * @example 1000
+     */
+    maxQueueSize?: number;
+
+    /**
+     * Stop calling the API after repeated server (5xx) or network failures: requests fail fast with a
+     * UsesendCircuitOpenError, or go to the `fallback` transport, until a trial request succeeds
+     * after the cooldown. Pass `true` for the defaults. Disabled by default.
+     * @example { failureThreshold: 5, cooldown: 30000, fallback: smtpTransporter }
+     */
+    circuitBreaker?: boolean | UsesendCircuitBreakerOptions;
+
+    /**
+     * Middleware run with the final API payload before it is sent, in order. A hook can change the
+     * payload (in place or by returning a new one) or veto the message by returning `false` or
+     * throwing, which fails the send with a UsesendHookError.
+     * @example (payload) => ({ ...payload, headers: { ...payload.headers, 'X-Tenant': tenantId } })
+     */
+    onBeforeSend?: UsesendBeforeSendHook | UsesendBeforeSendHook[];
+
+    /**
+     * Middleware run after the API accepted a message, in order. A hook can replace the result
+     * passed to the callback by returning a new one. The message is sent by then, so errors thrown
+     * by these hooks are reported as warnings instead of failing the send.
+     * @example (info, { payload }) => audit.record(info.emailId, payload.to)
+     */
+    onAfterSend?: UsesendAfterSendHook | UsesendAfterSendHook[];
+
+    /**
+     * Logger for validation, attachment resolution, API requests and responses, as Nodemailer
+     * transports take it: `true` logs to the console, or pass a pino, bunyan or other logger with
+     * `(meta, message, ...args)` methods. The API key and attachment contents are never logged.
+     * @default false
+     * @example true
+     * @example pino()
+     */
+    logger?: boolean | UsesendLogger;
+
+    /**
+     * Also log the full API traffic at the debug level: each request's payload and headers and
+     * each response's status and body. Needs `logger`.
+     * @default false
+     */
+    debug?: boolean;
+
+    /**
+     * Mask email addresses in log entries down to their domain (`***@example.com`), and drop the
+     * names of recipients. Addresses in logged error and warning messages are masked too.
+     * @default false
+     */
+    redactRecipients?: boolean;
+}
+
+/**
+ * Logger the transport writes to. Each method is called as `(meta, message, ...args)`, where
+ * `message` may hold `%s`/`%d` placeholders for `args`, as Nodemailer, pino and bunyan expect.
+ */
+export type UsesendLogger = {
+    debug(meta: object, message: string, ...args: unknown[]): void;
+    info(meta: object, message: string, ...args: unknown[]): void;
+    warn(meta: object, message: string, ...args: unknown[]): void;
+    error(meta: object, message: string, ...args: unknown[]): void;
+}
+
+/**
+ * The request body sent to the Usesend API for one email (`from`, `to`, `subject`, `html`,
+ * `attachments`, ...)
+ */
+export type UsesendEmailPayload = {
+    [key: string]: any;
+}
+
+/**
+ * What hooks know about the message being sent
+ */
+export type UsesendSendContext = {
+    /** The message as given to `sendMail()` */
+    mail: Mail.Options;
+    /** Idempotency key of the message, when keys are sent */
+    idempotencyKey?: string;
+}
+
+export type UsesendBeforeSendHook = (
+    payload: UsesendEmailPayload,
+    context: UsesendSendContext,
+) => UsesendEmailPayload | false | void | Promise<UsesendEmailPayload | false | void>;
+
+export type UsesendAfterSendHook = (
+    info: SentMessageInfo,
+    context: UsesendSendContext & { payload: UsesendEmailPayload },
+) => SentMessageInfo | void | Promise<SentMessageInfo | void>;
+
+export type UsesendCircuitBreakerOptions = {
+    /**
+     * Consecutive server or network failures (retries included) that open the circuit
+     * @default 5
+     */
+    failureThreshold?: number;
+
+    /**
+     * Time in milliseconds the circuit stays open before a trial request is let through
+     * @default 30000
+     */
+    cooldown?: number;
+
+    /**
+     * Nodemailer transporter (from `createTransport()`) or transport that sends the messages
+     * while the circuit is open, e.g. an SMTP transport
+     */
+    fallback?: Transporter<any> | Transport<any>;
+}
+
+export type UsesendRateLimitOptions = {
+    /**
+     * Requests allowed per window
+     */
+    requests: number;
+
+    /**
+     * Length of the window in milliseconds
+     */
+    perMs: number;
+}
+
+export type UsesendRetryOptions = {
+    /**
+     * Maximum number of attempts, including the first one
+     * @default 3
+     */
+    maxAttempts?: number;
+
+    /**
+     * Delay before the first retry in milliseconds, doubled on every following retry
+     * @default 500
+     */
+    baseDelay?: number;
+
+    /**
+     * Upper bound for a single delay in milliseconds. A `Retry-After` longer than this
+     * stops retrying instead of waiting.
+     * @default 30000
+     */
+    maxDelay?: number;
+
+    /**
+     * Random spread applied to each delay, as a ratio between 0 (none) and 1 (±100%)
+     * @default 0.2
+     */
+    jitter?: number;
+}
+
+export type UsesendBatchOptions = {
+    /**
+     * Number of queued messages that triggers an immediate send (Usesend accepts up to 100)
+     * @default 100
+     */
+    maxSize?: number;
+
+    /**
+     * Time in milliseconds to wait for more messages after the first one is queued
+     * @default 100
+     */
+    window?: number;
+}
+
+export type UsesendHtmlToTextOptions = {
+    /**
+     * Wrap lines longer than this many characters, or `false` to keep lines as they are
+     * @default false
+     */
+    wordwrap?: number | false;
+
+    /**
+     * Render links by their text only, without the `(url)` suffix
+     * @default false
+     */
+    hideLinkUrls?: boolean;
+}
+
+export type UsesendInlineImageOptions = {
+    /**
+     * Emit a warning when the embedded images add more than this many bytes to the HTML.
+     * Some clients (e.g. Gmail) clip messages larger than about 100 KB.
+     * @default 102400
+     */
+    warnSize?: number;
+}
+
+export type UsesendAttachmentOptions = {
+    /**
+     * Maximum number of attachments per email (inline images embedded in the HTML not included)
+     * @default 10
+     */
+    maxCount?: number;
+
+    /**
+     * Maximum size of a single attachment in bytes, before base64 encoding
+     * @default no limit besides `maxTotalSize`
+     */
+    maxSize?: number;
+
+    /**
+     * Maximum combined size of all attachments of one message in bytes, after base64 encoding
+     * (inline images included)
+     * @default 41943040 (40 MB)
+     */
+    maxTotalSize?: number;
+
+    /**
+     * Only accept files with these extensions (case-insensitive, with or without the dot)
+     * @example ['pdf', 'png', 'jpg', 'docx']
+     */
+    allowedExtensions?: string[];
+
+    /**
+     * Refuse files with these extensions (case-insensitive, with or without the dot)
+     * @example ['exe', 'bat', 'cmd', 'scr', 'js', 'msi']
+     */
+    blockedExtensions?: string[];
+
+    /**
+     * Only accept content of these MIME types, detected from the content's magic bytes rather
+     * than the filename. Wildcards such as `image/*` are supported.
+     * @example ['application/pdf', 'image/*', 'text/plain']
+     */
+    allowedTypes?: string[];
+
+    /**
+     * How http(s) paths of attachments and bodies are fetched. Pass an object to restrict hosts,
+     * redirects, time and size, or `false` to refuse remote content.
+     * @default true
+     * @example { allowedHosts: ['cdn.example.com'], blockPrivateNetworks: true }
+     */
+    remote?: boolean | UsesendRemoteAttachmentOptions;
+
+    /**
+     * Which file paths of attachments and bodies may be read. Pass `baseDirs` to restrict reads to
+     * those directories, or `false` to refuse file paths.
+     * @default true
+     * @example { baseDirs: ['/srv/app/uploads'] }
+     */
+    files?: boolean | UsesendFileAttachmentOptions;
+
+    /**
+     * Keep encoded attachment content in memory, so an attachment sent with many messages is read
+     * and encoded once. URLs are keyed by URL, files by path, modification time and size, and
+     * Buffer or string content by a hash of the content. Pass `true` for the defaults. Disabled by default.
+     * @example { maxSize: 20 * 1024 * 1024, ttl: 60 * 60 * 1000 }
+     */
+    cache?: boolean | UsesendAttachmentCacheOptions;
+}
+
+export type UsesendAttachmentCacheOptions = {
+    /**
+     * Memory budget for cached content in bytes (base64-encoded). The least recently used
+     * entries are evicted first.
+     * @default 52428800 (50 MB)
+     */
+    maxSize?: number;
+
+    /**
+     * Time in milliseconds cached content is used as is. After that, files are checked again and
+     * URLs are revalidated with their ETag or Last-Modified date, or downloaded again.
+     * @default 600000 (10 minutes)
+     */
+    ttl?: number;
+}
+
+export type UsesendRemoteAttachmentOptions = {
+    /**
+     * Only fetch from these hosts, checked again on every redirect. `*.example.com` matches the
+     * subdomains of example.com.
+     * @example ['cdn.example.com', '*.amazonaws.com']
+     */
+    allowedHosts?: string[];
+
+    /**
+     * Refuse hosts that resolve to loopback, private, link-local or other non-public addresses
+     * (e.g. `127.0.0.1`, `10.0.0.0/8`, `169.254.169.254`, `::1`, `fc00::/7`)
+     * @default false
+     */
+    blockPrivateNetworks?: boolean;
+
+    /**
+     * Maximum number of redirects followed for one URL
+     * @default 5
+     */
+    maxRedirects?: number;
+
+    /**
+     * Time limit for fetching one URL in milliseconds, downloading the body included
+     * @default 30000
+     */
+    timeout?: number;
+
+    /**
+     * Maximum size of one response body in bytes
+     * @default no limit besides the attachment size limits
+     */
+    maxSize?: number;
+}
+
+export type UsesendFileAttachmentOptions = {
+    /**
+     * Only read files inside these directories. Relative paths are resolved against the working
+     * directory, and symbolic links must not lead outside them.
+     * @example ['/srv/app/uploads']
+     */
+    baseDirs?: string[];
+}
+
+export type UsesendIdempotencyOptions = {
+    /**
+     * Name of the request header carrying the key
+     * @default 'Idempotency-Key'
+     */
+    header?: string;
+
+    /**
+     * Record sent messages by key and answer a repeated key with the recorded result instead of
+     * sending again, for backends that do not dedupe themselves. `true` uses an in-memory store
+     * (24 hours, 10000 keys); pass a shared store to dedupe across processes and restarts.
+     * @default false
+     */
+    store?: boolean | UsesendIdempotencyStore;
+}
+
+/**
+ * What a store records for a sent message
+ */
+export type UsesendIdempotencyRecord = {
+    emailId: string;
+}
+
+/**
+ * Storage for `idempotency.store`. Both methods may be synchronous or return promises.
+ * Records should expire at some point; how long they are kept is up to the store.
+ */
+export type UsesendIdempotencyStore = {
+    /**
+     * Returns the record of the message sent with this key, or undefined when there is none
+     */
+    get(key: string): UsesendIdempotencyRecord | undefined | Promise<UsesendIdempotencyRecord | undefined>;
+
+    /**
+     * Records a message sent with this key
+     */
+    set(key: string, record: UsesendIdempotencyRecord): void | Promise<void>;
+}
+
+/**
+ * How strictly addresses are checked before sending:
+ * - `strict`: RFC 5321/5322 syntax and length limits (quoted local parts, IP literals and UTF-8 local parts allowed)
+ * - `lenient`: only a non-empty local part and a domain with at least two non-empty labels
+ * - `off`: no checks, addresses are forwarded as given
+ */
+export type UsesendAddressValidation = 'strict' | 'lenient' | 'off';
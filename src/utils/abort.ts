@@ -0,0 +1,61 @@
+import { UsesendAbortError, UsesendError, UsesendTimeoutError } from '../errors';
+
+/**
+ * The signal that cancels one send. `dispose` clears the time limit and detaches
+ * the caller's signal once the send has completed.
+ */
+export type SendSignal = {
+    signal: AbortSignal;
+    dispose: () => void;
+};
+
+/**
+ * Combines the caller's `signal` and a `timeout` in milliseconds into one signal. It is aborted
+ * with a UsesendTimeoutError or UsesendAbortError as its reason, so whatever the abort interrupts
+ * (fetching a URL, reading a stream, waiting for a retry or the API request) fails with that error.
+ * Returns null when there is nothing to abort on.
+ */
+export function createSendSignal(signal?: AbortSignal, timeout?: number): SendSignal | null {
+    if (!signal && timeout === undefined) {
+        return null;
+    }
+
+    const controller = new AbortController();
+    const abort = () => controller.abort(toAbortError(signal?.reason));
+    const timer = timeout !== undefined
+        ? setTimeout(() => controller.abort(new UsesendTimeoutError(`Sending the email timed out after ${timeout} ms.`, timeout)), timeout)
+        : undefined;
+
+    if (signal?.aborted) {
+        abort();
+    } else {
+        signal?.addEventListener('abort', abort, { once: true });
+    }
+
+    return {
+        signal: controller.signal,
+        dispose: () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', abort);
+        },
+    };
+}
+
+/**
+ * Maps the reason a caller's signal was aborted with to a Usesend error.
+ * `AbortSignal.timeout()` signals count as timeouts.
+ */
+function toAbortError(reason: unknown): UsesendError {
+    if (reason instanceof UsesendError) {
+        return reason;
+    }
+    if (reason instanceof Error && reason.name === 'TimeoutError') {
+        return new UsesendTimeoutError('Sending the email timed out: the signal passed with the message timed out.', undefined, { cause: reason });
+    }
+
+    // `abort()` without a reason aborts with a generic AbortError, which adds nothing to the message
+    const detail = reason instanceof Error && reason.name !== 'AbortError'
+        ? `: ${reason.message}`
+        : typeof reason === 'string' ? `: ${reason}` : '.';
+    return new UsesendAbortError(`Sending the email was aborted${detail}`, { cause: reason });
+}
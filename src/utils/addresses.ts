@@ -0,0 +1,239 @@
+import type Mail from 'nodemailer/lib/mailer';
+import addressparser from 'nodemailer/lib/addressparser';
+import * as mimeFuncs from 'nodemailer/lib/mime-funcs';
+import { isIPv4, isIPv6 } from 'node:net';
+import { domainToASCII } from 'node:url';
+import type { UsesendAddressValidation } from '../types/transport';
+
+/**
+ * Any address form Nodemailer accepts for from/to/cc/bcc/replyTo
+ */
+export type NodemailerAddress = string | Mail.Address | Array<string | Mail.Address> | undefined;
+
+export type ParsedAddress = {
+    name: string;
+    address: string;
+};
+
+/**
+ * Parses every Nodemailer address form into a flat list of `{ name, address }` entries:
+ * comma separated strings, `Name <addr>` and quoted names (including names containing `<` or `,`),
+ * group syntax (`Team: a@x.com, b@y.com;`, expanded to its members), Address objects,
+ * and arrays mixing all of these.
+ */
+export function parseAddresses(input: NodemailerAddress): ParsedAddress[] {
+    if (!input) {
+        return [];
+    }
+
+    if (Array.isArray(input)) {
+        const result: ParsedAddress[] = [];
+        input.forEach((entry) => result.push(...parseAddresses(entry)));
+        return result;
+    }
+
+    if (typeof input === 'object') {
+        const address = (input.address || '').trim();
+
+        // Address objects may still carry a full "Name <addr>" string in `address`
+        if (/[<,;:]/.test(address)) {
+            const parsed = parseAddresses(address);
+            if (parsed.length === 1 && input.name) {
+                parsed[0].name = input.name;
+            }
+            return parsed;
+        }
+
+        return [{ name: (input.name || '').trim(), address }];
+    }
+
+    return addressparser(input, { flatten: true }).map((entry) => ({
+        name: (entry.name || '').trim(),
+        address: (entry.address || '').trim(),
+    }));
+}
+
+/**
+ * Formats an address for the API: `addr` without a display name, otherwise `"Name" <addr>`
+ * with quotes and backslashes escaped, or an RFC 2047 encoded word for non-ASCII names.
+ * Line breaks in the name become spaces, so it cannot start another header.
+ */
+export function formatAddress(parsed: ParsedAddress): string {
+    const { address } = parsed;
+    const name = parsed.name.replace(/[\r\n]+/g, ' ').trim();
+    if (!name) {
+        return address;
+    }
+
+    if (!mimeFuncs.isPlainText(name)) {
+        return `${mimeFuncs.encodeWord(name, 'Q', 52)} <${address}>`;
+    }
+
+    return `"${name.replace(/(["\\])/g, '\\$1')}" <${address}>`;
+}
+
+/**
+ * Parses and formats addresses in one step
+ */
+export function normalizeAddresses(input: NodemailerAddress): string[] {
+    return parseAddresses(input).map(formatAddress);
+}
+
+export type Recipients = {
+    to: ParsedAddress[];
+    cc: ParsedAddress[];
+    bcc: ParsedAddress[];
+};
+
+/**
+ * Removes recipients listed more than once across to/cc/bcc (compared case-insensitively),
+ * keeping the most visible occurrence: to before cc before bcc
+ */
+export function dedupeRecipients({ to, cc, bcc }: Recipients): Recipients {
+    const seen = new Set<string>();
+    const unique = (entries: ParsedAddress[]) => entries.filter((entry) => {
+        const key = entry.address.toLowerCase();
+        if (seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+
+    return { to: unique(to), cc: unique(cc), bcc: unique(bcc) };
+}
+
+/**
+ * Restricts delivery to the recipients of an explicit SMTP envelope. Header recipients missing
+ * from the envelope are dropped (and returned so they can be reported); envelope recipients
+ * missing from the headers receive the message as bcc, like a blind copy in SMTP.
+ */
+export function applyEnvelope(
+    recipients: Recipients,
+    envelopeTo: string[],
+): { recipients: Recipients; dropped: ParsedAddress[] } {
+    const wanted = new Set(envelopeTo.map((address) => address.toLowerCase()));
+    const listed = new Set<string>();
+    const dropped: ParsedAddress[] = [];
+
+    const keep = (entries: ParsedAddress[]) => entries.filter((entry) => {
+        const key = entry.address.toLowerCase();
+        if (!wanted.has(key)) {
+            dropped.push(entry);
+            return false;
+        }
+        listed.add(key);
+        return true;
+    });
+
+    const to = keep(recipients.to);
+    const cc = keep(recipients.cc);
+    const bcc = keep(recipients.bcc);
+
+    envelopeTo
+        .filter((address) => !listed.has(address.toLowerCase()))
+        .forEach((address) => bcc.push({ name: '', address }));
+
+    return { recipients: dedupeRecipients({ to, cc, bcc }), dropped };
+}
+
+/** RFC 5321 4.5.3.1: maximum octets in the local part, the domain and the whole address */
+const MAX_LOCAL_PART_LENGTH = 64;
+const MAX_DOMAIN_LENGTH = 253;
+const MAX_ADDRESS_LENGTH = 254;
+
+/** Dot-atom local part; non-ASCII characters are allowed as in RFC 6531 (SMTPUTF8) */
+const DOT_ATOM = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~\u0080-\uFFFF-]+(?:\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~\u0080-\uFFFF-]+)*$/;
+const QUOTED_STRING = /^"(?:[^"\\\r\n]|\\[\x20-\x7e])*"$/;
+const DOMAIN_LABEL = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/i;
+
+/**
+ * Checks an address at the given validation level.
+ * Returns the reason it is invalid, or `null` for a valid address.
+ */
+export function validateAddress(address: string, level: UsesendAddressValidation = 'strict'): string | null {
+    if (level === 'off') {
+        return null;
+    }
+
+    const at = address.lastIndexOf('@');
+    if (at < 1 || at === address.length - 1) {
+        return 'Expected the form local-part@domain';
+    }
+
+    const localPart = address.slice(0, at);
+    const domain = encodeDomain(address.slice(at + 1));
+    const isQuoted = localPart.startsWith('"');
+
+    if (level === 'lenient') {
+        if (!isQuoted && /[\s@]/.test(localPart)) {
+            return 'Local part contains whitespace or "@"';
+        }
+        if (!isIPLiteral(domain) && !/^[^\s@.]+(?:\.[^\s@.]+)+$/.test(domain)) {
+            return 'Domain must contain at least two non-empty labels';
+        }
+        return null;
+    }
+
+    if (!(isQuoted ? QUOTED_STRING : DOT_ATOM).test(localPart)) {
+        return isQuoted ? 'Quoted local part is not terminated or contains invalid characters' : 'Local part contains invalid characters or misplaced dots';
+    }
+    if (Buffer.byteLength(localPart) > MAX_LOCAL_PART_LENGTH) {
+        return `Local part is longer than ${MAX_LOCAL_PART_LENGTH} octets`;
+    }
+    if (Buffer.byteLength(localPart) + 1 + domain.length > MAX_ADDRESS_LENGTH) {
+        return `Address is longer than ${MAX_ADDRESS_LENGTH} octets`;
+    }
+
+    if (domain.startsWith('[')) {
+        return isIPLiteral(domain) ? null : 'Invalid IP address literal';
+    }
+
+    if (domain.length > MAX_DOMAIN_LENGTH) {
+        return `Domain is longer than ${MAX_DOMAIN_LENGTH} octets`;
+    }
+
+    const labels = domain.split('.');
+    if (labels.length < 2) {
+        return 'Domain must contain at least two labels';
+    }
+    if (!labels.every((label) => DOMAIN_LABEL.test(label))) {
+        return 'Domain contains an empty or invalid label';
+    }
+    if (/^\d+$/.test(labels[labels.length - 1])) {
+        return 'Top-level domain cannot be numeric';
+    }
+
+    return null;
+}
+
+/**
+ * Converts an internationalized (IDN) domain in an address to punycode, e.g. `info@bücher.de`
+ * becomes `info@xn--bcher-kva.de`. The local part is left untouched.
+ */
+export function encodeAddressDomain(address: string): string {
+    const at = address.lastIndexOf('@');
+    if (at < 0) {
+        return address;
+    }
+    return `${address.slice(0, at)}@${encodeDomain(address.slice(at + 1))}`;
+}
+
+function encodeDomain(domain: string): string {
+    if (mimeFuncs.isPlainText(domain) || isIPLiteral(domain)) {
+        return domain;
+    }
+    // domainToASCII returns an empty string for domains it cannot convert
+    return domainToASCII(domain) || domain;
+}
+
+/**
+ * Matches `[192.0.2.1]` and `[IPv6:2001:db8::1]` domain literals
+ */
+function isIPLiteral(domain: string): boolean {
+    const match = /^\[(.*)\]$/.exec(domain);
+    if (!match) {
+        return false;
+    }
+    return /^IPv6:/i.test(match[1]) ? isIPv6(match[1].slice(5)) : isIPv4(match[1]);
+}
@@ -0,0 +1,140 @@
+import type { UsesendAttachmentCacheOptions } from '../types/transport';
+
+/** Default memory budget for cached attachment content */
+const CACHE_MAX_SIZE = 50 * 1024 * 1024;
+
+/** Default time an entry is used without checking its source again */
+const CACHE_TTL = 10 * 60 * 1000;
+
+/**
+ * Attachment content after base64 encoding, with what the size and type checks need
+ */
+export type EncodedContent = {
+    /** Base64-encoded content */
+    content: string;
+    /** Size of the raw content in bytes */
+    size: number;
+    /** First bytes of the raw content, for content type checks */
+    head: Buffer;
+};
+
+export type CachedAttachment = EncodedContent & {
+    /** Filename and content type declared by the source (e.g. by the response headers) */
+    filename?: string;
+    contentType?: string;
+    /** Validators used to revalidate an expired URL entry with a conditional request */
+    etag?: string;
+    lastModified?: string;
+};
+
+type Entry = {
+    value: CachedAttachment;
+    bytes: number;
+    expires: number;
+};
+
+/**
+ * In-memory cache of encoded attachment content, keyed by URL, by file path and modification
+ * time or by content hash. Entries are evicted least recently used first once the memory budget
+ * is exceeded, and are used for `ttl` milliseconds. Expired URL entries with an ETag or
+ * Last-Modified date are kept so they can be revalidated instead of downloaded again.
+ */
+export class AttachmentCache {
+    private entries = new Map<string, Entry>();
+    private used = 0;
+    private maxSize: number;
+    private ttl: number;
+
+    constructor(options: UsesendAttachmentCacheOptions = {}) {
+        const { maxSize = CACHE_MAX_SIZE, ttl = CACHE_TTL } = options;
+
+        if (!(maxSize > 0)) {
+            throw new Error('Invalid attachments option "cache.maxSize": expected a positive number of bytes.');
+        }
+        if (!(ttl > 0)) {
+            throw new Error('Invalid attachments option "cache.ttl": expected a positive number of milliseconds.');
+        }
+
+        this.maxSize = maxSize;
+        this.ttl = ttl;
+    }
+
+    /**
+     * Number of cached entries
+     */
+    get size(): number {
+        return this.entries.size;
+    }
+
+    /**
+     * Memory used by the cached entries, in bytes
+     */
+    get bytes(): number {
+        return this.used;
+    }
+
+    /**
+     * Looks up an entry and marks it as recently used. `fresh` is false for an expired entry
+     * that can be revalidated; other expired entries are dropped.
+     */
+    get(key: string): { value: CachedAttachment; fresh: boolean } | undefined {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+
+        const fresh = entry.expires > Date.now();
+        if (!fresh && !entry.value.etag && !entry.value.lastModified) {
+            this.delete(key);
+            return undefined;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return { value: entry.value, fresh };
+    }
+
+    /**
+     * Stores an entry, evicting the least recently used ones to stay within the memory budget.
+     * Content larger than the whole budget is not cached.
+     */
+    set(key: string, value: CachedAttachment): void {
+        this.delete(key);
+
+        const bytes = key.length + value.content.length + value.head.length;
+        if (bytes > this.maxSize) {
+            return;
+        }
+
+        for (const oldest of this.entries.keys()) {
+            if (this.used + bytes <= this.maxSize) break;
+            this.delete(oldest);
+        }
+
+        this.entries.set(key, { value, bytes, expires: Date.now() + this.ttl });
+        this.used += bytes;
+    }
+
+    /**
+     * Starts a new `ttl` period for an entry whose source was found unchanged
+     */
+    refresh(key: string): void {
+        const entry = this.entries.get(key);
+        if (entry) {
+            entry.expires = Date.now() + this.ttl;
+        }
+    }
+
+    delete(key: string): void {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.entries.delete(key);
+            this.used -= entry.bytes;
+        }
+    }
+
+    clear(): void {
+        this.entries.clear();
+        this.used = 0;
+    }
+}
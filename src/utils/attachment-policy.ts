@@ -0,0 +1,179 @@
+import { resolve } from 'node:path';
+import type { UsesendAttachmentOptions, UsesendFileAttachmentOptions, UsesendRemoteAttachmentOptions } from '../types/transport';
+import { UsesendAttachmentPolicyError } from '../errors';
+import type { ProcessAttachmentOptions, SourceAccessOptions } from './attachments';
+import { detectMimeType } from './mime';
+import { AttachmentCache } from './attachment-cache';
+
+/** Maximum number of attachments the Usesend API accepts per email */
+const MAX_COUNT = 10;
+
+/** Default limit for the combined base64 size of a message's attachments */
+const MAX_TOTAL_SIZE = 40 * 1024 * 1024;
+
+export type AttachmentPolicy = {
+    maxCount: number;
+    maxSize?: number;
+    maxTotalSize: number;
+    allowedExtensions: string[] | null;
+    blockedExtensions: string[];
+    allowedTypes: string[] | null;
+    remote: UsesendRemoteAttachmentOptions | false;
+    files: UsesendFileAttachmentOptions | false;
+    /** Shared by every message of the transport */
+    cache: AttachmentCache | null;
+};
+
+/**
+ * Resolves the `attachments` transport option into a complete policy.
+ * Throws for invalid values, so misconfiguration surfaces when the transport is created.
+ */
+export function resolveAttachmentPolicy(options: UsesendAttachmentOptions = {}): AttachmentPolicy {
+    const { maxCount = MAX_COUNT, maxSize, maxTotalSize = MAX_TOTAL_SIZE, remote = true, files = true, cache = false } = options;
+
+    if (!Number.isInteger(maxCount) || maxCount < 0) {
+        throw new Error('Invalid attachments option "maxCount": expected a non-negative integer.');
+    }
+    if (maxSize !== undefined && !(maxSize > 0)) {
+        throw new Error('Invalid attachments option "maxSize": expected a positive number of bytes.');
+    }
+    if (!(maxTotalSize > 0)) {
+        throw new Error('Invalid attachments option "maxTotalSize": expected a positive number of bytes.');
+    }
+
+    return {
+        maxCount,
+        maxSize,
+        maxTotalSize,
+        allowedExtensions: options.allowedExtensions ? normalizeList(options.allowedExtensions, 'allowedExtensions', normalizeExtension) : null,
+        blockedExtensions: normalizeList(options.blockedExtensions || [], 'blockedExtensions', normalizeExtension),
+        allowedTypes: options.allowedTypes ? normalizeList(options.allowedTypes, 'allowedTypes', (type) => type.trim().toLowerCase()) : null,
+        remote: remote && resolveRemoteOptions(remote === true ? {} : remote),
+        files: files && resolveFileOptions(files === true ? {} : files),
+        cache: cache ? new AttachmentCache(cache === true ? {} : cache) : null,
+    };
+}
+
+/**
+ * The rules for reading paths and URLs, which apply to bodies as well as attachments
+ */
+export function getSourceAccess(policy: AttachmentPolicy): SourceAccessOptions {
+    return { remote: policy.remote, files: policy.files };
+}
+
+/**
+ * The rules and size limit for bodies read from a stream, path or URL: the per-attachment limit,
+ * or the per-message one when there is none, so a body cannot grow past what an attachment may
+ */
+export function getBodyAccess(policy: AttachmentPolicy): SourceAccessOptions {
+    return { ...getSourceAccess(policy), maxSize: policy.maxSize ?? policy.maxTotalSize };
+}
+
+/**
+ * Builds the checks `processAttachment` runs for one message. The returned options share
+ * the message's size budget, so use one call per message.
+ */
+export function createAttachmentChecks(policy: AttachmentPolicy): ProcessAttachmentOptions {
+    return {
+        maxSize: policy.maxSize,
+        message: { used: 0, maxSize: policy.maxTotalSize },
+        checkFilename: (filename) => checkExtension(filename, policy),
+        checkContent: policy.allowedTypes ? (head, filename) => checkContentType(head, filename, policy) : undefined,
+        ...getSourceAccess(policy),
+        cache: policy.cache || undefined,
+    };
+}
+
+/**
+ * Rejects a message with more attachments than the policy allows
+ */
+export function checkAttachmentCount(count: number, policy: AttachmentPolicy): void {
+    if (count > policy.maxCount) {
+        throw new UsesendAttachmentPolicyError(
+            `Maximum ${policy.maxCount} attachments allowed per email. Please reduce the number of attachments.`,
+            'count',
+        );
+    }
+}
+
+/**
+ * Checks every extension of the filename (`report.tar.gz` has `gz` and `tar.gz`)
+ * against the allowed and blocked lists
+ */
+function checkExtension(filename: string, policy: AttachmentPolicy): void {
+    // Trailing dots and spaces are dropped by Windows, so "setup.exe." is an .exe file
+    const parts = filename.toLowerCase().replace(/[.\s]+$/, '').split('.').slice(1);
+    const extensions = parts.map((_, index) => parts.slice(index).join('.'));
+
+    const blocked = extensions.find((extension) => policy.blockedExtensions.includes(extension));
+    if (blocked) {
+        throw new UsesendAttachmentPolicyError(
+            `Attachment "${filename}" is not allowed: files with the extension ".${blocked}" are blocked.`,
+            'extension',
+            filename,
+        );
+    }
+
+    const allowed = policy.allowedExtensions;
+    if (allowed && !extensions.some((extension) => allowed.includes(extension))) {
+        throw new UsesendAttachmentPolicyError(
+            `Attachment "${filename}" is not allowed: only ${allowed.map((extension) => `.${extension}`).join(', ')} files can be attached.`,
+            'extension',
+            filename,
+        );
+    }
+}
+
+/**
+ * Checks the type detected from the content's magic bytes against the allowed types.
+ * Entries may use wildcards such as `image/*`.
+ */
+function checkContentType(head: Buffer, filename: string, policy: AttachmentPolicy): void {
+    const type = detectMimeType(head);
+    const allowed = (policy.allowedTypes || []).some((entry) => entry === type || (entry.endsWith('/*') && type.startsWith(entry.slice(0, -1))));
+
+    if (!allowed) {
+        throw new UsesendAttachmentPolicyError(
+            `Attachment "${filename}" is not allowed: its content was detected as "${type}", which is not an allowed type.`,
+            'type',
+            filename,
+        );
+    }
+}
+
+function resolveRemoteOptions(remote: UsesendRemoteAttachmentOptions): UsesendRemoteAttachmentOptions {
+    const { maxRedirects, timeout, maxSize } = remote;
+
+    if (maxRedirects !== undefined && (!Number.isInteger(maxRedirects) || maxRedirects < 0)) {
+        throw new Error('Invalid attachments option "remote.maxRedirects": expected a non-negative integer.');
+    }
+    if (timeout !== undefined && !(timeout > 0)) {
+        throw new Error('Invalid attachments option "remote.timeout": expected a positive number of milliseconds.');
+    }
+    if (maxSize !== undefined && !(maxSize > 0)) {
+        throw new Error('Invalid attachments option "remote.maxSize": expected a positive number of bytes.');
+    }
+
+    return {
+        ...remote,
+        allowedHosts: remote.allowedHosts && normalizeList(remote.allowedHosts, 'remote.allowedHosts', (host) => host.trim().toLowerCase()),
+    };
+}
+
+function resolveFileOptions(files: UsesendFileAttachmentOptions): UsesendFileAttachmentOptions {
+    // Resolved once, so later changes of the working directory do not move the allowed directories
+    return {
+        baseDirs: files.baseDirs && normalizeList(files.baseDirs, 'files.baseDirs', (dir) => dir.trim() && resolve(dir)),
+    };
+}
+
+function normalizeExtension(extension: string): string {
+    return extension.trim().toLowerCase().replace(/^\.+/, '');
+}
+
+function normalizeList(values: string[], name: string, normalize: (value: string) => string): string[] {
+    if (!Array.isArray(values) || values.some((value) => typeof value !== 'string')) {
+        throw new Error(`Invalid attachments option "${name}": expected an array of strings.`);
+    }
+    return values.map(normalize).filter((value) => value !== '');
+}
@@ -1,8 +1,18 @@
-import type { Readable } from 'node:stream';
 import type Mail from 'nodemailer/lib/mailer';
 import type { Url } from 'node:url';
-import { readFile } from 'node:fs/promises';
-import { Readable as ReadableStream } from 'node:stream';
+import { createHash } from 'node:crypto';
+import { createReadStream, Stats } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { addAbortSignal, Readable } from 'node:stream';
+import type { UsesendFileAttachmentOptions, UsesendRemoteAttachmentOptions } from '../types/transport';
+import { UsesendAttachmentPolicyError, UsesendError } from '../errors';
+import { getExtension, getMimeType, SNIFF_LENGTH } from './mime';
+import { filenameFromContentDisposition, filenameFromPath, filenameFromUrl, sanitizeFilename } from './filename';
+import { checkFilePath, fetchRemote } from './source-access';
+import { AttachmentCache, CachedAttachment, EncodedContent } from './attachment-cache';
+import { decodeContent } from './encoding';
+import { parseDataUri } from './data-uri';
 
 /**
  * Usesend API attachment format (base64-encoded content)
@@ -10,61 +20,222 @@ import { Readable as ReadableStream } from 'node:stream';
 export interface UsesendAttachment {
     filename: string;
     content: string; // base64-encoded
+    /** The attachment's `contentType`, else the type its source declares, else the one of its extension */
+    contentType: string;
 }
 
+/**
+ * Where an attachment's content came from: `content` given as a string, Buffer or stream,
+ * a file path, an http(s) URL, a data URI, or `raw` MIME content
+ */
+export type AttachmentSourceType = 'string' | 'buffer' | 'stream' | 'file' | 'url' | 'data-uri' | 'raw';
+
+/**
+ * Details of an attachment once its content has been read and encoded
+ */
+export type ResolvedAttachment = {
+    filename: string;
+    contentType: string;
+    /** Size of the content in bytes */
+    size: number;
+    /** Size of the content after base64 encoding, in bytes */
+    encodedSize: number;
+    source: AttachmentSourceType;
+    /** The encoded content was taken from the attachment cache */
+    cached: boolean;
+};
+
+/**
+ * Limits and checks applied while an attachment is read. Each check runs before the content
+ * it needs has been read completely, so a refused attachment is never fully loaded.
+ */
+export interface ProcessAttachmentOptions {
+    /** Maximum size of a single attachment in bytes, before base64 encoding */
+    maxSize?: number;
+    /** Base64 bytes of all attachments of one message so far, to enforce a per-message limit */
+    message?: { used: number; maxSize: number };
+    /** Called with the filename before the content is read; throw to refuse the attachment */
+    checkFilename?: (filename: string) => void;
+    /** Called with the first bytes of the content (up to `SNIFF_LENGTH`); throw to refuse the attachment */
+    checkContent?: (head: Buffer, filename: string) => void;
+    /** Rules for http(s) paths, or `false` to refuse them. Redirects and time are limited by default. */
+    remote?: UsesendRemoteAttachmentOptions | false;
+    /** Rules for file paths, or `false` to refuse them */
+    files?: UsesendFileAttachmentOptions | false;
+    /** Aborts fetching URLs and reading files and streams */
+    signal?: AbortSignal;
+    /** Reuses content read and encoded by earlier calls: URLs, files and Buffer or string content */
+    cache?: AttachmentCache;
+    /** Called with the attachment's details once it has been read and encoded */
+    onResolved?: (attachment: ResolvedAttachment) => void;
+}
+
+/**
+ * The options that decide where path content may be read from, and how much of it
+ */
+export type SourceAccessOptions = Pick<ProcessAttachmentOptions, 'remote' | 'files' | 'signal' | 'maxSize'>;
+
+/**
+ * Content that is already in memory, a stream that is read and encoded chunk by chunk,
+ * or content encoded earlier and taken from the cache
+ */
+type ContentSource = Buffer | Readable | EncodedContent;
+
+/**
+ * An opened content source, with the filename and content type it declares (if any)
+ */
+type OpenedSource = {
+    source: ContentSource;
+    filename?: string;
+    contentType?: string;
+    /** Prefix for read errors */
+    context?: string;
+    /** Cache key to store the encoded content under */
+    cacheKey?: string;
+    /** ETag and Last-Modified date of a fetched URL, for revalidating the cached content */
+    validators?: Pick<CachedAttachment, 'etag' | 'lastModified'>;
+};
+
 /**
  * Converts a Nodemailer attachment to Usesend API format.
  * Handles all Nodemailer attachment input types and converts content to base64.
+ * Streams, files and URLs are encoded chunk by chunk, and reading stops as soon as
+ * a limit or check fails.
  */
 export async function processAttachment(
     attachment: Mail.Attachment,
+    options: ProcessAttachmentOptions = {},
 ): Promise<UsesendAttachment> {
-    // Handle raw MIME content override
-    if (attachment.raw) {
-        const content = await resolveContent(attachment.raw);
-        return {
-            filename: generateFilename(attachment),
-            content: content.toString('base64'),
-        };
-    }
-
-    // Priority 1: Handle path (file, URL, or data URI)
-    if (attachment.path) {
-        const { content, filename } = await processPath(
-            attachment.path,
-            attachment.filename,
-        );
-        return {
-            filename: filename || generateFilename(attachment),
-            content: content.toString('base64'),
-        };
+    const counter = new SizeCounter(attachment.filename || 'unnamed', options);
+    // Nodemailer moves http(s) paths to `href` when it compiles the message
+    const path = attachment.path || (attachment as Mail.Attachment & { href?: string }).href;
+    let opened: OpenedSource;
+    let sourceType: AttachmentSourceType;
+
+    // A filename given explicitly is final, so it is checked before the source is opened
+    const givenName = typeof attachment.filename === 'string' ? sanitizeFilename(attachment.filename) : '';
+    if (givenName) {
+        options.checkFilename?.(givenName);
     }
 
-    // Priority 2: Handle direct content
-    if (attachment.content !== undefined) {
-        const content = await processContent(
+    if (attachment.raw) {
+        // Handle raw MIME content override
+        opened = { source: await openContentSource(attachment.raw, undefined, options, counter) };
+        sourceType = 'raw';
+    } else if (path) {
+        // Priority 1: Handle path (file, URL, or data URI)
+        const pathStr = typeof path === 'string' ? path : path.href;
+        sourceType = /^data:/i.test(pathStr) ? 'data-uri' : /^https?:\/\//.test(pathStr) ? 'url' : 'file';
+        opened = await processPath(path, options, counter);
+    } else if (attachment.content !== undefined) {
+        sourceType = isReadableStream(attachment.content) ? 'stream' : Buffer.isBuffer(attachment.content) ? 'buffer' : 'string';
+        // Priority 2: Handle direct content
+        const source = processContent(
             attachment.content,
             attachment.encoding,
         );
-        return {
-            filename: generateFilename(attachment),
-            content: content.toString('base64'),
-        };
+        opened = options.cache && Buffer.isBuffer(source)
+            ? openCachedBuffer(source, options.cache)
+            : { source };
+    } else {
+        // No content source provided
+        throw new Error(
+            `Attachment "${attachment.filename || 'unnamed'}" has no content source (missing content or path)`,
+        );
     }
 
-    // No content source provided
-    throw new Error(
-        `Attachment "${attachment.filename || 'unnamed'}" has no content source (missing content or path)`,
+    const declaredType = attachment.contentType || opened.contentType;
+    const filename = resolveFilename(attachment.filename, opened.filename, declaredType);
+    const contentType = declaredType || getMimeType(filename) || 'application/octet-stream';
+    counter.name = filename;
+
+    try {
+        if (!givenName) {
+            options.checkFilename?.(filename);
+        }
+        if (options.signal && isReadableStream(opened.source)) {
+            addAbortSignal(options.signal, opened.source);
+        }
+    } catch (error) {
+        // Close the file or connection opened for the refused attachment
+        if (isReadableStream(opened.source)) {
+            opened.source.destroy();
+        }
+        throw error;
+    }
+
+    const checkContent = options.checkContent;
+    const cached = isEncodedContent(opened.source);
+    const encoded = await encodeBase64(
+        opened.source,
+        counter,
+        opened.context,
+        checkContent && ((head) => checkContent(head, filename)),
     );
+
+    if (options.cache && opened.cacheKey) {
+        options.cache.set(opened.cacheKey, {
+            ...encoded,
+            filename: opened.filename,
+            contentType: opened.contentType,
+            ...opened.validators,
+        });
+    }
+
+    options.onResolved?.({
+        filename,
+        contentType,
+        size: encoded.size,
+        encodedSize: encoded.content.length,
+        source: sourceType,
+        cached,
+    });
+
+    return { filename, content: encoded.content, contentType };
+}
+
+/**
+ * Takes in-memory content from the cache when the same bytes were encoded before,
+ * and marks it for caching otherwise
+ */
+function openCachedBuffer(buffer: Buffer, cache: AttachmentCache): OpenedSource {
+    const key = `sha256:${createHash('sha256').update(buffer).digest('base64')}`;
+    const cached = cache.get(key);
+    return cached ? { source: cached.value } : { source: buffer, cacheKey: key };
+}
+
+/**
+ * Picks the filename: the one given, else the one the source declares (completed with an
+ * extension for its content type when it has none), else `attachment.<extension>`.
+ * Names are sanitized; one with nothing usable left counts as missing.
+ */
+function resolveFilename(
+    given: string | false | undefined,
+    declared: string | undefined,
+    contentType: string | undefined,
+): string {
+    const extension = (contentType && getExtension(contentType)) || 'bin';
+
+    const explicit = typeof given === 'string' ? sanitizeFilename(given) : '';
+    if (explicit) {
+        return explicit;
+    }
+
+    const fromSource = declared ? sanitizeFilename(declared) : '';
+    if (fromSource) {
+        return fromSource.includes('.') || !contentType ? fromSource : `${fromSource}.${extension}`;
+    }
+
+    return `attachment.${extension}`;
 }
 
 /**
  * Processes content based on its type (string, Buffer, Stream)
  */
-async function processContent(
+function processContent(
     content: string | Buffer | Readable,
     encoding?: string,
-): Promise<Buffer> {
+): ContentSource {
     // Handle Buffer
     if (Buffer.isBuffer(content)) {
         return content;
@@ -72,17 +243,12 @@ async function processContent(
 
     // Handle Stream
     if (isReadableStream(content)) {
-        return await streamToBuffer(content);
+        return content;
     }
 
-    // Handle string
+    // Handle string, decoded with the given encoding (UTF-8 text by default)
     if (typeof content === 'string') {
-        // If encoding is specified, decode the string first
-        if (encoding) {
-            return Buffer.from(content, encoding as BufferEncoding);
-        }
-        // Otherwise, treat as UTF-8 string
-        return Buffer.from(content, 'utf-8');
+        return decodeContent(content, encoding);
     }
 
     throw new Error(`Unsupported content type: ${typeof content}`);
@@ -93,132 +259,253 @@ async function processContent(
  */
 async function processPath(
     path: string | Url,
-    filename?: string | false,
-): Promise<{ content: Buffer; filename?: string }> {
+    options: ProcessAttachmentOptions,
+    counter?: SizeCounter,
+): Promise<OpenedSource> {
     // Convert to string (handles both string and Url types)
     const pathStr = typeof path === 'string' ? path : path.href;
 
     // Handle data URI (e.g., data:image/png;base64,...)
-    if (pathStr.startsWith('data:')) {
-        return processDataURI(pathStr, filename);
+    if (/^data:/i.test(pathStr)) {
+        return processDataURI(pathStr);
     }
 
     // Handle HTTP/HTTPS URLs
     if (pathStr.startsWith('http://') || pathStr.startsWith('https://')) {
-        return await fetchFromURL(pathStr, filename);
+        return await fetchFromURL(pathStr, options, counter);
     }
 
     // Handle file paths (remove file:// prefix if present)
     const filePath = pathStr.startsWith('file://')
         ? pathStr.slice(7)
         : pathStr;
-    return await readFromFile(filePath, filename);
+    return await readFromFile(filePath, options, counter);
 }
 
 /**
- * Parses and extracts content from data URI
+ * Parses and extracts content from data URI, keeping the media type and its parameters
  */
-function processDataURI(
-    dataUri: string,
-    filename?: string | false,
-): { content: Buffer; filename?: string } {
-    const match = dataUri.match(/^data:([^;]+)?(?:;base64)?,(.*)$/);
-    if (!match) {
-        throw new Error('Invalid data URI format');
-    }
-
-    const [, mimeType, data] = match;
-    const isBase64 = dataUri.includes(';base64,');
-
-    // Extract content
-    const content = isBase64
-        ? Buffer.from(data, 'base64')
-        : Buffer.from(decodeURIComponent(data), 'utf-8');
-
-    // Generate filename from MIME type if needed
-    let generatedFilename: string | undefined;
-    if (!filename && mimeType) {
-        const ext = mimeType.split('/')[1] || 'bin';
-        generatedFilename = `attachment.${ext}`;
-    }
-
-    return { content, filename: generatedFilename };
+function processDataURI(dataUri: string): OpenedSource {
+    const { contentType, data } = parseDataUri(dataUri);
+    return { source: data, contentType };
 }
 
 /**
- * Fetches content from HTTP/HTTPS URL
+ * Fetches content from HTTP/HTTPS URL within the remote access rules. The response body is
+ * streamed; a declared Content-Length over the size limits rejects the attachment before
+ * downloading it. The filename comes from the Content-Disposition header or the URL path.
+ *
+ * With a cache, content fetched within the cache's `ttl` is reused without a request, and
+ * expired content is revalidated with its ETag or Last-Modified date.
  */
 async function fetchFromURL(
     url: string,
-    filename?: string | false,
-): Promise<{ content: Buffer; filename?: string }> {
+    options: ProcessAttachmentOptions,
+    counter?: SizeCounter,
+): Promise<OpenedSource> {
+    const context = `Failed to fetch attachment from URL "${url}"`;
+    const { cache } = options;
+    const cacheKey = `url:${url}`;
+    const cached = cache?.get(cacheKey);
+    let source: ContentSource;
+    let headers: Headers;
+
+    if (cached?.fresh) {
+        return { source: cached.value, filename: cached.value.filename, contentType: cached.value.contentType };
+    }
+
     try {
-        const response = await fetch(url);
+        const { response, body } = await fetchRemote(url, options.remote, {
+            signal: options.signal,
+            filename: counter?.name,
+            headers: cached && conditionalHeaders(cached.value),
+        });
 
-        if (!response.ok) {
-            throw new Error(
-                `HTTP ${response.status}: ${response.statusText}`,
-            );
+        // Unchanged since it was cached
+        if (cache && cached && response.status === 304) {
+            body?.destroy();
+            cache.refresh(cacheKey);
+            return { source: cached.value, filename: cached.value.filename, contentType: cached.value.contentType };
         }
 
-        const arrayBuffer = await response.arrayBuffer();
-        const content = Buffer.from(arrayBuffer);
+        try {
+            if (!response.ok) {
+                throw new Error(
+                    `HTTP ${response.status}: ${response.statusText}`,
+                );
+            }
 
-        // Try to extract filename from URL if not provided
-        let generatedFilename: string | undefined;
-        if (!filename) {
-            const urlPath = new URL(url).pathname;
-            const urlFilename = urlPath.split('/').pop();
-            if (urlFilename && urlFilename.length > 0) {
-                generatedFilename = urlFilename;
+            const contentLength = Number(response.headers.get('content-length'));
+            if (contentLength > 0) {
+                counter?.ensureFits(contentLength);
             }
+        } catch (error) {
+            body?.destroy();
+            throw error;
         }
 
-        return { content, filename: generatedFilename };
+        source = body || Buffer.alloc(0);
+        headers = response.headers;
     } catch (error) {
+        if (error instanceof UsesendError) {
+            throw error;
+        }
         throw new Error(
-            `Failed to fetch attachment from URL "${url}": ${error instanceof Error ? error.message : String(error)}`,
+            `${context}: ${error instanceof Error ? error.message : String(error)}`,
         );
     }
+
+    // A generic type says nothing, so the filename's extension decides instead
+    const contentType = headers.get('content-type') || undefined;
+
+    return {
+        source,
+        filename: filenameFromContentDisposition(headers.get('content-disposition')) || filenameFromUrl(url),
+        contentType: contentType && !/^application\/octet-stream\b/i.test(contentType) ? contentType : undefined,
+        context,
+        cacheKey: cache && !/\bno-store\b/i.test(headers.get('cache-control') || '') ? cacheKey : undefined,
+        validators: {
+            etag: headers.get('etag') || undefined,
+            lastModified: headers.get('last-modified') || undefined,
+        },
+    };
+}
+
+function conditionalHeaders(cached: CachedAttachment): Record<string, string> {
+    const headers: Record<string, string> = {};
+    if (cached.etag) headers['If-None-Match'] = cached.etag;
+    if (cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+    return headers;
 }
 
 /**
- * Reads content from file system
+ * Opens a file from the file system as a stream, after checking its location against the file
+ * access rules and its size against the limits
  */
 async function readFromFile(
     filePath: string,
-    filename?: string | false,
-): Promise<{ content: Buffer; filename?: string }> {
+    options: ProcessAttachmentOptions,
+    counter?: SizeCounter,
+): Promise<OpenedSource> {
+    const context = `Failed to read attachment from file "${filePath}"`;
+    let openPath: string;
+    let stats: Stats;
+
     try {
-        const content = await readFile(filePath);
-
-        // Extract filename from path if not provided
-        let generatedFilename: string | undefined;
-        if (!filename) {
-            const pathSegments = filePath.split('/');
-            const fileFilename = pathSegments[pathSegments.length - 1];
-            if (fileFilename && fileFilename.length > 0) {
-                generatedFilename = fileFilename;
-            }
+        openPath = await checkFilePath(filePath, options.files, counter?.name);
+        stats = await stat(openPath);
+        if (stats.isDirectory()) {
+            throw new Error('EISDIR: illegal operation on a directory');
+        }
+        counter?.ensureFits(stats.size);
+    } catch (error) {
+        if (error instanceof UsesendError) {
+            throw error;
         }
+        throw new Error(
+            `${context}: ${error instanceof Error ? error.message : String(error)}`,
+        );
+    }
 
-        return { content, filename: generatedFilename };
+    // A changed file gets a new key, since the modification time and size are part of it
+    const cacheKey = `file:${resolve(openPath)}:${stats.mtimeMs}:${stats.size}`;
+    const cached = options.cache?.get(cacheKey);
+    if (cached) {
+        return { source: cached.value, filename: filenameFromPath(filePath) };
+    }
+
+    return {
+        source: createReadStream(openPath, { signal: options.signal }),
+        filename: filenameFromPath(filePath),
+        context,
+        cacheKey: options.cache ? cacheKey : undefined,
+    };
+}
+
+/**
+ * Encodes content to base64. Streams are encoded chunk by chunk (carrying over the bytes
+ * that do not fill a 3-byte group), so the raw content is never held in memory as a whole.
+ * `checkHead` receives the first `SNIFF_LENGTH` bytes before the rest is read.
+ */
+async function encodeBase64(
+    source: ContentSource,
+    counter: SizeCounter,
+    context = 'Failed to read stream',
+    checkHead?: (head: Buffer) => void,
+): Promise<EncodedContent> {
+    if (isEncodedContent(source)) {
+        checkHead?.(source.head);
+        counter.add(source.size);
+        return source;
+    }
+
+    if (Buffer.isBuffer(source)) {
+        // Copied, so a cached head does not keep the whole buffer alive
+        const head = Buffer.from(source.subarray(0, SNIFF_LENGTH));
+        checkHead?.(head);
+        counter.add(source.length);
+        return { content: source.toString('base64'), size: source.length, head };
+    }
+
+    const parts: string[] = [];
+    let carry: Buffer = Buffer.alloc(0);
+    let head: Buffer = Buffer.alloc(0);
+    let size = 0;
+
+    try {
+        for await (const chunk of source) {
+            const buffer: Buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+            counter.add(buffer.length);
+            size += buffer.length;
+
+            if (head.length < SNIFF_LENGTH) {
+                head = Buffer.concat([head, buffer.subarray(0, SNIFF_LENGTH - head.length)]);
+                if (head.length === SNIFF_LENGTH) {
+                    checkHead?.(head);
+                }
+            }
+
+            const data = carry.length > 0 ? Buffer.concat([carry, buffer]) : buffer;
+            const usable = data.length - (data.length % 3);
+            parts.push(data.subarray(0, usable).toString('base64'));
+            carry = data.subarray(usable);
+        }
     } catch (error) {
+        // Leaving the loop early destroys the stream, so nothing more is read
+        if (error instanceof UsesendError) {
+            throw error;
+        }
         throw new Error(
-            `Failed to read attachment from file "${filePath}": ${error instanceof Error ? error.message : String(error)}`,
+            `${context}: ${error instanceof Error ? error.message : String(error)}`,
         );
     }
+
+    // Content shorter than the sniffing length
+    if (head.length < SNIFF_LENGTH) {
+        checkHead?.(head);
+    }
+
+    parts.push(carry.toString('base64'));
+    return { content: parts.join(''), size, head };
 }
 
 /**
- * Converts a Readable stream to Buffer
+ * Converts a Readable stream to Buffer, destroying it once the counter's limit is exceeded
  */
-async function streamToBuffer(stream: Readable): Promise<Buffer> {
+async function streamToBuffer(stream: Readable, counter?: SizeCounter): Promise<Buffer> {
     return new Promise((resolve, reject) => {
         const chunks: Buffer[] = [];
 
         stream.on('data', (chunk: Buffer | string) => {
-            chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+            const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+            try {
+                counter?.add(buffer.length);
+            } catch (error) {
+                stream.destroy();
+                reject(error);
+                return;
+            }
+            chunks.push(buffer);
         });
 
         stream.on('end', () => {
@@ -226,6 +513,10 @@ async function streamToBuffer(stream: Readable): Promise<Buffer> {
         });
 
         stream.on('error', (error) => {
+            if (error instanceof UsesendError) {
+                reject(error);
+                return;
+            }
             reject(
                 new Error(
                     `Failed to read stream: ${error instanceof Error ? error.message : String(error)}`,
@@ -236,36 +527,58 @@ async function streamToBuffer(stream: Readable): Promise<Buffer> {
 }
 
 /**
- * Resolves content from raw MIME content (string, Buffer, Stream, or object)
+ * Resolves content from raw MIME content or a message body (string, Buffer, Stream, or an object
+ * with `path`, `href` or `content`). `encoding` applies to string content, e.g. 'base64' or 'hex'.
+ * Paths and URLs are read within the `access` rules, and reading stops once the content exceeds
+ * `access.maxSize`; `name` is the message body the content belongs to, named in that error.
  */
-async function resolveContent(
-    raw: string | Buffer | Readable | Mail.AttachmentLike,
+export async function resolveContent(
+    raw: string | Buffer | Readable | Mail.AttachmentLike | { href: string },
+    encoding?: string,
+    access: SourceAccessOptions = {},
+    name = 'content',
 ): Promise<Buffer> {
-    if (Buffer.isBuffer(raw)) {
-        return raw;
+    const counter = access.maxSize === undefined ? undefined : new SizeCounter(name, { maxSize: access.maxSize }, 'body');
+    const source = await openContentSource(raw, encoding, access, counter);
+    if (isEncodedContent(source)) {
+        return Buffer.from(source.content, 'base64');
     }
-
-    if (typeof raw === 'string') {
-        return Buffer.from(raw, 'utf-8');
+    if (Buffer.isBuffer(source)) {
+        counter?.add(source.length);
+        return source;
+    }
+    if (access.signal) {
+        addAbortSignal(access.signal, source);
     }
+    return streamToBuffer(source, counter);
+}
 
-    if (isReadableStream(raw)) {
-        return await streamToBuffer(raw);
+/**
+ * Opens any content form (string, Buffer, Stream, or an object with `path`, `href` or `content`)
+ */
+async function openContentSource(
+    raw: string | Buffer | Readable | Mail.AttachmentLike | { href: string },
+    encoding: string | undefined,
+    options: ProcessAttachmentOptions,
+    counter?: SizeCounter,
+): Promise<ContentSource> {
+    if (Buffer.isBuffer(raw) || typeof raw === 'string' || isReadableStream(raw)) {
+        return processContent(raw, encoding);
     }
 
     // If it's an AttachmentLike object, recursively process it
     if (typeof raw === 'object' && raw !== null) {
-        const attachmentLike = raw as Mail.AttachmentLike;
+        const attachmentLike = raw as Mail.AttachmentLike & { href?: string; encoding?: string };
+        if (attachmentLike.href) {
+            const { source } = await processPath(attachmentLike.href, options, counter);
+            return source;
+        }
         if (attachmentLike.path) {
-            // Convert path to string (handles both string and Url types)
-            const pathStr = typeof attachmentLike.path === 'string'
-                ? attachmentLike.path
-                : attachmentLike.path.href;
-            const { content } = await processPath(pathStr);
-            return content;
+            const { source } = await processPath(attachmentLike.path, options, counter);
+            return source;
         }
         if (attachmentLike.content !== undefined) {
-            return await processContent(attachmentLike.content);
+            return processContent(attachmentLike.content, attachmentLike.encoding);
         }
     }
 
@@ -273,21 +586,68 @@ async function resolveContent(
 }
 
 /**
- * Generates a filename when none is provided
+ * Tracks the bytes read for one attachment (or message body) against the per-attachment limit
+ * (raw bytes) and the per-message limit (bytes after base64 encoding)
  */
-function generateFilename(attachment: Mail.Attachment): string {
-    if (attachment.filename && typeof attachment.filename === 'string') {
-        return attachment.filename;
+class SizeCounter {
+    private size = 0;
+
+    constructor(public name: string, private options: ProcessAttachmentOptions, private kind: 'attachment' | 'body' = 'attachment') { }
+
+    /**
+     * Rejects a known size up front, before any content is read
+     */
+    ensureFits(bytes: number): void {
+        const added = encodedLength(this.size + bytes) - encodedLength(this.size);
+        this.check(this.size + bytes, (this.options.message?.used ?? 0) + added);
     }
 
-    // Try to extract from content type
-    if (attachment.contentType) {
-        const ext = attachment.contentType.split('/')[1] || 'bin';
-        return `attachment.${ext}`;
+    add(bytes: number): void {
+        const { message } = this.options;
+        if (message) {
+            message.used += encodedLength(this.size + bytes) - encodedLength(this.size);
+        }
+        this.size += bytes;
+        this.check(this.size, message?.used ?? 0);
     }
 
-    // Default fallback
-    return 'attachment.bin';
+    private check(size: number, messageSize: number): void {
+        const { maxSize, message } = this.options;
+
+        if (maxSize !== undefined && size > maxSize) {
+            throw new UsesendAttachmentPolicyError(
+                this.kind === 'body'
+                    ? `The "${this.name}" body is larger than the limit of ${formatBytes(maxSize)}.`
+                    : `Attachment "${this.name}" is larger than the limit of ${formatBytes(maxSize)} per attachment.`,
+                'size',
+                this.name,
+            );
+        }
+        if (message && messageSize > message.maxSize) {
+            throw new UsesendAttachmentPolicyError(
+                `Attachments exceed the limit of ${formatBytes(message.maxSize)} per message after base64 encoding (while reading "${this.name}").`,
+                'totalSize',
+                this.name,
+            );
+        }
+    }
+}
+
+/**
+ * Length of the base64 encoding of `bytes` bytes
+ */
+function encodedLength(bytes: number): number {
+    return Math.ceil(bytes / 3) * 4;
+}
+
+function formatBytes(bytes: number): string {
+    if (bytes >= 1024 * 1024) {
+        return `${+(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    if (bytes >= 1024) {
+        return `${+(bytes / 1024).toFixed(1)} KB`;
+    }
+    return `${bytes} bytes`;
 }
 
 /**
@@ -297,7 +657,11 @@ function isReadableStream(value: unknown): value is Readable {
     return (
         value !== null &&
         typeof value === 'object' &&
-        typeof (value as ReadableStream).pipe === 'function' &&
-        typeof (value as ReadableStream).on === 'function'
+        typeof (value as Readable).pipe === 'function' &&
+        typeof (value as Readable).on === 'function'
     );
 }
+
+function isEncodedContent(source: ContentSource): source is EncodedContent {
+    return typeof (source as EncodedContent).content === 'string';
+}
@@ -0,0 +1,117 @@
+import type Mail from 'nodemailer/lib/mailer';
+import { resolveContent, SourceAccessOptions } from './attachments';
+import { UsesendError, UsesendValidationError, UsesendValidationIssue } from '../errors';
+
+type BodyContent = Mail.Options['html'];
+
+export type ResolvedBody = {
+    text?: string;
+    html?: string;
+};
+
+/**
+ * Resolves the text and html bodies from every content form Nodemailer accepts: strings
+ * (decoded with the `encoding` mail option), Buffers, streams and `{ path }`, `{ href }` or
+ * `{ content, encoding }` objects, using the same pipeline (and `access` rules and size limit) as attachments.
+ * Binary content is decoded with the charset declared on the object (UTF-8 by default).
+ *
+ * `text/plain` and `text/html` entries in `alternatives` fill in a missing text or html body.
+ * Parts the Usesend API cannot carry (`amp`, `watchHtml` and other alternatives) are rejected
+ * with a UsesendValidationError instead of being dropped silently.
+ */
+export async function resolveBody(data: Mail.Options, access: SourceAccessOptions = {}): Promise<ResolvedBody> {
+    const issues: UsesendValidationIssue[] = [];
+
+    if (data.amp) {
+        issues.push({ path: ['amp'], message: 'AMP4EMAIL parts are not supported by the Usesend API' });
+    }
+    if (data.watchHtml) {
+        issues.push({ path: ['watchHtml'], message: 'Apple Watch parts are not supported by the Usesend API' });
+    }
+
+    const alternatives = data.alternatives || [];
+    const mapped: { text?: Mail.Attachment; html?: Mail.Attachment } = {};
+
+    alternatives.forEach((alternative, index) => {
+        const contentType = (alternative.contentType || '').split(';')[0].trim().toLowerCase();
+        const field = contentType === 'text/plain' ? 'text' : contentType === 'text/html' ? 'html' : null;
+
+        if (field && !data[field] && !mapped[field]) {
+            mapped[field] = alternative;
+        } else {
+            issues.push({
+                path: ['alternatives', index],
+                message: field
+                    ? `A ${field} body is already set; only one ${contentType} part can be sent`
+                    : `Content type "${contentType || 'unknown'}" is not supported by the Usesend API`,
+            });
+        }
+    });
+
+    if (issues.length > 0) {
+        throw new UsesendValidationError(
+            `Unsupported message content:\n${issues.map((issue) => `  - ${issue.path.join('.')}: ${issue.message}`).join('\n')}\n\nOnly text and html bodies can be sent through the Usesend API.`,
+            issues,
+        );
+    }
+
+    return {
+        text: await readBody(mapped.text ?? data.text, 'text', data.encoding, access),
+        html: await readBody(mapped.html ?? data.html, 'html', data.encoding, access),
+    };
+}
+
+async function readBody(value: BodyContent, field: string, encoding: string | undefined, access: SourceAccessOptions): Promise<string | undefined> {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+
+    if (typeof value === 'string' && !encoding) {
+        return value;
+    }
+
+    let content: Buffer;
+    try {
+        content = await resolveContent(value, encoding, access, field);
+    } catch (error) {
+        // Paths refused by the access rules and oversized bodies are reported as they are
+        if (error instanceof UsesendError) {
+            throw error;
+        }
+        const message = error instanceof Error ? error.message : String(error);
+        throw new UsesendValidationError(
+            `Failed to read the "${field}" body: ${message}`,
+            [{ path: [field], message }],
+            { cause: error },
+        );
+    }
+
+    const charset = getCharset(value);
+    try {
+        return new TextDecoder(charset).decode(content);
+    } catch (error) {
+        throw new UsesendValidationError(
+            `Unsupported charset "${charset}" for the "${field}" body.`,
+            [{ path: [field], message: 'Unsupported charset' }],
+            { cause: error },
+        );
+    }
+}
+
+/**
+ * Reads the charset declared on a body object: the `charset` property, or the charset parameter
+ * of an alternative's `contentType` (e.g. `text/html; charset=iso-8859-1`)
+ */
+function getCharset(value: BodyContent): string {
+    if (!value || typeof value !== 'object' || Buffer.isBuffer(value)) {
+        return 'utf-8';
+    }
+
+    const { charset, contentType } = value as Mail.AttachmentLike & { contentType?: string };
+    if (charset) {
+        return charset;
+    }
+
+    const match = /;\s*charset\s*=\s*"?([^";\s]+)"?/i.exec(contentType || '');
+    return match ? match[1] : 'utf-8';
+}
@@ -0,0 +1,75 @@
+import { decodeBase64, decodePercentEncoding } from './encoding';
+
+/** Characters allowed in media type names and parameter names (RFC 2045 tokens) */
+const TOKEN = /^[\w!#$%&'*+.^`|~-]+$/;
+
+export type DataUri = {
+    /** Media type with its parameters, e.g. `text/plain; charset=utf-8` */
+    contentType: string;
+    /** Media type parameters by lowercased name, e.g. `charset` */
+    parameters: Record<string, string>;
+    data: Buffer;
+};
+
+/**
+ * Parses a data URI (RFC 2397): `data:[<media type>][;<name>=<value>]*[;base64],<data>`.
+ * Parameter values and the data may be percent-encoded. Without a media type the RFC default,
+ * `text/plain;charset=US-ASCII`, applies.
+ */
+export function parseDataUri(uri: string): DataUri {
+    const match = /^data:([^,]*),([\s\S]*)$/i.exec(uri.trim());
+    if (!match) {
+        throw new Error('Invalid data URI format: expected "data:[<media type>][;base64],<data>"');
+    }
+
+    const segments = match[1].split(';').map((segment) => segment.trim());
+    const base64 = segments.length > 1 && segments[segments.length - 1].toLowerCase() === 'base64';
+    if (base64) {
+        segments.pop();
+    }
+
+    const type = (segments.shift() as string).toLowerCase();
+    const [mainType, subType, ...rest] = type.split('/');
+    if (type && (!TOKEN.test(mainType) || !TOKEN.test(subType || '') || rest.length > 0)) {
+        throw new Error(`Invalid data URI format: "${type}" is not a media type`);
+    }
+
+    const parameters: Record<string, string> = {};
+    for (const segment of segments) {
+        const separator = segment.indexOf('=');
+        const name = segment.slice(0, separator).trim().toLowerCase();
+        if (separator < 0 || !TOKEN.test(name)) {
+            throw new Error(`Invalid data URI format: "${segment}" is not a parameter`);
+        }
+        parameters[name] = unquote(decodePercentEncoding(segment.slice(separator + 1).trim()).toString('utf-8'));
+    }
+
+    if (!type && !parameters.charset) {
+        parameters.charset = 'US-ASCII';
+    }
+
+    let data: Buffer;
+    if (base64) {
+        try {
+            data = decodeBase64(decodePercentEncoding(match[2]).toString('latin1'));
+        } catch {
+            throw new Error('Invalid data URI format: the data is not valid base64');
+        }
+    } else {
+        data = decodePercentEncoding(match[2]);
+    }
+
+    return {
+        contentType: [type || 'text/plain', ...Object.keys(parameters).map((name) => `${name}=${quote(parameters[name])}`)].join('; '),
+        parameters,
+        data,
+    };
+}
+
+function unquote(value: string): string {
+    return /^"[\s\S]*"$/.test(value) ? value.slice(1, -1).replace(/\\(.)/g, '$1') : value;
+}
+
+function quote(value: string): string {
+    return TOKEN.test(value) ? value : `"${value.replace(/["\\]/g, '\\$&')}"`;
+}
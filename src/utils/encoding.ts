@@ -0,0 +1,111 @@
+/**
+ * Content encodings Nodemailer accepts for string content, by normalized name
+ */
+const ENCODINGS: Record<string, (content: string) => Buffer> = {
+    base64: decodeBase64,
+    base64url: decodeBase64,
+    hex: decodeHex,
+    quotedprintable: decodeQuotedPrintable,
+    qp: decodeQuotedPrintable,
+    utf8: (content) => Buffer.from(content, 'utf-8'),
+    // Transfer encodings that leave the text as it is
+    '7bit': (content) => Buffer.from(content, 'utf-8'),
+    '8bit': (content) => Buffer.from(content, 'utf-8'),
+    binary: (content) => Buffer.from(content, 'latin1'),
+    latin1: (content) => Buffer.from(content, 'latin1'),
+    iso88591: (content) => Buffer.from(content, 'latin1'),
+    ascii: (content) => Buffer.from(content, 'ascii'),
+    usascii: (content) => Buffer.from(content, 'ascii'),
+    ucs2: (content) => Buffer.from(content, 'utf16le'),
+    utf16le: (content) => Buffer.from(content, 'utf16le'),
+};
+
+/**
+ * Decodes string content with a Nodemailer `encoding` (`base64`, `hex`, `quoted-printable`,
+ * `binary`, `utf-8`...). Names are matched case-insensitively, ignoring dashes and underscores.
+ * Without an encoding the string is taken as UTF-8 text.
+ */
+export function decodeContent(content: string, encoding?: string): Buffer {
+    if (!encoding) {
+        return Buffer.from(content, 'utf-8');
+    }
+
+    const decode = ENCODINGS[encoding.toLowerCase().replace(/[-_\s]/g, '')];
+    if (!decode) {
+        throw new Error(
+            `Unsupported content encoding "${encoding}". Use base64, base64url, hex, quoted-printable, utf-8, binary (latin1), ascii or utf-16le.`,
+        );
+    }
+    return decode(content);
+}
+
+/**
+ * Decodes quoted-printable text (RFC 2045): `=XX` escapes become bytes, soft line breaks
+ * (`=` at the end of a line) are removed along with trailing whitespace. Malformed escapes are
+ * kept as they are, as the RFC recommends, and other characters are taken as UTF-8.
+ */
+export function decodeQuotedPrintable(content: string): Buffer {
+    const text = content
+        .split(/(\r?\n)/)
+        .map(trimTrailingBlanks)
+        .join('')
+        .replace(/=\r?\n/g, '');
+    return decodeEscapes(text, /(?:=[0-9A-Fa-f]{2})+/g);
+}
+
+/**
+ * Decodes percent-encoding (`%XX`) into bytes; other characters are taken as UTF-8
+ */
+export function decodePercentEncoding(content: string): Buffer {
+    return decodeEscapes(content, /(?:%[0-9A-Fa-f]{2})+/g);
+}
+
+/**
+ * Decodes standard or URL-safe base64, ignoring whitespace. Buffer.from would silently
+ * drop invalid characters, so they are rejected here instead.
+ */
+export function decodeBase64(content: string): Buffer {
+    const compact = content.replace(/\s+/g, '');
+    if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(compact) || compact.length % 4 === 1) {
+        throw new Error('Invalid base64 content');
+    }
+    return Buffer.from(compact, 'base64');
+}
+
+function decodeHex(content: string): Buffer {
+    const compact = content.replace(/\s+/g, '');
+    if (!/^([0-9A-Fa-f]{2})*$/.test(compact)) {
+        throw new Error('Invalid hex content: expected pairs of hexadecimal digits');
+    }
+    return Buffer.from(compact, 'hex');
+}
+
+/**
+ * Drops the spaces and tabs a line ends with, in one pass (a regular expression would backtrack
+ * over long runs of spaces that are followed by more text)
+ */
+function trimTrailingBlanks(line: string): string {
+    let end = line.length;
+    while (end > 0 && (line[end - 1] === ' ' || line[end - 1] === '\t')) {
+        end--;
+    }
+    return line.slice(0, end);
+}
+
+/**
+ * Turns runs of three-character escapes (a marker and two hex digits) into bytes
+ */
+function decodeEscapes(text: string, escapes: RegExp): Buffer {
+    const parts: Buffer[] = [];
+    let lastIndex = 0;
+    let match: RegExpExecArray | null;
+
+    while ((match = escapes.exec(text))) {
+        parts.push(Buffer.from(text.slice(lastIndex, match.index), 'utf-8'));
+        parts.push(Buffer.from(match[0].replace(/.(..)/g, '$1'), 'hex'));
+        lastIndex = escapes.lastIndex;
+    }
+    parts.push(Buffer.from(text.slice(lastIndex), 'utf-8'));
+
+    return Buffer.concat(parts);
+}
@@ -0,0 +1,131 @@
+/** Longest filename most file systems accept, in UTF-8 bytes */
+const MAX_FILENAME_BYTES = 255;
+
+/**
+ * C0 and C1 control characters, plus the bidirectional formatting characters that can make
+ * `invoice\u202efdp.exe` display as `invoiceexe.pdf`
+ */
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f-\u009f\u200e\u200f\u202a-\u202e\u2066-\u2069]/g;
+
+/**
+ * Makes a filename safe to hand to mail clients: path separators become `_`, control characters
+ * are dropped and overlong names are shortened, keeping their extension. Unicode is kept (in NFC form).
+ * Returns an empty string when nothing usable is left.
+ */
+export function sanitizeFilename(filename: string): string {
+    const sanitized = filename
+        .normalize('NFC')
+        .replace(CONTROL_CHARACTERS, '')
+        .replace(/[\\/]/g, '_')
+        .trim();
+
+    // "." and ".." are not names
+    return /^\.*$/.test(sanitized) ? '' : truncate(sanitized);
+}
+
+/**
+ * Last segment of a file path, with either `/` or `\` (Windows) as separator
+ */
+export function filenameFromPath(filePath: string): string | undefined {
+    return filePath.split(/[\\/]/).pop() || undefined;
+}
+
+/**
+ * Last segment of a URL's path, percent-decoded
+ */
+export function filenameFromUrl(url: string): string | undefined {
+    const segment = new URL(url).pathname.split('/').pop();
+    if (!segment) {
+        return undefined;
+    }
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        return segment;
+    }
+}
+
+/**
+ * Reads the filename from a Content-Disposition header. The RFC 6266 `filename*` parameter
+ * (`UTF-8''na%C3%AFve.pdf`) wins over `filename`, and a `filename` sent as raw UTF-8 is decoded.
+ */
+export function filenameFromContentDisposition(header: string | null | undefined): string | undefined {
+    if (!header) {
+        return undefined;
+    }
+
+    const parameters: Record<string, string> = {};
+    const pattern = /;\s*([^\s=;]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+    let match: RegExpExecArray | null;
+
+    while ((match = pattern.exec(header))) {
+        const name = match[1].toLowerCase();
+        if (!(name in parameters)) {
+            parameters[name] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3].trim();
+        }
+    }
+
+    const extended = parameters['filename*'] && decodeExtendedValue(parameters['filename*']);
+    if (extended) {
+        return extended;
+    }
+
+    const plain = parameters.filename;
+    return plain ? decodeRawUtf8(plain) : undefined;
+}
+
+/**
+ * Decodes an RFC 8187 `charset'language'percent-encoded` value
+ */
+function decodeExtendedValue(value: string): string | undefined {
+    const match = /^([\w!#$%&+^`{}~-]+)'[^']*'(.*)$/.exec(value);
+    if (!match) {
+        return undefined;
+    }
+
+    const bytes = Buffer.from(match[2].replace(/%([0-9a-f]{2})|([\s\S])/gi, (_, hex: string, char: string) =>
+        hex ? String.fromCharCode(parseInt(hex, 16)) : char,
+    ), 'latin1');
+
+    try {
+        return new TextDecoder(match[1].toLowerCase(), { fatal: true }).decode(bytes);
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Headers are read as Latin-1, so a UTF-8 filename sent without encoding arrives as mojibake
+ */
+function decodeRawUtf8(value: string): string {
+    if (!/[\u0080-\u00ff]/.test(value) || /[^\u0000-\u00ff]/.test(value)) {
+        return value;
+    }
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(Buffer.from(value, 'latin1'));
+    } catch {
+        return value;
+    }
+}
+
+function truncate(filename: string): string {
+    if (Buffer.byteLength(filename) <= MAX_FILENAME_BYTES) {
+        return filename;
+    }
+
+    const dot = filename.lastIndexOf('.');
+    const extension = dot > 0 && filename.length - dot <= 16 ? filename.slice(dot) : '';
+    const budget = MAX_FILENAME_BYTES - Buffer.byteLength(extension);
+    let stem = '';
+    let bytes = 0;
+
+    // Whole code points only, so a character is never cut in half
+    for (const char of filename.slice(0, filename.length - extension.length)) {
+        bytes += Buffer.byteLength(char);
+        if (bytes > budget) {
+            break;
+        }
+        stem += char;
+    }
+    return stem + extension;
+}
@@ -0,0 +1,312 @@
+import type Mail from 'nodemailer/lib/mailer';
+import * as mimeFuncs from 'nodemailer/lib/mime-funcs';
+import { UsesendValidationError } from '../errors';
+
+/**
+ * Headers Usesend sets itself from the payload fields. Passing them as custom headers is rejected.
+ */
+const FORBIDDEN_HEADERS = [
+    'from',
+    'to',
+    'cc',
+    'bcc',
+    'reply-to',
+    'sender',
+    'subject',
+    'return-path',
+    'content-type',
+    'content-transfer-encoding',
+    'mime-version',
+    'dkim-signature',
+];
+
+/**
+ * Prefix for headers that control the transport itself (e.g. `X-Usesend-Scheduled-At`).
+ * They are consumed by the transport and never forwarded.
+ */
+const TRANSPORT_HEADER_PREFIX = 'x-usesend-';
+
+/** A header field name (RFC 5322): printable ASCII except the colon */
+const FIELD_NAME = /^[\x21-\x39\x3b-\x7e]+$/;
+
+/**
+ * Mail options the Usesend API has no way to represent. They are reported as warnings.
+ */
+const UNSUPPORTED_OPTIONS: Array<keyof Mail.Options> = [
+    'sender',
+    'date',
+    'icalEvent',
+    'raw',
+    'dkim',
+];
+
+export type BuiltHeaders = {
+    /** Header map in the form the Usesend API accepts */
+    headers: Record<string, string>;
+    /** Fields that could not be represented and were left out */
+    warnings: string[];
+};
+
+/**
+ * Returns the value of a header from Nodemailer's `headers` option (object or array form),
+ * matching the name case-insensitively
+ */
+export function findHeader(headers: Mail.Headers | undefined, name: string): string | undefined {
+    if (!headers) {
+        return undefined;
+    }
+
+    const wanted = name.toLowerCase();
+
+    if (Array.isArray(headers)) {
+        const header = headers.find((entry) => entry.key.toLowerCase() === wanted);
+        return header?.value;
+    }
+
+    for (const [key, value] of Object.entries(headers)) {
+        if (key.toLowerCase() !== wanted) {
+            continue;
+        }
+        if (Array.isArray(value)) {
+            return value[0];
+        }
+        return typeof value === 'object' && value !== null ? value.value : value;
+    }
+
+    return undefined;
+}
+
+/**
+ * Converts Nodemailer's header inputs (`headers` in object or array form, `messageId`,
+ * `inReplyTo`, `references`, `priority`, `list` and `xMailer`) into the header map Usesend accepts.
+ * Line breaks in values are replaced by spaces, so a value cannot start another header.
+ * Throws a UsesendValidationError for invalid header names and for headers the API does not allow
+ * to be overridden.
+ */
+export function buildHeaders(data: Mail.Options): BuiltHeaders {
+    const headers: Record<string, string> = {};
+    const warnings: string[] = [];
+    const forbidden: string[] = [];
+    const invalid: string[] = [];
+
+    const setHeader = (key: string, value: string) => {
+        const existing = Object.keys(headers).find((name) => name.toLowerCase() === key.toLowerCase());
+        if (existing) {
+            warnings.push(`Header "${key}" was given more than once; only the first value is sent.`);
+            return;
+        }
+        headers[key] = value;
+    };
+
+    for (const { key, value, prepared } of listCustomHeaders(data.headers)) {
+        const name = key.trim();
+        const lowerName = name.toLowerCase();
+
+        if (!FIELD_NAME.test(name)) {
+            invalid.push(name);
+            continue;
+        }
+        if (lowerName.startsWith(TRANSPORT_HEADER_PREFIX)) {
+            continue;
+        }
+        if (FORBIDDEN_HEADERS.includes(lowerName)) {
+            forbidden.push(name);
+            continue;
+        }
+        if (value === undefined || value === null || value === '') {
+            continue;
+        }
+
+        setHeader(name, prepared ? toSingleLine(String(value)) : encodeHeaderValue(String(value)));
+    }
+
+    if (invalid.length > 0) {
+        throw new UsesendValidationError(
+            `Invalid header names: ${invalid.map((name) => JSON.stringify(name)).join(', ')}. Header names may only contain printable ASCII characters other than ":".`,
+            invalid.map((name) => ({ path: ['headers', name], message: 'Invalid header name' })),
+        );
+    }
+
+    if (forbidden.length > 0) {
+        throw new UsesendValidationError(
+            `Custom headers not allowed by the Usesend API: ${forbidden.join(', ')}. Please use the matching mail option (e.g., "from", "subject") instead.`,
+            forbidden.map((name) => ({ path: ['headers', name], message: 'Header is set by Usesend and cannot be overridden' })),
+        );
+    }
+
+    if (data.messageId) {
+        setHeader('Message-ID', formatMessageId(data.messageId));
+    }
+
+    if (data.inReplyTo) {
+        const inReplyTo = typeof data.inReplyTo === 'string' ? data.inReplyTo : data.inReplyTo.address;
+        setHeader('In-Reply-To', formatMessageId(inReplyTo));
+    }
+
+    if (data.references) {
+        const references = ([] as string[])
+            .concat(data.references)
+            .join(' ')
+            .split(/[\s,]+/)
+            .filter((value) => value.trim() !== '')
+            .map(formatMessageId);
+        if (references.length > 0) {
+            setHeader('References', references.join(' '));
+        }
+    }
+
+    for (const [key, value] of Object.entries(buildPriorityHeaders(data.priority))) {
+        setHeader(key, value);
+    }
+
+    if (data.list && typeof data.list === 'object') {
+        for (const [key, value] of Object.entries(buildListHeaders(data.list))) {
+            setHeader(key, value);
+        }
+    }
+
+    if (typeof data.xMailer === 'string' && data.xMailer !== '') {
+        setHeader('X-Mailer', encodeHeaderValue(data.xMailer));
+    }
+
+    for (const option of UNSUPPORTED_OPTIONS) {
+        if (data[option] !== undefined && data[option] !== null && data[option] !== false) {
+            warnings.push(`Mail option "${option}" is not supported by the Usesend API and was not sent.`);
+        }
+    }
+
+    return { headers, warnings };
+}
+
+/**
+ * Flattens the object and array forms of Nodemailer's `headers` option into key/value entries
+ */
+function listCustomHeaders(
+    headers: Mail.Headers | undefined,
+): Array<{ key: string; value: unknown; prepared: boolean }> {
+    if (!headers) {
+        return [];
+    }
+
+    if (Array.isArray(headers)) {
+        return headers.map((header) => ({
+            key: header.key,
+            value: header.value,
+            prepared: Boolean((header as { prepared?: boolean }).prepared),
+        }));
+    }
+
+    const entries: Array<{ key: string; value: unknown; prepared: boolean }> = [];
+    for (const [key, value] of Object.entries(headers)) {
+        for (const entry of Array.isArray(value) ? value : [value]) {
+            if (typeof entry === 'object' && entry !== null) {
+                entries.push({ key, value: entry.value, prepared: Boolean(entry.prepared) });
+            } else {
+                entries.push({ key, value: entry, prepared: false });
+            }
+        }
+    }
+    return entries;
+}
+
+/**
+ * Encodes non-ASCII text in a header value as RFC 2047 encoded words
+ */
+function encodeHeaderValue(value: string): string {
+    const singleLine = toSingleLine(value);
+    return mimeFuncs.isPlainText(singleLine) ? singleLine : mimeFuncs.encodeWords(singleLine, 'Q', 52);
+}
+
+/**
+ * Wraps a message id in angle brackets, as required for Message-ID, In-Reply-To and References
+ */
+function formatMessageId(value: string): string {
+    const id = toSingleLine(value).trim().replace(/^<+|>+$/g, '');
+    return `<${id}>`;
+}
+
+/**
+ * Replaces line breaks with spaces, as Nodemailer does for header values
+ */
+function toSingleLine(value: string): string {
+    return value.replace(/\r?\n|\r/g, ' ');
+}
+
+/**
+ * Maps Nodemailer's `priority` option to the headers mail clients understand
+ */
+function buildPriorityHeaders(priority: Mail.Options['priority']): Record<string, string> {
+    switch ((priority || '').toString().toLowerCase()) {
+        case 'high':
+            return { 'X-Priority': '1 (Highest)', 'X-MSMail-Priority': 'High', 'Importance': 'High' };
+        case 'low':
+            return { 'X-Priority': '5 (Lowest)', 'X-MSMail-Priority': 'Low', 'Importance': 'Low' };
+        default:
+            // Messages are 'Normal' priority by default
+            return {};
+    }
+}
+
+/**
+ * Converts Nodemailer's `list` helper into List-* headers, formatted the way Nodemailer does
+ * (e.g. `list: { unsubscribe: 'https://example.com/unsub' }` becomes `List-Unsubscribe: <https://example.com/unsub>`)
+ */
+function buildListHeaders(list: Mail.ListHeaders): Record<string, string> {
+    const headers: Record<string, string> = {};
+
+    for (const [key, value] of Object.entries(list)) {
+        const name = key.toLowerCase().trim();
+        const entries = ([] as Array<Mail.ListHeader | Mail.ListHeader[]>).concat(value || []);
+
+        const formatted = entries
+            .map((entry) => ([] as Mail.ListHeader[]).concat(entry || [])
+                .map((item) => formatListEntry(name, typeof item === 'string' ? { url: item, comment: '' } : item))
+                .filter((item) => item)
+                .join(', '))
+            .filter((item) => item)
+            .join(', ');
+
+        if (formatted) {
+            headers[`List-${formatListName(name)}`] = formatted;
+        }
+    }
+
+    return headers;
+}
+
+function formatListEntry(name: string, entry: { url: string; comment?: string }): string {
+    if (!entry || !entry.url) {
+        return '';
+    }
+
+    const comment = entry.comment || '';
+
+    if (name === 'id') {
+        // List-ID: "comment" <domain>
+        const quoted = mimeFuncs.isPlainText(comment) ? `"${comment}"` : mimeFuncs.encodeWord(comment);
+        const domain = entry.url.replace(/[\s<>]+/g, '').replace(/^[a-z][a-z0-9+.-]*:\/*/i, '');
+        return (comment ? `${quoted} ` : '') + `<${domain}>`;
+    }
+
+    // List-*: <http://domain> (comment)
+    const encoded = mimeFuncs.isPlainText(comment) ? comment : mimeFuncs.encodeWord(comment);
+    return formatListUrl(entry.url) + (comment ? ` (${encoded})` : '');
+}
+
+function formatListUrl(url: string): string {
+    const cleaned = url.replace(/[\s<]+|[\s>]+/g, '');
+    if (/^(https?|mailto|ftp):/.test(cleaned)) {
+        return `<${cleaned}>`;
+    }
+    if (/^[^@]+@[^@]+$/.test(cleaned)) {
+        return `<mailto:${cleaned}>`;
+    }
+    return `<http://${cleaned}>`;
+}
+
+function formatListName(name: string): string {
+    if (name === 'id') {
+        return 'ID';
+    }
+    return name.split('-').map((part) => part.charAt(0).toUpperCase() + part.slice(1)).join('-');
+}
@@ -0,0 +1,109 @@
+import type { SentMessageInfo } from 'nodemailer';
+import type { UsesendAfterSendHook, UsesendBeforeSendHook, UsesendEmailPayload, UsesendSendContext } from '../types/transport';
+import { UsesendError, UsesendHookError } from '../errors';
+
+/**
+ * Normalizes a hook option (one function or a list) into a list
+ */
+export function resolveHooks<T extends Function>(hooks: T | T[] | undefined, name: string): T[] {
+    const list = hooks === undefined ? [] : Array.isArray(hooks) ? hooks : [hooks];
+    if (list.some((hook) => typeof hook !== 'function')) {
+        throw new Error(`Invalid option "${name}": expected a function or an array of functions.`);
+    }
+    return list;
+}
+
+/**
+ * Runs the `onBeforeSend` hooks in order and returns the payload to send. A hook returning
+ * `false` vetoes the message; one returning nothing keeps the payload (changed in place or not).
+ */
+export async function runBeforeSendHooks(
+    hooks: UsesendBeforeSendHook[],
+    payload: UsesendEmailPayload,
+    context: UsesendSendContext,
+): Promise<UsesendEmailPayload> {
+    for (const hook of hooks) {
+        let result: UsesendEmailPayload | false | void;
+        try {
+            result = await hook(payload, context);
+        } catch (error) {
+            if (error instanceof UsesendError) {
+                throw error;
+            }
+            throw new UsesendHookError(
+                `onBeforeSend hook failed: ${error instanceof Error ? error.message : String(error)}`,
+                'onBeforeSend',
+                { cause: error },
+            );
+        }
+
+        if (result === false) {
+            throw new UsesendHookError('The message was vetoed by an onBeforeSend hook and was not sent.', 'onBeforeSend');
+        }
+        if (result) {
+            payload = result;
+        }
+    }
+    return payload;
+}
+
+/**
+ * Runs the `onAfterSend` hooks in order and returns the result to report. A failing hook is
+ * passed to `onError` and skipped, since the message has been sent already.
+ */
+export async function runAfterSendHooks(
+    hooks: UsesendAfterSendHook[],
+    info: SentMessageInfo,
+    context: UsesendSendContext & { payload: UsesendEmailPayload },
+    onError: (error: unknown) => void,
+): Promise<SentMessageInfo> {
+    for (const hook of hooks) {
+        try {
+            info = (await hook(info, context)) || info;
+        } catch (error) {
+            onError(error);
+        }
+    }
+    return info;
+}
+
+/** Base64 data URIs, such as the `cid:` images embedded in the HTML */
+const DATA_URI_PATTERN = /(data:[^,"'\s]*?;base64,)([a-z0-9+/=]+)/gi;
+
+/**
+ * Copy of a payload for events and logs, with each attachment's content and the images embedded
+ * in the HTML replaced by their size. Changing the copy does not change what is sent.
+ */
+export function redactPayload(payload: UsesendEmailPayload): UsesendEmailPayload {
+    const redacted = copyJson(payload);
+
+    if (typeof redacted.html === 'string') {
+        redacted.html = redacted.html.replace(DATA_URI_PATTERN, (_: string, prefix: string, content: string) => `${prefix}${redactedContent(content)}`);
+    }
+    if (Array.isArray(redacted.attachments)) {
+        redacted.attachments.forEach((attachment: { content?: unknown }) => {
+            attachment.content = redactedContent(attachment.content);
+        });
+    }
+
+    return redacted;
+}
+
+function redactedContent(content: unknown): string {
+    return `[redacted: ${typeof content === 'string' ? content.length : 0} base64 characters]`;
+}
+
+/**
+ * Deep copy of the arrays and plain objects of a JSON-like value
+ */
+function copyJson(value: any): any {
+    if (Array.isArray(value)) {
+        return value.map(copyJson);
+    }
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        const copy: Record<string, unknown> = {};
+        Object.keys(value).forEach((key) => (copy[key] = copyJson(value[key])));
+        return copy;
+    }
+    return value;
+}
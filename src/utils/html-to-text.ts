@@ -0,0 +1,491 @@
+import type { UsesendHtmlToTextOptions } from '../types/transport';
+
+/** Elements separated from their surroundings by a blank line */
+const PARAGRAPH_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'dl', 'fieldset', 'figure', 'footer', 'form',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'main', 'nav', 'p', 'section',
+]);
+
+/** Elements that start on a new line */
+const LINE_TAGS = new Set(['caption', 'center', 'dd', 'details', 'div', 'dt', 'figcaption', 'summary']);
+
+/** Elements whose content never shows up in the text part */
+const HIDDEN_CONTENT = new Set(['head', 'style', 'script', 'noscript', 'template', 'title']);
+
+/** The start of a tag, matched at a given index (`lastIndex`) only */
+const TAG_START = /<(\/?)([a-z][a-z0-9-]*)\b/iy;
+
+const NAMED_ENTITIES: Record<string, string> = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', shy: '',
+    copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–', bull: '•', middot: '·',
+    lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„', laquo: '«', raquo: '»',
+    euro: '€', pound: '£', yen: '¥', cent: '¢', sect: '§', para: '¶', deg: '°', plusmn: '±',
+    times: '×', divide: '÷', frac12: '½', frac14: '¼', frac34: '¾', larr: '←', rarr: '→',
+    zwnj: '', zwj: '', ensp: '\u2002', emsp: '\u2003', thinsp: '\u2009',
+};
+
+type TableState = {
+    rows: string[][];
+    /** Set when a cell holds block content, so the table is laid out row by row instead of as a grid */
+    layout: boolean;
+    cellOpen: boolean;
+};
+
+/**
+ * Converts an HTML body into a readable plain-text alternative: paragraphs and line breaks are kept,
+ * links are rendered as `text (url)`, list items get bullets or numbers, simple tables are laid out in
+ * columns, entities are decoded and `<head>`, `<style>` and `<script>` content is dropped.
+ */
+export function htmlToText(html: string, options: UsesendHtmlToTextOptions = {}): string {
+    const writer = new TextWriter(options);
+    walkHtml(html, writer);
+
+    const text = writer.finish()
+        .replace(/\u00a0/g, ' ')
+        .split('\n')
+        .map((line) => line.replace(/[ \t]+$/, ''))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .replace(/^\n+|\n+$/g, '');
+
+    return options.wordwrap ? wrapLines(text, options.wordwrap) : text;
+}
+
+/**
+ * Feeds the text and tags of `html` to the writer, skipping comments, declarations and the content
+ * of hidden elements. Each closer is searched for once: when it is missing, the rest of the input is
+ * dropped (an unclosed comment or hidden element) or kept as text (an unclosed tag) instead of being
+ * scanned again from the next `<`.
+ */
+function walkHtml(html: string, writer: TextWriter): void {
+    let text = '';
+    let index = 0;
+
+    while (index < html.length) {
+        const start = html.indexOf('<', index);
+        if (start === -1) {
+            break;
+        }
+        text += html.slice(index, start);
+
+        if (html.startsWith('<!--', start)) {
+            index = skipPast(html, '-->', start + 4);
+            continue;
+        }
+        if (html.startsWith('<!', start) || html.startsWith('<?', start)) {
+            index = skipPast(html, html[start + 1] === '?' ? '?>' : '>', start + 2);
+            continue;
+        }
+
+        TAG_START.lastIndex = start;
+        const match = TAG_START.exec(html);
+        if (!match) {
+            text += '<';
+            index = start + 1;
+            continue;
+        }
+
+        const attributesStart = TAG_START.lastIndex;
+        const end = findTagEnd(html, attributesStart);
+        if (end === -1) {
+            index = start;
+            break;
+        }
+
+        const name = match[2].toLowerCase();
+        const closing = match[1] === '/';
+        writer.text(text);
+        text = '';
+        index = end + 1;
+
+        if (!closing && HIDDEN_CONTENT.has(name)) {
+            const closer = new RegExp(`</${name}\\s*>`, 'gi');
+            closer.lastIndex = index;
+            index = closer.exec(html) ? closer.lastIndex : html.length;
+        } else {
+            writer.tag(name, closing, html.slice(attributesStart, end));
+        }
+    }
+
+    writer.text(text + html.slice(index));
+}
+
+/**
+ * Index just past the next `marker` from `from`, or the end of the input when there is none
+ */
+function skipPast(html: string, marker: string, from: number): number {
+    const index = html.indexOf(marker, from);
+    return index === -1 ? html.length : index + marker.length;
+}
+
+/**
+ * Index of the `>` ending a tag, skipping quoted attribute values, or -1. A quote that is never
+ * closed runs to the next `>`.
+ */
+function findTagEnd(html: string, from: number): number {
+    for (let index = from; index < html.length; index++) {
+        const char = html[index];
+        if (char === '>') {
+            return index;
+        }
+        if (char === '"' || char === "'") {
+            const close = html.indexOf(char, index + 1);
+            if (close === -1) {
+                return html.indexOf('>', index + 1);
+            }
+            index = close;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Decodes named (the common subset) and numeric character references
+ */
+export function decodeEntities(value: string): string {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (entity, code: string) => {
+        if (code[0] === '#') {
+            const point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+        }
+        const named = NAMED_ENTITIES[code.toLowerCase()];
+        return named === undefined ? entity : named;
+    });
+}
+
+/**
+ * Text kept as a list of chunks. The writer only ever looks at the end of its output, which this
+ * reads and trims without copying the text written so far, so converting stays linear in the input.
+ */
+class TextBuffer {
+    private chunks: string[] = [];
+    length = 0;
+
+    append(value: string): void {
+        if (value) {
+            this.chunks.push(value);
+            this.length += value.length;
+        }
+    }
+
+    /**
+     * Last `count` characters, or all of them when the buffer is shorter
+     */
+    tail(count: number): string {
+        let tail = '';
+        for (let index = this.chunks.length - 1; index >= 0 && tail.length < count; index--) {
+            tail = this.chunks[index] + tail;
+        }
+        return tail.slice(Math.max(0, tail.length - count));
+    }
+
+    /**
+     * Removes trailing spaces and tabs
+     */
+    trimEnd(): void {
+        while (this.chunks.length > 0) {
+            const last = this.chunks[this.chunks.length - 1];
+            let end = last.length;
+            while (end > 0 && (last[end - 1] === ' ' || last[end - 1] === '\t')) end--;
+
+            this.length -= last.length - end;
+            if (end > 0) {
+                this.chunks[this.chunks.length - 1] = last.slice(0, end);
+                return;
+            }
+            this.chunks.pop();
+        }
+    }
+
+    /**
+     * Number of line breaks the buffer ends with, counting up to `max`
+     */
+    trailingNewlines(max: number): number {
+        let count = 0;
+        for (let index = this.chunks.length - 1; index >= 0; index--) {
+            const chunk = this.chunks[index];
+            for (let position = chunk.length - 1; position >= 0; position--) {
+                if (chunk[position] !== '\n' || count === max) return count;
+                count++;
+            }
+        }
+        return count;
+    }
+
+    toString(): string {
+        return this.chunks.join('');
+    }
+}
+
+/**
+ * Accumulates text while walking the tags. Table cells are written into their own buffers
+ * (the top of `buffers`) and laid out once the table is closed.
+ */
+class TextWriter {
+    private buffers: TextBuffer[] = [new TextBuffer()];
+    private lists: Array<{ ordered: boolean; index: number }> = [];
+    private links: Array<{ href: string; buffer: number; start: number }> = [];
+    private tables: TableState[] = [];
+    private preDepth = 0;
+
+    constructor(private options: UsesendHtmlToTextOptions) { }
+
+    text(raw: string): void {
+        const table = this.tables[this.tables.length - 1];
+        if (!raw || (table && !table.cellOpen)) {
+            // Whitespace between table rows and cells carries no content
+            return;
+        }
+
+        let value = raw;
+        if (this.preDepth === 0) {
+            value = value.replace(/\s+/g, ' ');
+            if (this.current.length === 0 || /\s/.test(this.current.tail(1))) {
+                value = value.replace(/^ /, '');
+            }
+        }
+
+        this.write(decodeEntities(value));
+    }
+
+    tag(name: string, closing: boolean, attributes: string): void {
+        const table = this.tables[this.tables.length - 1];
+
+        switch (name) {
+            case 'br':
+                this.write('\n' + this.indent());
+                return;
+            case 'hr':
+                this.breakLine(true);
+                this.write('-'.repeat(40));
+                this.breakLine(true);
+                return;
+            case 'img': {
+                const alt = getAttribute(attributes, 'alt');
+                if (!closing && alt) this.text(alt);
+                return;
+            }
+            case 'a':
+                return closing ? this.closeLink() : this.openLink(getAttribute(attributes, 'href'));
+            case 'ul':
+            case 'ol':
+                this.markLayout();
+                // Top-level lists are paragraphs of their own, nested lists continue the item
+                if (closing) {
+                    this.lists.pop();
+                    this.breakLine(this.lists.length === 0);
+                } else {
+                    this.breakLine(this.lists.length === 0);
+                    this.lists.push({ ordered: name === 'ol', index: Number(getAttribute(attributes, 'start')) || 1 });
+                }
+                return;
+            case 'li': {
+                const list = this.lists[this.lists.length - 1];
+                if (closing || !list) {
+                    this.breakLine(false);
+                    return;
+                }
+                this.breakLine(false, false);
+                this.write('  '.repeat(this.lists.length - 1) + (list.ordered ? `${list.index++}. ` : '* '));
+                return;
+            }
+            case 'pre':
+                this.markLayout();
+                this.preDepth = Math.max(0, this.preDepth + (closing ? -1 : 1));
+                this.breakLine(true);
+                return;
+            case 'table':
+                if (closing) {
+                    this.closeTable();
+                } else {
+                    this.markLayout();
+                    this.breakLine(true);
+                    this.tables.push({ rows: [], layout: false, cellOpen: false });
+                }
+                return;
+            case 'tr':
+                if (table) {
+                    this.closeCell(table);
+                    if (!closing) table.rows.push([]);
+                }
+                return;
+            case 'td':
+            case 'th':
+                if (table) {
+                    this.closeCell(table);
+                    if (!closing) {
+                        if (table.rows.length === 0) table.rows.push([]);
+                        this.buffers.push(new TextBuffer());
+                        table.cellOpen = true;
+                    }
+                }
+                return;
+            default:
+                if (PARAGRAPH_TAGS.has(name)) {
+                    this.markLayout();
+                    this.breakLine(true);
+                } else if (LINE_TAGS.has(name)) {
+                    this.markLayout();
+                    this.breakLine(false);
+                }
+        }
+    }
+
+    finish(): string {
+        while (this.tables.length > 0) {
+            this.closeTable();
+        }
+        return this.buffers.map((buffer) => buffer.toString()).join('\n');
+    }
+
+    private get current(): TextBuffer {
+        return this.buffers[this.buffers.length - 1];
+    }
+
+    private write(value: string): void {
+        this.current.append(value);
+    }
+
+    /**
+     * Ends the current line (or paragraph) unless the buffer already does. Inside a list item
+     * the next line is indented to line up with the item text.
+     */
+    private breakLine(blank: boolean, indent = true): void {
+        const current = this.current;
+        current.trimEnd();
+
+        if (current.length === 0) {
+            return;
+        }
+
+        const wanted = blank && this.lists.length === 0 ? 2 : 1;
+        const trailing = current.trailingNewlines(wanted);
+        if (trailing < wanted) {
+            this.write('\n'.repeat(wanted - trailing));
+        }
+        if (indent) {
+            this.write(this.indent());
+        }
+    }
+
+    private indent(): string {
+        return '  '.repeat(this.lists.length);
+    }
+
+    private openLink(href: string): void {
+        this.links.push({ href, buffer: this.buffers.length - 1, start: this.current.length });
+    }
+
+    private closeLink(): void {
+        const link = this.links.pop();
+        if (!link || link.buffer !== this.buffers.length - 1) {
+            return;
+        }
+
+        const href = link.href.trim();
+        if (!href || href.startsWith('#') || /^javascript:/i.test(href) || this.options.hideLinkUrls) {
+            return;
+        }
+
+        const text = this.current.tail(this.current.length - link.start).trim();
+        if (!text) {
+            this.write(href);
+        } else if (text !== href && text !== href.replace(/^mailto:/i, '')) {
+            this.write(` (${href})`);
+        }
+    }
+
+    /**
+     * Block content inside a table cell means the table is used for layout, not data
+     */
+    private markLayout(): void {
+        const table = this.tables[this.tables.length - 1];
+        if (table && table.cellOpen) {
+            table.layout = true;
+        }
+    }
+
+    private closeCell(table: TableState): void {
+        if (!table.cellOpen) {
+            return;
+        }
+        table.rows[table.rows.length - 1].push((this.buffers.pop() as TextBuffer).toString());
+        table.cellOpen = false;
+    }
+
+    private closeTable(): void {
+        const table = this.tables.pop();
+        if (!table) {
+            return;
+        }
+
+        this.closeCell(table);
+        this.write(table.layout ? renderLayoutTable(table.rows) : renderDataTable(table.rows));
+        this.breakLine(true);
+    }
+}
+
+/**
+ * Lays out a data table in columns padded to the widest cell
+ */
+function renderDataTable(rows: string[][]): string {
+    const cells = rows
+        .map((row) => row.map((cell) => cell.replace(/\s+/g, ' ').trim()))
+        .filter((row) => row.some((cell) => cell !== ''));
+    const widths: number[] = [];
+
+    cells.forEach((row) => row.forEach((cell, index) => {
+        widths[index] = Math.max(widths[index] || 0, cell.length);
+    }));
+
+    return cells
+        .map((row) => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').replace(/\s+$/, ''))
+        .join('\n');
+}
+
+/**
+ * Renders a layout table as a sequence of blocks, one per non-empty cell
+ */
+function renderLayoutTable(rows: string[][]): string {
+    const blocks: string[] = [];
+    rows.forEach((row) => row.forEach((cell) => {
+        const block = cell.replace(/^\s+|\s+$/g, '');
+        if (block) blocks.push(block);
+    }));
+    return blocks.join('\n\n');
+}
+
+function getAttribute(attributes: string, name: string): string {
+    const match = new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i').exec(attributes);
+    if (!match) {
+        return '';
+    }
+    return decodeEntities(match[1] ?? match[2] ?? match[3] ?? '');
+}
+
+/**
+ * Wraps lines longer than `width` at spaces, keeping each line's indentation
+ */
+function wrapLines(text: string, width: number): string {
+    return text.split('\n').map((line) => {
+        if (line.length <= width) {
+            return line;
+        }
+
+        const indent = /^\s*/.exec(line)![0];
+        const wrapped: string[] = [];
+        let current = '';
+
+        for (const word of line.slice(indent.length).split(' ')) {
+            if (current && indent.length + current.length + 1 + word.length > width) {
+                wrapped.push(indent + current);
+                current = word;
+            } else {
+                current = current ? `${current} ${word}` : word;
+            }
+        }
+        wrapped.push(indent + current);
+
+        return wrapped.join('\n');
+    }).join('\n');
+}
@@ -0,0 +1,136 @@
+import { createHash, randomUUID } from 'node:crypto';
+import type MailMessage from 'nodemailer/lib/mailer/mail-message';
+import type { UsesendIdempotencyOptions, UsesendIdempotencyRecord, UsesendIdempotencyStore } from '../types/transport';
+import { UsesendValidationError } from '../errors';
+
+/** Request header carrying the idempotency key, unless configured otherwise */
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+/** Default time the built-in store remembers a sent message */
+const STORE_TTL = 24 * 60 * 60 * 1000;
+
+/** Default number of keys the built-in store remembers */
+const STORE_MAX_ENTRIES = 10000;
+
+/** Longest key accepted, to keep the header within common server limits */
+const MAX_KEY_LENGTH = 255;
+
+export type IdempotencyPolicy = {
+    header: string;
+    store: UsesendIdempotencyStore | null;
+};
+
+/**
+ * Resolves the `idempotency` transport option. Keys are sent by default; the local store is opt-in.
+ */
+export function resolveIdempotencyPolicy(options: boolean | UsesendIdempotencyOptions = true): IdempotencyPolicy | null {
+    if (!options) {
+        return null;
+    }
+
+    const { header = IDEMPOTENCY_HEADER, store = false } = options === true ? {} : options;
+
+    if (!/^[\w!#$%&'*+.^`|~-]+$/.test(header)) {
+        throw new Error('Invalid idempotency option "header": expected a valid header name.');
+    }
+    if (store !== true && store !== false && (typeof store.get !== 'function' || typeof store.set !== 'function')) {
+        throw new Error('Invalid idempotency option "store": expected a boolean or an object with get() and set() methods.');
+    }
+
+    return {
+        header,
+        store: store === true ? new MemoryIdempotencyStore() : store || null,
+    };
+}
+
+/**
+ * Returns the idempotency key of a message: its `idempotencyKey`, else a hash of its Message-ID.
+ * A message given the same `messageId` gets the same key when it is submitted again, even from
+ * another process; Nodemailer generates a random Message-ID otherwise, which still keeps the key
+ * stable across the transport's own retries.
+ */
+export function getIdempotencyKey(mail: MailMessage): string {
+    const { idempotencyKey } = mail.data;
+
+    if (idempotencyKey !== undefined) {
+        if (typeof idempotencyKey !== 'string' || !/^[\x21-\x7e]+$/.test(idempotencyKey) || idempotencyKey.length > MAX_KEY_LENGTH) {
+            throw new UsesendValidationError(
+                `Invalid "idempotencyKey": expected 1 to ${MAX_KEY_LENGTH} printable ASCII characters without spaces.`,
+                [{ path: ['idempotencyKey'], message: 'Invalid idempotency key' }],
+            );
+        }
+        return idempotencyKey;
+    }
+
+    const messageId = mail.data.messageId || mail.message?.messageId() || randomUUID();
+    return hashKey(messageId.trim().replace(/^<+|>+$/g, ''));
+}
+
+/**
+ * Key for a batch request, derived from the keys of the messages it carries
+ */
+export function getBatchIdempotencyKey(keys: string[]): string {
+    return hashKey(keys.join('\n'));
+}
+
+function hashKey(value: string): string {
+    return createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * In-memory store of sent messages by idempotency key, used by `idempotency: { store: true }`.
+ * Keys are remembered for `ttl` milliseconds, and the oldest are forgotten first beyond `maxEntries`.
+ * The records live in this process only; use a shared store to dedupe across processes.
+ */
+export class MemoryIdempotencyStore implements UsesendIdempotencyStore {
+    private entries = new Map<string, { record: UsesendIdempotencyRecord; expires: number }>();
+    private ttl: number;
+    private maxEntries: number;
+
+    constructor(options: { ttl?: number; maxEntries?: number } = {}) {
+        const { ttl = STORE_TTL, maxEntries = STORE_MAX_ENTRIES } = options;
+
+        if (!(ttl > 0)) {
+            throw new Error('Invalid idempotency store option "ttl": expected a positive number of milliseconds.');
+        }
+        if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+            throw new Error('Invalid idempotency store option "maxEntries": expected an integer of at least 1.');
+        }
+
+        this.ttl = ttl;
+        this.maxEntries = maxEntries;
+    }
+
+    /**
+     * Number of remembered keys, expired ones included until they are looked up or evicted
+     */
+    get size(): number {
+        return this.entries.size;
+    }
+
+    get(key: string): UsesendIdempotencyRecord | undefined {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        if (entry.expires <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        return entry.record;
+    }
+
+    set(key: string, record: UsesendIdempotencyRecord): void {
+        this.entries.delete(key);
+        this.entries.set(key, { record, expires: Date.now() + this.ttl });
+
+        for (const oldest of this.entries.keys()) {
+            if (this.entries.size <= this.maxEntries) break;
+            this.entries.delete(oldest);
+        }
+    }
+
+    clear(): void {
+        this.entries.clear();
+    }
+}
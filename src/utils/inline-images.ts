@@ -0,0 +1,53 @@
+import type Mail from 'nodemailer/lib/mailer';
+import { processAttachment, ProcessAttachmentOptions } from './attachments';
+
+export type InlinedImages = {
+    /** HTML with every resolved `cid:` reference replaced by a data URI */
+    html: string;
+    /** Attachments that still have to be sent as regular attachments */
+    attachments: Mail.Attachment[];
+    /** Total size of the data URIs added to the HTML, in bytes */
+    inlinedSize: number;
+};
+
+/**
+ * Embeds attachments referenced as `cid:` in the HTML as data URIs, since the Usesend API has no way
+ * to send an attachment's content id. Attachments with a `cid` that the HTML does not reference are
+ * left in the attachment list.
+ */
+export async function inlineCidImages(
+    html: string,
+    attachments: Mail.Attachment[],
+    options: ProcessAttachmentOptions = {},
+): Promise<InlinedImages> {
+    const remaining: Mail.Attachment[] = [];
+    let inlinedSize = 0;
+    let result = html;
+
+    for (const attachment of attachments) {
+        const cid = attachment.cid?.trim().replace(/^<|>$/g, '');
+        // The scheme is case-insensitive, the content id is not
+        const reference = cid ? new RegExp(`[cC][iI][dD]:${escapeRegExp(cid)}(?=["')\\s>]|$)`, 'g') : null;
+
+        if (!reference || !reference.test(result)) {
+            remaining.push(attachment);
+            continue;
+        }
+
+        const { content, contentType } = await processAttachment(attachment, options);
+        const dataUri = `data:${contentType.split(';')[0].trim()};base64,${content}`;
+
+        // Every reference gets its own copy of the data URI
+        reference.lastIndex = 0;
+        result = result.replace(reference, () => {
+            inlinedSize += dataUri.length;
+            return dataUri;
+        });
+    }
+
+    return { html: result, attachments: remaining, inlinedSize };
+}
+
+function escapeRegExp(value: string): string {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
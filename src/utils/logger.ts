@@ -0,0 +1,136 @@
+import { getLogger } from 'nodemailer/lib/shared';
+import type { UsesendEmailPayload, UsesendLogger } from '../types/transport';
+import { redactPayload } from './hooks';
+
+/** Levels the transport logs at; a custom logger needs these methods */
+const LEVELS = ['debug', 'info', 'warn', 'error'] as const;
+
+type LogLevel = typeof LEVELS[number];
+
+/** An email address in free text (malformed ones included), with the domain captured */
+const ADDRESS_PATTERN = /[^\s<>"'(),:;[\]]+@([^\s<>"'(),:;@[\]]+\.[^\s<>"'(),:;@[\]]+)/;
+const ADDRESSES_PATTERN = new RegExp(ADDRESS_PATTERN.source, 'g');
+
+/** Payload fields holding recipient addresses */
+const RECIPIENT_FIELDS = ['to', 'cc', 'bcc', 'replyTo'];
+
+export type TransportLoggerOptions = {
+    logger?: boolean | UsesendLogger;
+    debug?: boolean;
+    redactRecipients?: boolean;
+    apiKey: string;
+};
+
+/**
+ * Writes the transport's log entries to a Nodemailer-compatible logger, as `(meta, message, ...args)`
+ * with `component: 'usesend-transport'` in the meta (`logger: true` logs to the console).
+ * The API key is masked in everything logged; with `redactRecipients`, so are email addresses.
+ */
+export class TransportLogger {
+    /** Whether API requests and responses are logged in full (the `debug` option) */
+    readonly debugTraffic: boolean;
+    private logger: UsesendLogger | null;
+    private apiKey: string;
+    private redactRecipients: boolean;
+
+    constructor(options: TransportLoggerOptions) {
+        const { logger = false, debug = false, redactRecipients = false, apiKey } = options;
+
+        if (logger !== true && logger !== false && (typeof logger !== 'object' || logger === null || LEVELS.some((level) => typeof logger[level] !== 'function'))) {
+            throw new Error('Invalid option "logger": expected a boolean or a logger with debug(), info(), warn() and error() methods.');
+        }
+
+        this.logger = logger === true ? getLogger({ logger: true }) : logger || null;
+        this.debugTraffic = Boolean(this.logger && debug);
+        this.apiKey = apiKey;
+        this.redactRecipients = redactRecipients;
+    }
+
+    debug(meta: Record<string, unknown>, message: string, ...args: unknown[]): void {
+        this.log('debug', meta, message, args);
+    }
+
+    info(meta: Record<string, unknown>, message: string, ...args: unknown[]): void {
+        this.log('info', meta, message, args);
+    }
+
+    warn(meta: Record<string, unknown>, message: string, ...args: unknown[]): void {
+        this.log('warn', meta, message, args);
+    }
+
+    error(meta: Record<string, unknown>, message: string, ...args: unknown[]): void {
+        this.log('error', meta, message, args);
+    }
+
+    /**
+     * Copy of a payload to log: attachment contents and images embedded in the HTML are replaced
+     * by their size and, with `redactRecipients`, recipients by the domain of their address
+     */
+    payload(payload: UsesendEmailPayload): UsesendEmailPayload {
+        const redacted = redactPayload(payload);
+        if (this.redactRecipients) {
+            RECIPIENT_FIELDS.forEach((field) => {
+                if (Array.isArray(redacted[field])) {
+                    redacted[field] = redacted[field].map((entry: unknown) => this.redactAddress(String(entry)));
+                } else if (typeof redacted[field] === 'string') {
+                    redacted[field] = this.redactAddress(redacted[field]);
+                }
+            });
+        }
+        return redacted;
+    }
+
+    private log(level: LogLevel, meta: Record<string, unknown>, message: string, args: unknown[]): void {
+        if (!this.logger) {
+            return;
+        }
+
+        // The Message-ID looks like an address, but is kept to correlate the entries of a send
+        const messageId = typeof meta.messageId === 'string' ? meta.messageId.replace(/^<|>$/g, '') : undefined;
+        const mask = (value: unknown) => this.mask(value, messageId);
+
+        try {
+            this.logger[level](mask({ component: 'usesend-transport', ...meta }), mask(message), ...args.map(mask));
+        } catch {
+            // A broken logger must not fail the send
+        }
+    }
+
+    /**
+     * Masks secrets in a value about to be logged. Errors become plain objects, so their
+     * message and stack can be masked too.
+     */
+    private mask(value: unknown, messageId?: string): any {
+        if (typeof value === 'string') {
+            const masked = value.split(this.apiKey).join('[redacted]');
+            return this.redactRecipients
+                ? masked.replace(ADDRESSES_PATTERN, (address, domain) => (address === messageId ? address : `***@${domain}`))
+                : masked;
+        }
+        if (value instanceof Error) {
+            const { code, status } = value as Error & { code?: unknown; status?: unknown };
+            return this.mask({ name: value.name, message: value.message, code, status, stack: value.stack }, messageId);
+        }
+        if (Array.isArray(value)) {
+            return value.map((entry) => this.mask(entry, messageId));
+        }
+        if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+            const masked: Record<string, unknown> = {};
+            Object.keys(value).forEach((key) => {
+                if ((value as Record<string, unknown>)[key] !== undefined) {
+                    masked[key] = this.mask((value as Record<string, unknown>)[key], messageId);
+                }
+            });
+            return masked;
+        }
+        return value;
+    }
+
+    /**
+     * `Jane <jane@example.com>` becomes `***@example.com`, dropping the name as well
+     */
+    private redactAddress(entry: string): string {
+        const match = ADDRESS_PATTERN.exec(entry);
+        return match ? `***@${match[1]}` : '***';
+    }
+}
@@ -0,0 +1,269 @@
+/** Number of leading bytes needed to recognise every format below */
+export const SNIFF_LENGTH = 4096;
+
+type Signature = {
+    type: string;
+    /** Bytes (or latin1 text) expected at `offset` */
+    magic: number[] | string;
+    offset?: number;
+};
+
+/**
+ * Magic numbers of common formats, most specific first
+ */
+const SIGNATURES: Signature[] = [
+    { type: 'application/pdf', magic: '%PDF-' },
+    { type: 'image/png', magic: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { type: 'image/jpeg', magic: [0xff, 0xd8, 0xff] },
+    { type: 'image/gif', magic: 'GIF87a' },
+    { type: 'image/gif', magic: 'GIF89a' },
+    { type: 'image/webp', magic: 'WEBP', offset: 8 },
+    { type: 'audio/wav', magic: 'WAVE', offset: 8 },
+    { type: 'video/x-msvideo', magic: 'AVI ', offset: 8 },
+    { type: 'image/tiff', magic: [0x49, 0x49, 0x2a, 0x00] },
+    { type: 'image/tiff', magic: [0x4d, 0x4d, 0x00, 0x2a] },
+    { type: 'image/x-icon', magic: [0x00, 0x00, 0x01, 0x00] },
+    { type: 'audio/mpeg', magic: 'ID3' },
+    { type: 'audio/ogg', magic: 'OggS' },
+    { type: 'audio/flac', magic: 'fLaC' },
+    { type: 'application/gzip', magic: [0x1f, 0x8b] },
+    { type: 'application/x-7z-compressed', magic: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+    { type: 'application/vnd.rar', magic: 'Rar!\x1a\x07' },
+    { type: 'application/x-tar', magic: 'ustar', offset: 257 },
+    { type: 'application/x-cfb', magic: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+    { type: 'application/rtf', magic: '{\\rtf' },
+    { type: 'application/wasm', magic: [0x00, 0x61, 0x73, 0x6d] },
+    // Executables
+    { type: 'application/x-msdownload', magic: 'MZ' },
+    { type: 'application/x-executable', magic: [0x7f, 0x45, 0x4c, 0x46] },
+    { type: 'application/x-mach-binary', magic: [0xfe, 0xed, 0xfa, 0xce] },
+    { type: 'application/x-mach-binary', magic: [0xfe, 0xed, 0xfa, 0xcf] },
+    { type: 'application/x-mach-binary', magic: [0xce, 0xfa, 0xed, 0xfe] },
+    { type: 'application/x-mach-binary', magic: [0xcf, 0xfa, 0xed, 0xfe] },
+    { type: 'application/java-vm', magic: [0xca, 0xfe, 0xba, 0xbe] },
+    { type: 'text/x-shellscript', magic: '#!' },
+];
+
+/**
+ * Detects the content type from the first bytes of the content (see `SNIFF_LENGTH`), ignoring
+ * filenames and declared types. Returns `application/octet-stream` for unrecognised binary data.
+ */
+export function detectMimeType(head: Buffer): string {
+    for (const { type, magic, offset = 0 } of SIGNATURES) {
+        if (matches(head, magic, offset)) {
+            return type;
+        }
+    }
+
+    if (head.length >= 12 && matches(head, 'ftyp', 4)) {
+        return detectIsoMediaType(head.toString('latin1', 8, 12));
+    }
+
+    if (matches(head, [0x50, 0x4b, 0x03, 0x04]) || matches(head, [0x50, 0x4b, 0x05, 0x06])) {
+        return detectZipType(head);
+    }
+
+    if (matches(head, 'BM') && head.length >= 10 && head.readUInt32LE(6) === 0) {
+        return 'image/bmp';
+    }
+
+    return detectTextType(head);
+}
+
+/**
+ * Content types and their extensions, the preferred extension first
+ */
+const TYPES: Array<[string, string[]]> = [
+    ['text/plain', ['txt', 'text', 'log']],
+    ['text/html', ['html', 'htm']],
+    ['text/css', ['css']],
+    ['text/csv', ['csv']],
+    ['text/markdown', ['md', 'markdown']],
+    ['text/calendar', ['ics']],
+    ['text/vcard', ['vcf']],
+    ['text/javascript', ['js', 'mjs']],
+    ['application/json', ['json']],
+    ['application/xml', ['xml']],
+    ['application/pdf', ['pdf']],
+    ['application/rtf', ['rtf']],
+    ['application/msword', ['doc']],
+    ['application/vnd.openxmlformats-officedocument.wordprocessingml.document', ['docx']],
+    ['application/vnd.ms-excel', ['xls']],
+    ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', ['xlsx']],
+    ['application/vnd.ms-powerpoint', ['ppt']],
+    ['application/vnd.openxmlformats-officedocument.presentationml.presentation', ['pptx']],
+    ['application/vnd.oasis.opendocument.text', ['odt']],
+    ['application/vnd.oasis.opendocument.spreadsheet', ['ods']],
+    ['application/vnd.oasis.opendocument.presentation', ['odp']],
+    ['application/epub+zip', ['epub']],
+    ['application/zip', ['zip']],
+    ['application/gzip', ['gz', 'tgz']],
+    ['application/x-tar', ['tar']],
+    ['application/x-7z-compressed', ['7z']],
+    ['application/vnd.rar', ['rar']],
+    ['application/java-archive', ['jar']],
+    ['application/x-msdownload', ['exe', 'dll']],
+    ['application/wasm', ['wasm']],
+    ['application/octet-stream', ['bin']],
+    ['message/rfc822', ['eml']],
+    ['image/png', ['png']],
+    ['image/jpeg', ['jpg', 'jpeg', 'jpe']],
+    ['image/gif', ['gif']],
+    ['image/webp', ['webp']],
+    ['image/svg+xml', ['svg']],
+    ['image/bmp', ['bmp']],
+    ['image/tiff', ['tif', 'tiff']],
+    ['image/x-icon', ['ico']],
+    ['image/avif', ['avif']],
+    ['image/heic', ['heic']],
+    ['audio/mpeg', ['mp3']],
+    ['audio/mp4', ['m4a']],
+    ['audio/aac', ['aac']],
+    ['audio/wav', ['wav']],
+    ['audio/ogg', ['ogg', 'oga']],
+    ['audio/flac', ['flac']],
+    ['video/mp4', ['mp4', 'm4v']],
+    ['video/quicktime', ['mov']],
+    ['video/webm', ['webm']],
+    ['video/x-msvideo', ['avi']],
+    ['video/mpeg', ['mpeg', 'mpg']],
+    ['font/woff', ['woff']],
+    ['font/woff2', ['woff2']],
+    ['font/ttf', ['ttf']],
+    ['font/otf', ['otf']],
+];
+
+/** Legacy and unofficial names of the types above */
+const TYPE_ALIASES: Record<string, string> = {
+    'image/jpg': 'image/jpeg',
+    'image/pjpeg': 'image/jpeg',
+    'image/x-png': 'image/png',
+    'image/vnd.microsoft.icon': 'image/x-icon',
+    'text/xml': 'application/xml',
+    'application/javascript': 'text/javascript',
+    'application/x-javascript': 'text/javascript',
+    'application/x-zip-compressed': 'application/zip',
+    'application/x-gzip': 'application/gzip',
+    'application/x-rar-compressed': 'application/vnd.rar',
+    'audio/x-wav': 'audio/wav',
+    'audio/mp3': 'audio/mpeg',
+    'text/x-vcard': 'text/vcard',
+};
+
+const TYPE_BY_EXTENSION: Record<string, string> = {};
+const EXTENSION_BY_TYPE: Record<string, string> = {};
+TYPES.forEach(([type, extensions]) => {
+    EXTENSION_BY_TYPE[type] = extensions[0];
+    extensions.forEach((extension) => {
+        TYPE_BY_EXTENSION[extension] = type;
+    });
+});
+
+/**
+ * Looks up the content type for a filename's extension (case-insensitive)
+ */
+export function getMimeType(filename: string): string | undefined {
+    const dot = filename.lastIndexOf('.');
+    return dot < 0 ? undefined : TYPE_BY_EXTENSION[filename.slice(dot + 1).toLowerCase()];
+}
+
+/**
+ * Looks up the preferred extension (without the dot) for a content type. Parameters such as
+ * `charset` are ignored.
+ */
+export function getExtension(contentType: string): string | undefined {
+    const type = contentType.split(';')[0].trim().toLowerCase();
+    return EXTENSION_BY_TYPE[TYPE_ALIASES[type] || type];
+}
+
+function matches(head: Buffer, magic: number[] | string, offset = 0): boolean {
+    const bytes = typeof magic === 'string' ? Buffer.from(magic, 'latin1') : Buffer.from(magic);
+    return head.length >= offset + bytes.length && head.subarray(offset, offset + bytes.length).equals(bytes);
+}
+
+/**
+ * MP4 and friends share the `ftyp` box; the brand tells them apart
+ */
+function detectIsoMediaType(brand: string): string {
+    if (/^(heic|heix|mif1|msf1)$/.test(brand)) {
+        return 'image/heic';
+    }
+    if (brand === 'qt  ') {
+        return 'video/quicktime';
+    }
+    if (brand === 'M4A ') {
+        return 'audio/mp4';
+    }
+    return 'video/mp4';
+}
+
+/**
+ * Office documents, OpenDocument files, EPUBs and Java archives are ZIP files;
+ * their first entries tell them apart
+ */
+function detectZipType(head: Buffer): string {
+    const text = head.toString('latin1');
+
+    const declared = /^mimetype(application\/[\w.+-]+)/.exec(text.slice(30));
+    if (declared) {
+        return declared[1];
+    }
+    if (text.includes('word/')) {
+        return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+    }
+    if (text.includes('xl/')) {
+        return 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    }
+    if (text.includes('ppt/')) {
+        return 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+    }
+    if (text.includes('META-INF/MANIFEST.MF')) {
+        return 'application/java-archive';
+    }
+    return 'application/zip';
+}
+
+/**
+ * Recognises text content (UTF-8 or UTF-16 with a BOM) and a few text formats by their start
+ */
+function detectTextType(head: Buffer): string {
+    if (matches(head, [0xfe, 0xff]) || matches(head, [0xff, 0xfe])) {
+        return 'text/plain';
+    }
+
+    const body = matches(head, [0xef, 0xbb, 0xbf]) ? head.subarray(3) : head;
+    if (body.includes(0) || !isUtf8(body)) {
+        return 'application/octet-stream';
+    }
+
+    const start = body.toString('utf-8').trimLeft().slice(0, 512).toLowerCase();
+    if (start.startsWith('<svg') || (start.startsWith('<?xml') && start.includes('<svg'))) {
+        return 'image/svg+xml';
+    }
+    if (start.startsWith('<?xml')) {
+        return 'application/xml';
+    }
+    if (start.startsWith('<!doctype html') || start.startsWith('<html')) {
+        return 'text/html';
+    }
+    if (start.startsWith('{') || start.startsWith('[')) {
+        return 'application/json';
+    }
+    return 'text/plain';
+}
+
+/**
+ * Checks for valid UTF-8, allowing a multi-byte character to be cut off at the end of the sample
+ */
+function isUtf8(bytes: Buffer): boolean {
+    const decoder = new TextDecoder('utf-8', { fatal: true });
+    for (let cut = 0; cut <= Math.min(3, bytes.length); cut++) {
+        try {
+            decoder.decode(bytes.subarray(0, bytes.length - cut));
+            return true;
+        } catch {
+            // Try again without a possibly truncated last character
+        }
+    }
+    return false;
+}
@@ -0,0 +1,100 @@
+import type { UsesendRetryOptions } from '../types/transport';
+import { UsesendError, UsesendNetworkError, UsesendRateLimitError, UsesendServerError } from '../errors';
+
+export type RetryPolicy = Required<UsesendRetryOptions>;
+
+const DEFAULT_RETRY_POLICY: RetryPolicy = {
+    maxAttempts: 3,
+    baseDelay: 500,
+    maxDelay: 30000,
+    jitter: 0.2,
+};
+
+/**
+ * Resolves the `retry` transport option into a complete policy.
+ * Retrying is disabled (a single attempt) when the option is omitted or `false`.
+ */
+export function resolveRetryPolicy(
+    options: boolean | UsesendRetryOptions | undefined,
+): RetryPolicy {
+    if (!options) {
+        return { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+    }
+
+    const overrides: UsesendRetryOptions = options === true ? {} : options;
+    const policy: RetryPolicy = {
+        maxAttempts: overrides.maxAttempts ?? DEFAULT_RETRY_POLICY.maxAttempts,
+        baseDelay: overrides.baseDelay ?? DEFAULT_RETRY_POLICY.baseDelay,
+        maxDelay: overrides.maxDelay ?? DEFAULT_RETRY_POLICY.maxDelay,
+        jitter: overrides.jitter ?? DEFAULT_RETRY_POLICY.jitter,
+    };
+
+    if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+        throw new Error('Invalid retry option "maxAttempts": expected an integer of at least 1.');
+    }
+    if (!(policy.baseDelay >= 0) || !(policy.maxDelay >= 0)) {
+        throw new Error('Invalid retry options "baseDelay"/"maxDelay": expected non-negative numbers.');
+    }
+    if (!(policy.jitter >= 0 && policy.jitter <= 1)) {
+        throw new Error('Invalid retry option "jitter": expected a number between 0 and 1.');
+    }
+
+    return policy;
+}
+
+/**
+ * Returns whether a failed send is worth retrying: network failures, rate limiting and
+ * server errors. Validation, authentication and permission failures never are.
+ */
+export function isRetryableError(error: unknown): error is UsesendError {
+    if (error instanceof UsesendServerError) {
+        return error.status !== 501;
+    }
+
+    return error instanceof UsesendRateLimitError || error instanceof UsesendNetworkError;
+}
+
+/**
+ * Computes the delay before the next attempt using exponential backoff with jitter.
+ * A server-provided `retryAfter` takes precedence; `null` means it exceeds `maxDelay`
+ * and the caller should give up instead of waiting.
+ *
+ * @param attempt The attempt that just failed (1-based)
+ */
+export function getRetryDelay(
+    policy: RetryPolicy,
+    attempt: number,
+    retryAfter?: number,
+): number | null {
+    if (retryAfter !== undefined) {
+        return retryAfter <= policy.maxDelay ? retryAfter : null;
+    }
+
+    const exponential = policy.baseDelay * 2 ** (attempt - 1);
+    const spread = exponential * policy.jitter * (Math.random() * 2 - 1);
+
+    return Math.round(Math.min(policy.maxDelay, Math.max(0, exponential + spread)));
+}
+
+/**
+ * Resolves after the given number of milliseconds, or rejects with the signal's reason
+ * as soon as it is aborted
+ */
+export function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        const abort = () => {
+            clearTimeout(timer);
+            reject(signal?.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', abort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', abort, { once: true });
+    });
+}
@@ -0,0 +1,30 @@
+import { UsesendValidationError } from '../errors';
+
+/**
+ * Header that can be used instead of the `scheduledAt` mail option
+ */
+export const SCHEDULED_AT_HEADER = 'X-Usesend-Scheduled-At';
+
+/**
+ * Validates a scheduled delivery time and returns it as an ISO 8601 string.
+ * Accepts a Date or any string `Date` can parse; the time must lie in the future.
+ */
+export function parseScheduledAt(value: Date | string, fieldName = 'scheduledAt'): string {
+    const date = value instanceof Date ? value : new Date(value);
+
+    if (Number.isNaN(date.getTime())) {
+        throw new UsesendValidationError(
+            `Invalid "${fieldName}": "${String(value)}" is not a valid date. Please provide a Date or an ISO 8601 string (e.g., 2030-01-01T09:00:00Z).`,
+            [{ path: [fieldName], message: 'Invalid date' }],
+        );
+    }
+
+    if (date.getTime() <= Date.now()) {
+        throw new UsesendValidationError(
+            `Invalid "${fieldName}": ${date.toISOString()} is in the past. Scheduled emails must be sent at a future time.`,
+            [{ path: [fieldName], message: 'Date must be in the future' }],
+        );
+    }
+
+    return date.toISOString();
+}
@@ -0,0 +1,356 @@
+import { BlockList, isIP, LookupFunction } from 'node:net';
+import { lookup, LookupAddress, LookupOptions } from 'node:dns';
+import { realpath } from 'node:fs/promises';
+import { isAbsolute, relative, resolve, sep } from 'node:path';
+import { Readable } from 'node:stream';
+import type { ReadableStream as WebReadableStream } from 'node:stream/web';
+import { Agent, fetch as fetchWithAgent } from 'undici';
+import type { UsesendFileAttachmentOptions, UsesendRemoteAttachmentOptions } from '../types/transport';
+import { UsesendAttachmentPolicyError } from '../errors';
+
+/** Redirects followed for one URL unless configured otherwise */
+export const MAX_REDIRECTS = 5;
+
+/** Time limit for fetching one URL, body included, unless configured otherwise */
+export const FETCH_TIMEOUT = 30000;
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * Loopback, private, link-local, shared, documentation, multicast and reserved ranges.
+ * IPv4-mapped IPv6 addresses (`::ffff:10.0.0.1`) are matched by the IPv4 rules, and so are the
+ * IPv4 addresses embedded in NAT64, 6to4 and Teredo addresses (see `embeddedIpv4`).
+ */
+const NON_PUBLIC = new BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => NON_PUBLIC.addSubnet(address as string, prefix as number, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b:1::', 48], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => NON_PUBLIC.addSubnet(address as string, prefix as number, 'ipv6'));
+
+/**
+ * Raised by `publicLookup` when a host resolves to a non-public address
+ */
+class NonPublicAddressError extends Error {
+    constructor(public host: string, public address: string) {
+        super(`Host "${host}" resolves to the non-public address ${address}`);
+        this.name = 'NonPublicAddressError';
+    }
+}
+
+/** Connections of `blockPrivateNetworks` fetches, created on first use */
+let publicAgent: Agent | null = null;
+
+export type FetchRemoteOptions = {
+    signal?: AbortSignal;
+    /** Attachment the URL belongs to, named in policy errors */
+    filename?: string;
+    /** Extra request headers, e.g. for conditional requests */
+    headers?: Record<string, string>;
+};
+
+export type RemoteContent = {
+    response: Response;
+    /** Response body, limited to `maxSize` and to the remaining time */
+    body: Readable | null;
+};
+
+/**
+ * Fetches an http(s) URL within the remote access rules: the host (and the host of every redirect)
+ * must be allowed and, with `blockPrivateNetworks`, resolve to public addresses only. Redirects are
+ * followed manually up to `maxRedirects`, and `timeout` and `signal` cover the body as well.
+ *
+ * With `blockPrivateNetworks`, host names are resolved and checked by the connection itself, so the
+ * address checked is the one connected to, even when the DNS answer changes (DNS rebinding).
+ */
+export async function fetchRemote(
+    url: string,
+    remote: UsesendRemoteAttachmentOptions | false = {},
+    options: FetchRemoteOptions = {},
+): Promise<RemoteContent> {
+    const { signal, filename, headers } = options;
+
+    if (remote === false) {
+        throw new UsesendAttachmentPolicyError(
+            `Attachment URL "${url}" is not allowed: fetching remote content is disabled.`,
+            'url',
+            filename,
+        );
+    }
+
+    const { maxRedirects = MAX_REDIRECTS, timeout = FETCH_TIMEOUT, maxSize, blockPrivateNetworks } = remote;
+    const dispatcher = blockPrivateNetworks ? getPublicAgent() : undefined;
+    const controller = new AbortController();
+    const abort = () => controller.abort(signal?.reason);
+    const timer = setTimeout(() => controller.abort(new Error(`Timed out after ${timeout} ms`)), timeout);
+    signal?.addEventListener('abort', abort);
+
+    const finish = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', abort);
+    };
+
+    try {
+        if (signal?.aborted) {
+            throw signal.reason;
+        }
+
+        let current = new URL(url);
+        let response: Response;
+
+        for (let redirects = 0; ; redirects++) {
+            checkHost(current, remote, filename);
+            try {
+                const init = { headers, redirect: 'manual' as const, signal: controller.signal };
+                // The Agent comes from the undici package, so it is used with that package's fetch:
+                // Node's global fetch bundles its own undici, whose dispatcher interface may differ
+                response = dispatcher
+                    ? await fetchWithAgent(current.href, { ...init, dispatcher }) as unknown as Response
+                    : await fetch(current.href, init);
+            } catch (error) {
+                const cause = (error as { cause?: unknown }).cause;
+                if (cause instanceof NonPublicAddressError) {
+                    throw nonPublicAddressError(current, cause.address, filename);
+                }
+                throw error;
+            }
+
+            const location = response.headers.get('location');
+            if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+                break;
+            }
+
+            await response.body?.cancel();
+            if (redirects >= maxRedirects) {
+                throw new Error(`Too many redirects (more than ${maxRedirects})`);
+            }
+            current = new URL(location, current);
+        }
+
+        const contentLength = Number(response.headers.get('content-length'));
+        if (maxSize !== undefined && contentLength > maxSize) {
+            throw remoteSizeError(url, maxSize, filename);
+        }
+
+        if (!response.body) {
+            finish();
+            return { response, body: null };
+        }
+
+        const body = Readable.fromWeb(response.body as unknown as WebReadableStream);
+        const limited = Readable.from(limitBody(body, url, maxSize, filename, finish));
+        // Destroyed before it was read (a refused attachment), the body is cancelled and the timer cleared
+        limited.once('close', () => {
+            finish();
+            body.destroy();
+        });
+        return { response, body: limited };
+    } catch (error) {
+        finish();
+        throw error;
+    }
+}
+
+/**
+ * Checks that a file path may be read and returns the path to open. With `baseDirs`, the path
+ * must lie inside one of them both as written and once symbolic links are resolved.
+ */
+export async function checkFilePath(
+    filePath: string,
+    files: UsesendFileAttachmentOptions | false = {},
+    filename?: string,
+): Promise<string> {
+    if (files === false) {
+        throw new UsesendAttachmentPolicyError(
+            `Attachment path "${filePath}" is not allowed: reading files is disabled.`,
+            'path',
+            filename,
+        );
+    }
+
+    if (!files.baseDirs) {
+        return filePath;
+    }
+
+    const outside = () => new UsesendAttachmentPolicyError(
+        `Attachment path "${filePath}" is not allowed: it is outside the allowed directories.`,
+        'path',
+        filename,
+    );
+
+    // Checked before touching the file system, so refused paths do not reveal whether they exist
+    const resolved = resolve(filePath);
+    if (!files.baseDirs.some((dir) => isInside(resolve(dir), resolved))) {
+        throw outside();
+    }
+
+    const real = await realpath(resolved);
+    const realDirs = await Promise.all(files.baseDirs.map((dir) => realpath(dir).catch(() => resolve(dir))));
+    if (!realDirs.some((dir) => isInside(dir, real))) {
+        throw outside();
+    }
+
+    return real;
+}
+
+/**
+ * Checks the scheme and the allowed hosts of a URL. With `blockPrivateNetworks`, IP addresses are
+ * checked here; host names are checked once resolved, by `publicLookup`.
+ */
+function checkHost(url: URL, remote: UsesendRemoteAttachmentOptions, filename?: string): void {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new UsesendAttachmentPolicyError(
+            `Attachment URL "${url.href}" is not allowed: only http and https URLs can be fetched.`,
+            'url',
+            filename,
+        );
+    }
+
+    const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+    if (remote.allowedHosts && !remote.allowedHosts.some((entry) => matchesHost(entry.toLowerCase(), host))) {
+        throw new UsesendAttachmentPolicyError(
+            `Attachment URL "${url.href}" is not allowed: host "${host}" is not in the allowed hosts.`,
+            'url',
+            filename,
+        );
+    }
+
+    if (remote.blockPrivateNetworks && isIP(host) && isNonPublic({ address: host, family: isIP(host) })) {
+        throw nonPublicAddressError(url, host, filename);
+    }
+}
+
+function getPublicAgent(): Agent {
+    if (!publicAgent) {
+        publicAgent = new Agent({ connect: { lookup: publicLookup as LookupFunction } });
+    }
+    return publicAgent;
+}
+
+/**
+ * `dns.lookup()` for connections that may only reach public addresses: fails when any address
+ * the host resolves to is non-public
+ */
+function publicLookup(
+    hostname: string,
+    options: LookupOptions,
+    callback: (error: Error | null, address?: string | LookupAddress[], family?: number) => void,
+): void {
+    lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+
+        const blocked = addresses.find(isNonPublic);
+        if (blocked) {
+            return callback(new NonPublicAddressError(hostname, blocked.address));
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+function isNonPublic({ address, family }: LookupAddress): boolean {
+    if (family !== 6) {
+        return NON_PUBLIC.check(address, 'ipv4');
+    }
+    const embedded = embeddedIpv4(address);
+    return NON_PUBLIC.check(address, 'ipv6') || (embedded !== undefined && NON_PUBLIC.check(embedded, 'ipv4'));
+}
+
+/**
+ * The IPv4 address an IPv6 address routes to: the last 32 bits of a NAT64 address (64:ff9b::/96),
+ * bits 16 to 48 of a 6to4 address (2002::/16) or the inverted last 32 bits of a Teredo address
+ * (2001::/32, the client address)
+ */
+function embeddedIpv4(address: string): string | undefined {
+    const groups = ipv6Groups(address);
+    const ipv4 = (high: number, low: number) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+
+    if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every((group) => group === 0)) {
+        return ipv4(groups[6], groups[7]);
+    }
+    if (groups[0] === 0x2002) {
+        return ipv4(groups[1], groups[2]);
+    }
+    if (groups[0] === 0x2001 && groups[1] === 0) {
+        return ipv4(groups[6] ^ 0xffff, groups[7] ^ 0xffff);
+    }
+    return undefined;
+}
+
+/**
+ * The eight 16-bit groups of a valid IPv6 address, expanding `::` and a dotted IPv4 tail
+ */
+function ipv6Groups(address: string): number[] {
+    let text = address.replace(/%.*$/, '');
+    const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(1).map(Number);
+        text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+
+    const [head, tail] = text.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const zeros = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0');
+
+    return [...headGroups, ...zeros, ...tailGroups].map((group) => parseInt(group, 16));
+}
+
+function nonPublicAddressError(url: URL, address: string, filename?: string): UsesendAttachmentPolicyError {
+    const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    return new UsesendAttachmentPolicyError(
+        `Attachment URL "${url.href}" is not allowed: host "${host}" resolves to the non-public address ${address}.`,
+        'url',
+        filename,
+    );
+}
+
+/**
+ * `example.com` matches that host only, `*.example.com` matches its subdomains
+ */
+function matchesHost(entry: string, host: string): boolean {
+    return entry.startsWith('*.') ? host.endsWith(entry.slice(1)) : host === entry;
+}
+
+function isInside(dir: string, path: string): boolean {
+    const rel = relative(dir, path);
+    return rel === '' || (rel !== '..' && !rel.startsWith(`..${sep}`) && !isAbsolute(rel));
+}
+
+async function* limitBody(
+    body: Readable,
+    url: string,
+    maxSize: number | undefined,
+    filename: string | undefined,
+    finish: () => void,
+): AsyncGenerator<Buffer> {
+    let size = 0;
+    try {
+        for await (const chunk of body) {
+            size += chunk.length;
+            if (maxSize !== undefined && size > maxSize) {
+                throw remoteSizeError(url, maxSize, filename);
+            }
+            yield chunk;
+        }
+    } finally {
+        finish();
+    }
+}
+
+function remoteSizeError(url: string, maxSize: number, filename?: string): UsesendAttachmentPolicyError {
+    return new UsesendAttachmentPolicyError(
+        `Attachment URL "${url}" returned more than the limit of ${maxSize} bytes for remote content.`,
+        'size',
+        filename,
+    );
+}
@@ -0,0 +1,62 @@
+import type Mail from 'nodemailer/lib/mailer';
+import { UsesendValidationError } from '../errors';
+
+export type UsesendTemplate = {
+    templateId: string;
+    variables?: Record<string, string>;
+};
+
+/**
+ * Reads `templateId` and `variables` from the mail options, either top-level or from the
+ * `usesend` namespace (which takes precedence). Returns null when no template is used.
+ * Variables are checked against what the API accepts (string values only) before sending.
+ */
+export function resolveTemplate(data: Mail.Options): UsesendTemplate | null {
+    const templateId = data.usesend?.templateId ?? data.templateId;
+    const variables = data.usesend?.variables ?? data.variables;
+
+    if (templateId === undefined) {
+        if (variables !== undefined) {
+            throw new UsesendValidationError(
+                'Template "variables" were provided without a "templateId". Please specify the Usesend template to render.',
+                [{ path: ['templateId'], message: 'Required when variables are provided' }],
+            );
+        }
+        return null;
+    }
+
+    if (typeof templateId !== 'string' || templateId.trim() === '') {
+        throw new UsesendValidationError(
+            'Invalid "templateId": expected the non-empty id of a Usesend template.',
+            [{ path: ['templateId'], message: 'Expected a non-empty string' }],
+        );
+    }
+
+    if (variables === undefined) {
+        return { templateId };
+    }
+
+    if (variables === null || typeof variables !== 'object' || Array.isArray(variables)) {
+        throw new UsesendValidationError(
+            'Invalid template "variables": expected an object mapping variable names to string values.',
+            [{ path: ['variables'], message: 'Expected an object' }],
+        );
+    }
+
+    const issues = Object.entries(variables)
+        .filter(([, value]) => typeof value !== 'string')
+        .map(([name, value]) => ({
+            path: ['variables', name],
+            message: `Expected a string, received ${value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value}`,
+        }));
+
+    if (issues.length > 0) {
+        const details = issues.map((issue) => `  - ${issue.path.join('.')}: ${issue.message}`).join('\n');
+        throw new UsesendValidationError(
+            `Invalid template variables. Usesend only accepts string values:\n${details}`,
+            issues,
+        );
+    }
+
+    return { templateId, variables: variables as Record<string, string> };
+}
@@ -0,0 +1,97 @@
+/**
+ * URLs (with a scheme or starting with `www.`) and email addresses inside plain text. The local part
+ * of an address must start a word and is at most 64 characters (the RFC 5321 limit), so long tokens
+ * without an `@` (base64 in a log excerpt) are not rescanned from every position.
+ */
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"]+|(?<![^\s<>"'(),;:@])[^\s<>"'(),;:@]{1,64}@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}\b/gi;
+
+/** Punctuation that usually ends the sentence around a link rather than the link itself */
+const TRAILING_PUNCTUATION = '.,;:!?\'"])}';
+
+/**
+ * Renders plain text as HTML: special characters are escaped, blank lines separate paragraphs,
+ * single line breaks become `<br>`, runs of spaces and tabs are kept and URLs and email addresses
+ * are turned into links.
+ */
+export function textToHtml(text: string): string {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .split(/\n[ \t]*\n+/)
+        .filter((paragraph) => paragraph.trim() !== '')
+        .map((paragraph) => `<p>${paragraph.replace(/^\n+|\n+$/g, '').split('\n').map(renderLine).join('<br>\n')}</p>`)
+        .join('\n');
+}
+
+/**
+ * Escapes the characters that have a meaning in HTML
+ */
+export function escapeHtml(value: string): string {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderLine(line: string): string {
+    let html = '';
+    let lastIndex = 0;
+    let match: RegExpExecArray | null;
+
+    LINK_PATTERN.lastIndex = 0;
+    while ((match = LINK_PATTERN.exec(line))) {
+        const link = trimLink(match[0]);
+        html += renderText(line.slice(lastIndex, match.index)) + renderLink(link);
+        lastIndex = match.index + link.length;
+        LINK_PATTERN.lastIndex = lastIndex;
+    }
+
+    // A leading space would be dropped by the browser as well
+    return (html + renderText(line.slice(lastIndex))).replace(/^ /, '&nbsp;');
+}
+
+/**
+ * Drops trailing punctuation from a matched link, keeping a closing parenthesis that belongs
+ * to the URL (e.g. `https://en.wikipedia.org/wiki/Mail_(protocol)`)
+ */
+function trimLink(link: string): string {
+    let end = link.length;
+    while (end > 0 && TRAILING_PUNCTUATION.includes(link[end - 1])) {
+        end--;
+    }
+
+    // Parentheses are counted once, so a long run of them stays linear
+    let opened = 0;
+    let closed = 0;
+    for (let i = 0; i < end; i++) {
+        if (link[i] === '(') {
+            opened++;
+        } else if (link[i] === ')') {
+            closed++;
+        }
+    }
+
+    while (end < link.length && link[end] === ')' && opened > closed) {
+        closed++;
+        end++;
+    }
+
+    return link.slice(0, end);
+}
+
+function renderLink(link: string): string {
+    const href = link.includes('@') && !/^(https?:\/\/|www\.)/i.test(link)
+        ? `mailto:${link}`
+        : /^www\./i.test(link) ? `http://${link}` : link;
+    return `<a href="${escapeHtml(href)}">${escapeHtml(link)}</a>`;
+}
+
+/**
+ * Escapes text and keeps its spacing: tabs and repeated spaces would otherwise collapse
+ */
+function renderText(text: string): string {
+    return escapeHtml(text)
+        .replace(/\t/g, '    ')
+        .replace(/ {2}/g, ' &nbsp;');
+}
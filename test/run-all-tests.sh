@@ -39,6 +39,7 @@ cd "$(dirname "$0")"
 # Run test suites
 run_test_suite "test-unit.js" "Unit Tests"
 run_test_suite "test-error-cases.js" "Error Case Tests"
+run_test_suite "test-transport.js" "Transport Behaviour Tests"
 
 # Print summary
 echo "======================================================"
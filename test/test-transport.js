@@ -0,0 +1,2504 @@
+/**
+ * Transport Behaviour Tests
+ *
+ * Tests the transport against a scripted mock of the Usesend API, so no API key or network is needed.
+ *
+ * Run: node test/test-transport.js
+ */
+
+const nodemailer = require('nodemailer');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const { Readable } = require('stream');
+const {
+    UsesendTransport,
+    UsesendError,
+    UsesendValidationError,
+    UsesendAuthError,
+    UsesendRateLimitError,
+    UsesendServerError,
+    UsesendNetworkError,
+    UsesendAttachmentError,
+    UsesendAttachmentPolicyError,
+    UsesendTimeoutError,
+    UsesendAbortError,
+    UsesendCircuitOpenError,
+    UsesendHookError,
+    MemoryIdempotencyStore,
+    htmlToText,
+    textToHtml,
+} = require('../dist/main.js');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Test result tracking
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+async function runTest(name, testFn) {
+    testsRun++;
+    process.stdout.write(`${testsRun}. ${name}... `);
+
+    try {
+        await testFn();
+        console.log('✅ PASSED');
+        testsPassed++;
+        return true;
+    } catch (error) {
+        console.log(`❌ FAILED: ${error.message}`);
+        testsFailed++;
+        return false;
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || 'Assertion failed');
+    }
+}
+
+/**
+ * Replaces global fetch with a mock that plays back the given responses in order.
+ * Each entry is either { status, body, headers } or an Error to throw.
+ * Returns the list of recorded requests.
+ */
+function mockFetch(responses) {
+    const requests = [];
+    let index = 0;
+
+    global.fetch = async (url, options = {}) => {
+        requests.push({ url, options, body: options.body ? JSON.parse(options.body) : undefined });
+        const next = responses[Math.min(index++, responses.length - 1)];
+
+        if (next instanceof Error) {
+            throw next;
+        }
+
+        return new Response(JSON.stringify(next.body ?? {}), {
+            status: next.status ?? 200,
+            headers: { 'content-type': 'application/json', ...(next.headers || {}) },
+        });
+    };
+
+    return requests;
+}
+
+function makeTransport(options = {}) {
+    return UsesendTransport.makeTransport({
+        apiKey: 'test_key',
+        ...options,
+    });
+}
+
+function createMailer(options = {}) {
+    return nodemailer.createTransport(makeTransport(options));
+}
+
+const MESSAGE = {
+    from: 'sender@example.com',
+    to: 'user@example.com',
+    subject: 'Test',
+    text: 'Hello',
+};
+
+/**
+ * Replaces global fetch with one that never responds, only rejecting when its signal is aborted.
+ * Returns the list of recorded requests.
+ */
+function hangFetch() {
+    const requests = [];
+
+    global.fetch = (url, options = {}) => new Promise((resolve, reject) => {
+        requests.push({ url, options });
+        options.signal?.addEventListener('abort', () => reject(options.signal.reason));
+    });
+
+    return requests;
+}
+
+/**
+ * Replaces global fetch with one that answers every request with an email id after `delay` ms,
+ * tracking how many requests are in flight. Returns the recorded requests and the peak concurrency.
+ */
+function slowFetch(delay) {
+    const stats = { requests: [], active: 0, peak: 0 };
+
+    global.fetch = async (url, options = {}) => {
+        stats.requests.push({ url, options, at: Date.now() });
+        stats.active++;
+        stats.peak = Math.max(stats.peak, stats.active);
+        await wait(delay);
+        stats.active--;
+        return new Response(JSON.stringify({ emailId: `email_${stats.requests.length}` }), {
+            status: 200,
+            headers: { 'content-type': 'application/json' },
+        });
+    };
+
+    return stats;
+}
+
+/**
+ * Logger that records each entry with its message formatted, as a console logger would print it
+ */
+function captureLogger() {
+    const entries = [];
+    const logger = {};
+    ['debug', 'info', 'warn', 'error'].forEach((level) => {
+        logger[level] = (meta, message, ...args) => entries.push({ level, meta, message: util.format(message, ...args) });
+    });
+    return { logger, entries };
+}
+
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Runs `fn` with a fresh temporary directory, removed afterwards
+ */
+async function withTempDir(fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usesend-'));
+    try {
+        return await fn(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Starts an HTTP server on 127.0.0.1 that answers every request with `body`, counting the requests.
+ * Close it with `server.close()`.
+ */
+async function startServer(body) {
+    const started = { hits: 0 };
+    started.server = http.createServer((req, res) => {
+        started.hits++;
+        res.end(body);
+    });
+    await new Promise((resolve) => started.server.listen(0, '127.0.0.1', resolve));
+    started.port = started.server.address().port;
+    return started;
+}
+
+async function expectError(promise) {
+    try {
+        await promise;
+    } catch (error) {
+        return error;
+    }
+    throw new Error('Expected sendMail to fail');
+}
+
+async function runAllTests() {
+    console.log('🧪 Transport Behaviour Tests\n');
+    console.log('='.repeat(70));
+    console.log();
+
+    const originalFetch = global.fetch;
+
+    // ===== Retry Tests =====
+    console.log('🔁 Retry Policy');
+    console.log('-'.repeat(70));
+
+    await runTest(
+        'Do not retry when retry option is not set',
+        async () => {
+            const requests = mockFetch([{ status: 503, body: { error: { code: 'INTERNAL_SERVER_ERROR', message: 'Down' } } }]);
+
+            await expectError(createMailer().sendMail(MESSAGE));
+            assert(requests.length === 1, `Expected 1 request, got ${requests.length}`);
+        }
+    );
+
+    await runTest(
+        'Retry 5xx responses and report attempts',
+        async () => {
+            const requests = mockFetch([
+                { status: 503, body: { error: { code: 'INTERNAL_SERVER_ERROR', message: 'Down' } } },
+                { status: 502, body: { error: { code: 'INTERNAL_SERVER_ERROR', message: 'Down' } } },
+                { status: 200, body: { emailId: 'email_1' } },
+            ]);
+
+            const info = await createMailer({ retry: { maxAttempts: 3, baseDelay: 1 } }).sendMail(MESSAGE);
+            assert(requests.length === 3, `Expected 3 requests, got ${requests.length}`);
+            assert(info.emailId === 'email_1', 'Should return the email id');
+            assert(info.attempts === 3, `Expected attempts to be 3, got ${info.attempts}`);
+        }
+    );
+
+    await runTest(
+        'Retry network errors',
+        async () => {
+            const requests = mockFetch([
+                new TypeError('fetch failed'),
+                { status: 200, body: { emailId: 'email_2' } },
+            ]);
+
+            const info = await createMailer({ retry: { baseDelay: 1 } }).sendMail(MESSAGE);
+            assert(requests.length === 2, `Expected 2 requests, got ${requests.length}`);
+            assert(info.attempts === 2, 'Should report 2 attempts');
+        }
+    );
+
+    await runTest(
+        'Honour Retry-After on 429',
+        async () => {
+            mockFetch([
+                { status: 429, body: { error: { code: 'RATE_LIMITED', message: 'Slow down' } }, headers: { 'retry-after': '0.2' } },
+                { status: 200, body: { emailId: 'email_3' } },
+            ]);
+
+            const started = Date.now();
+            await createMailer({ retry: { baseDelay: 1 } }).sendMail(MESSAGE);
+            assert(Date.now() - started >= 190, 'Should wait for the Retry-After delay');
+        }
+    );
+
+    await runTest(
+        'Give up when Retry-After exceeds maxDelay',
+        async () => {
+            const requests = mockFetch([
+                { status: 429, body: { error: { code: 'RATE_LIMITED', message: 'Slow down' } }, headers: { 'retry-after': '120' } },
+            ]);
+
+            const error = await expectError(createMailer({ retry: { maxDelay: 1000 } }).sendMail(MESSAGE));
+            assert(requests.length === 1, 'Should not retry');
+            assert(error.message.includes('Rate limit exceeded'), 'Should surface the rate limit error');
+        }
+    );
+
+    await runTest(
+        'Never retry 400/401/403 responses',
+        async () => {
+            for (const [status, code] of [[400, 'BAD_REQUEST'], [401, 'UNAUTHORIZED'], [403, 'FORBIDDEN']]) {
+                const requests = mockFetch([{ status, body: { error: { code, message: 'Nope' } } }]);
+
+                await expectError(createMailer({ retry: { baseDelay: 1 } }).sendMail(MESSAGE));
+                assert(requests.length === 1, `${status} should not be retried`);
+            }
+        }
+    );
+
+    await runTest(
+        'Stop after maxAttempts',
+        async () => {
+            const requests = mockFetch([{ status: 500, body: { error: { code: 'INTERNAL_SERVER_ERROR', message: 'Down' } } }]);
+
+            const error = await expectError(createMailer({ retry: { maxAttempts: 2, baseDelay: 1 } }).sendMail(MESSAGE));
+            assert(requests.length === 2, `Expected 2 requests, got ${requests.length}`);
+            assert(error.message.includes('Server error'), 'Should surface the server error');
+        }
+    );
+
+    await runTest(
+        'Reject invalid retry options',
+        async () => {
+            let threw = false;
+            try {
+                makeTransport({ retry: { maxAttempts: 0 } });
+            } catch (error) {
+                threw = error.message.includes('maxAttempts');
+            }
+            assert(threw, 'Should reject maxAttempts below 1');
+        }
+    );
+
+    console.log();
+
+    // ===== Typed Error Tests =====
+    console.log('🚨 Typed Errors');
+    console.log('-'.repeat(70));
+
+    await runTest(
+        'Map Zod validation errors to UsesendValidationError with issues',
+        async () => {
+            const issues = [{ path: ['to'], message: 'Invalid email', code: 'invalid_string' }];
+            mockFetch([{ status: 400, body: { success: false, error: { name: 'ZodError', issues } } }]);
+
+            const error = await expectError(createMailer().sendMail(MESSAGE));
+            assert(error instanceof UsesendValidationError, 'Should be a UsesendValidationError');
+            assert(error instanceof UsesendError, 'Should extend UsesendError');
+            assert(error.code === 'VALIDATION_ERROR', `Unexpected code ${error.code}`);
+            assert(error.status === 400, 'Should carry the HTTP status');
+            assert(error.issues.length === 1 && error.issues[0].path[0] === 'to', 'Should carry the Zod issues');
+            assert(error.payload.name === 'ZodError', 'Should carry the raw payload');
+        }
+    );
+
+    await runTest(
+        'Map 401 and 403 to UsesendAuthError',
+        async () => {
+            for (const [status, code] of [[401, 'UNAUTHORIZED'], [403, 'FORBIDDEN']]) {
+                mockFetch([{ status, body: { error: { code, message: 'Nope' } } }]);
+
+                const error = await expectError(createMailer().sendMail(MESSAGE));
+                assert(error instanceof UsesendAuthError, `${status} should be a UsesendAuthError`);
+                assert(error.code === 'AUTH_ERROR' && error.status === status, 'Should carry code and status');
+            }
+        }
+    );
+
+    await runTest(
+        'Map 429 to UsesendRateLimitError with retryAfter',
+        async () => {
+            mockFetch([{ status: 429, body: { error: { code: 'RATE_LIMITED', message: 'Slow down' } }, headers: { 'retry-after': '3' } }]);
+
+            const error = await expectError(createMailer().sendMail(MESSAGE));
+            assert(error instanceof UsesendRateLimitError, 'Should be a UsesendRateLimitError');
+            assert(error.retryAfter === 3000, `Expected retryAfter 3000, got ${error.retryAfter}`);
+        }
+    );
+
+    await runTest(
+        'Map 5xx to UsesendServerError',
+        async () => {
+            mockFetch([{ status: 500, body: { error: { code: 'INTERNAL_SERVER_ERROR', message: 'Boom' } } }]);
+
+            const error = await expectError(createMailer().sendMail(MESSAGE));
+            assert(error instanceof UsesendServerError, 'Should be a UsesendServerError');
+            assert(error.code === 'SERVER_ERROR' && error.status === 500, 'Should carry code and status');
+        }
+    );
+
+    await runTest(
+        'Map fetch failures to UsesendNetworkError with cause',
+        async () => {
+            const cause = new TypeError('fetch failed');
+            mockFetch([cause]);
+
+            const error = await expectError(createMailer().sendMail(MESSAGE));
+            assert(error instanceof UsesendNetworkError, 'Should be a UsesendNetworkError');
+            assert(error.cause === cause, 'Should keep the original error as cause');
+        }
+    );
+
+    await runTest(
+        'Report local validation failures as UsesendValidationError',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'never' } }]);
+
+            const error = await expectError(createMailer().sendMail({ ...MESSAGE, to: 'not-an-email' }));
+            assert(error instanceof UsesendValidationError, 'Should be a UsesendValidationError');
+            assert(error.status === undefined, 'Local errors have no HTTP status');
+            assert(requests.length === 0, 'Should fail before calling the API');
+        }
+    );
+
+    await runTest(
+        'Report attachment failures as UsesendAttachmentError',
+        async () => {
+            mockFetch([{ status: 200, body: { emailId: 'never' } }]);
+
+            const error = await expectError(createMailer().sendMail({
+                ...MESSAGE,
+                attachments: [{ filename: 'missing.txt', path: '/non/existent/file.txt' }],
+            }));
+            assert(error instanceof UsesendAttachmentError, 'Should be a UsesendAttachmentError');
+            assert(error.code === 'ATTACHMENT_ERROR', 'Should carry the attachment code');
+            assert(error.cause instanceof Error, 'Should keep the original error as cause');
+        }
+    );
+
+    console.log();
+
+    // ===== Batch Tests =====
+    console.log('📦 Batch Sending');
+    console.log('-'.repeat(70));
+
+    await runTest(
+        'Send queued messages in one batch request',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { data: [{ emailId: 'a' }, { emailId: 'b' }, { emailId: 'c' }] } }]);
+            const mailer = createMailer({ batch: { window: 20 } });
+
+            const infos = await Promise.all(['x', 'y', 'z'].map((name) =>
+                mailer.sendMail({ ...MESSAGE, to: `${name}@example.com` })
+            ));
+
+            assert(requests.length === 1, `Expected 1 request, got ${requests.length}`);
+            assert(requests[0].url.endsWith('/emails/batch'), 'Should use the batch endpoint');
+            assert(requests[0].body.length === 3, 'Should send all three messages');
+            assert(infos.map((info) => info.emailId).join() === 'a,b,c', 'Each message should get its own email id');
+        }
+    );
+
+    await runTest(
+        'Flush immediately when maxSize is reached',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { data: [{ emailId: 'a' }, { emailId: 'b' }] } }]);
+            const mailer = createMailer({ batch: { maxSize: 2, window: 60000 } });
+
+            await Promise.all([mailer.sendMail(MESSAGE), mailer.sendMail(MESSAGE)]);
+            assert(requests.length === 1, 'Should not wait for the window');
+        }
+    );
+
+    await runTest(
+        'Reject every message of a failed batch',
+        async () => {
+            mockFetch([{ status: 401, body: { error: { code: 'UNAUTHORIZED', message: 'Bad key' } } }]);
+            const mailer = createMailer({ batch: { window: 5 } });
+
+            const errors = await Promise.all([
+                expectError(mailer.sendMail(MESSAGE)),
+                expectError(mailer.sendMail(MESSAGE)),
+            ]);
+            assert(errors.every((error) => error instanceof UsesendAuthError), 'Both messages should fail');
+        }
+    );
+
+    await runTest(
+        'Report isIdle and emit idle after a batch',
+        async () => {
+            mockFetch([{ status: 200, body: { data: [{ emailId: 'a' }, { emailId: 'b' }] } }]);
+            const mailer = createMailer({ batch: { maxSize: 2, window: 60000 } });
+            let idleEvents = 0;
+            mailer.on('idle', () => idleEvents++);
+
+            assert(mailer.isIdle() === true, 'Should be idle before sending');
+            const sending = Promise.all([mailer.sendMail(MESSAGE), mailer.sendMail(MESSAGE)]);
+            await sending;
+            await new Promise((resolve) => setImmediate(resolve));
+
+            assert(idleEvents === 1, `Expected one idle event, got ${idleEvents}`);
+            assert(mailer.isIdle() === true, 'Should be idle after the batch');
+        }
+    );
+
+    await runTest(
+        'Send pending messages on close',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { data: [{ emailId: 'a' }] } }]);
+            const mailer = createMailer({ batch: { window: 60000 } });
+
+            const sending = mailer.sendMail(MESSAGE);
+            await new Promise((resolve) => setImmediate(resolve));
+            mailer.close();
+
+            const info = await sending;
+            assert(requests.length === 1 && info.emailId === 'a', 'Should flush on close');
+        }
+    );
+
+    console.log();
+
+    // ===== Scheduling Tests =====
+    console.log('⏰ Scheduled Sending');
+    console.log('-'.repeat(70));
+
+    await runTest(
+        'Forward scheduledAt as an ISO string',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'scheduled' } }]);
+            const scheduledAt = new Date(Date.now() + 3600 * 1000);
+
+            await createMailer().sendMail({ ...MESSAGE, scheduledAt });
+            assert(requests[0].body.scheduledAt === scheduledAt.toISOString(), 'Should forward scheduledAt');
+        }
+    );
+
+    await runTest(
+        'Read the X-Usesend-Scheduled-At header',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'scheduled' } }]);
+            const scheduledAt = new Date(Date.now() + 3600 * 1000).toISOString();
+
+            await createMailer().sendMail({ ...MESSAGE, headers: { 'x-usesend-scheduled-at': scheduledAt } });
+            assert(requests[0].body.scheduledAt === scheduledAt, 'Should forward the header value');
+        }
+    );
+
+    await runTest(
+        'Reject unparseable and past scheduledAt values',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'never' } }]);
+
+            const invalid = await expectError(createMailer().sendMail({ ...MESSAGE, scheduledAt: 'tomorrow-ish' }));
+            assert(invalid instanceof UsesendValidationError && invalid.message.includes('not a valid date'), 'Should reject invalid dates');
+
+            const past = await expectError(createMailer().sendMail({ ...MESSAGE, scheduledAt: new Date(Date.now() - 1000) }));
+            assert(past instanceof UsesendValidationError && past.message.includes('in the past'), 'Should reject past dates');
+            assert(requests.length === 0, 'Should fail before calling the API');
+        }
+    );
+
+    await runTest(
+        'Reschedule and cancel scheduled emails',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'email_9' } }]);
+            const transport = makeTransport();
+            const scheduledAt = new Date(Date.now() + 7200 * 1000);
+
+            const rescheduled = await transport.reschedule('email_9', scheduledAt);
+            assert(requests[0].options.method === 'PATCH' && requests[0].url.endsWith('/emails/email_9'), 'Should PATCH the email');
+            assert(requests[0].body.scheduledAt === scheduledAt.toISOString(), 'Should send the new time');
+            assert(rescheduled.emailId === 'email_9', 'Should return the email id');
+
+            await transport.cancelScheduled('email_9');
+            assert(requests[1].options.method === 'POST' && requests[1].url.endsWith('/emails/email_9/cancel'), 'Should call the cancel endpoint');
+
+            for (const emailId of ['../domains', 'email_9/cancel', 'email_9?force=1', 'email_9#x', '..', 'a b']) {
+                const error = await expectError(transport.reschedule(emailId, scheduledAt));
+                const cancelError = await expectError(transport.cancelScheduled(emailId));
+                assert(error instanceof UsesendValidationError && cancelError instanceof UsesendValidationError, `Should refuse ${emailId}`);
+            }
+            assert(requests.length === 2, 'Should not call the API with an invalid id');
+        }
+    );
+
+    console.log();
+
+    // ===== Template Tests =====
+    console.log('🧩 Template Sending');
+    console.log('-'.repeat(70));
+
+    await runTest(
+        'Send templateId and variables without html or text',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'templated' } }]);
+
+            await createMailer().sendMail({
+                from: MESSAGE.from,
+                to: MESSAGE.to,
+                templateId: 'tmpl_welcome',
+                variables: { name: 'Jane' },
+            });
+
+            const body = requests[0].body;
+            assert(body.templateId === 'tmpl_welcome', 'Should forward templateId');
+            assert(body.variables.name === 'Jane', 'Should forward variables');
+            assert(body.html === undefined && body.text === undefined, 'Should not synthesize content');
+            assert(body.subject === undefined, 'Should leave the subject to the template');
+        }
+    );
+
+    await runTest(
+        'Prefer the usesend namespace over top-level options',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'templated' } }]);
+
+            await createMailer().sendMail({
+                ...MESSAGE,
+                templateId: 'tmpl_top',
+                usesend: { templateId: 'tmpl_namespaced', variables: { plan: 'Pro' } },
+            });
+
+            assert(requests[0].body.templateId === 'tmpl_namespaced', 'Namespaced templateId should win');
+            assert(requests[0].body.variables.plan === 'Pro', 'Should forward namespaced variables');
+        }
+    );
+
+    await runTest(
+        'Reject non-string template variables before sending',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'never' } }]);
+
+            const error = await expectError(createMailer().sendMail({
+                ...MESSAGE,
+                templateId: 'tmpl_welcome',
+                variables: { name: 'Jane', count: 3, tags: ['a'] },
+            }));
+
+            assert(error instanceof UsesendValidationError, 'Should be a UsesendValidationError');
+            assert(error.issues.length === 2, `Expected 2 issues, got ${error.issues.length}`);
+            assert(error.message.includes('variables.count'), 'Should name the offending variable');
+            assert(requests.length === 0, 'Should fail before calling the API');
+        }
+    );
+
+    await runTest(
+        'Reject variables without a templateId',
+        async () => {
+            const error = await expectError(createMailer().sendMail({ ...MESSAGE, variables: { name: 'Jane' } }));
+            assert(error instanceof UsesendValidationError, 'Should be a UsesendValidationError');
+        }
+    );
+
+    console.log();
+
+    // ===== Header Tests =====
+    console.log('📨 Headers');
+    console.log('-'.repeat(70));
+
+    await runTest(
+        'Forward custom headers in object and array form',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'h' } }]);
+            const mailer = createMailer();
+
+            await mailer.sendMail({
+                ...MESSAGE,
+                headers: { 'X-Campaign': 'spring', 'X-Tags': ['a', 'b'], 'X-Raw': { prepared: true, value: '=?UTF-8?Q?x?=' } },
+            });
+            await mailer.sendMail({ ...MESSAGE, headers: [{ key: 'X-Ticket', value: '42' }] });
+
+            const [first, second] = requests.map((request) => request.body.headers);
+            assert(first['X-Campaign'] === 'spring', 'Should forward object headers');
+            assert(first['X-Tags'] === 'a', 'Should send the first value of repeated headers');
+            assert(first['X-Raw'] === '=?UTF-8?Q?x?=', 'Should send prepared values as-is');
+            assert(second['X-Ticket'] === '42', 'Should forward array headers');
+        }
+    );
+
+    await runTest(
+        'Encode non-ASCII header values',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'h' } }]);
+
+            await createMailer().sendMail({ ...MESSAGE, headers: { 'X-Customer': 'Jürgen' } });
+            assert(requests[0].body.headers['X-Customer'].startsWith('=?UTF-8?'), 'Should use RFC 2047 encoding');
+        }
+    );
+
+    await runTest(
+        'Forward Message-ID, In-Reply-To and References',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'h' } }]);
+
+            await createMailer().sendMail({
+                ...MESSAGE,
+                messageId: '<reply-2@example.com>',
+                inReplyTo: 'reply-1@example.com',
+                references: ['<root@example.com>', 'reply-1@example.com'],
+            });
+
+            const headers = requests[0].body.headers;
+            assert(headers['Message-ID'] === '<reply-2@example.com>', 'Should forward Message-ID');
+            assert(headers['In-Reply-To'] === '<reply-1@example.com>', 'Should bracket In-Reply-To');
+            assert(headers['References'] === '<root@example.com> <reply-1@example.com>', 'Should join References');
+        }
+    );
+
+    await runTest(
+        'Map priority and list helpers to headers',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'h' } }]);
+
+            await createMailer().sendMail({
+                ...MESSAGE,
+                priority: 'high',
+                list: {
+                    unsubscribe: [{ url: 'https://example.com/unsub', comment: 'Unsubscribe' }, 'unsub@example.com'],
+                    id: { url: 'news.example.com', comment: 'News' },
+                },
+            });
+
+            const headers = requests[0].body.headers;
+            assert(headers['X-Priority'] === '1 (Highest)' && headers['Importance'] === 'High', 'Should set priority headers');
+            assert(
+                headers['List-Unsubscribe'] === '<https://example.com/unsub> (Unsubscribe), <mailto:unsub@example.com>',
+                `Unexpected List-Unsubscribe: ${headers['List-Unsubscribe']}`
+            );
+            assert(headers['List-ID'] === '"News" <news.example.com>', `Unexpected List-ID: ${headers['List-ID']}`);
+        }
+    );
+
+    await runTest(
+        'Reject headers the API sets itself',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'never' } }]);
+
+            const error = await expectError(createMailer().sendMail({ ...MESSAGE, headers: { Subject: 'Sneaky', 'Content-Type': 'text/plain' } }));
+            assert(error instanceof UsesendValidationError, 'Should be a UsesendValidationError');
+            assert(error.message.includes('Subject') && error.message.includes('Content-Type'), 'Should name the headers');
+            assert(requests.length === 0, 'Should fail before calling the API');
+        }
+    );
+
+    await runTest(
+        'Keep line breaks out of header values and reject invalid header names',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'h' } }]);
+            const mailer = createMailer();
+
+            await mailer.sendMail({
+                ...MESSAGE,
+                messageId: 'a@x.com>\r\nBcc: victim@y.com',
+                inReplyTo: 'b@x.com>\r\nBcc: victim@y.com',
+                references: 'c@x.com>\nBcc:victim@y.com',
+                headers: { 'X-Raw': { prepared: true, value: 'x\r\nBcc: victim@y.com' }, 'X-Plain': 'y\rBcc: victim@y.com' },
+            });
+
+            const headers = requests[0].body.headers;
+            assert(Object.values(headers).every((value) => !/[\r\n]/.test(value)), `Unexpected line break: ${JSON.stringify(headers)}`);
+            assert(headers['In-Reply-To'] === '<b@x.com> Bcc: victim@y.com>', `Unexpected In-Reply-To: ${headers['In-Reply-To']}`);
+            assert(headers['X-Raw'] === 'x Bcc: victim@y.com', `Unexpected X-Raw: ${headers['X-Raw']}`);
+
+            for (const name of ['X-Bad\r\nBcc', 'X Space', 'X-Colon:', 'X-Ümlaut']) {
+                const error = await expectError(mailer.sendMail({ ...MESSAGE, headers: { [name]: 'value' } }));
+                assert(error instanceof UsesendValidationError && error.issues[0].path[1] === name, `Should reject ${JSON.stringify(name)}`);
+            }
+            assert(requests.length === 1, 'Should fail before calling the API');
+        }
+    );
+
+    await runTest(
+        'Warn about options the API cannot represent',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'h' } }]);
+            const transport = makeTransport();
+            const emitted = [];
+            transport.on('warning', (warning) => emitted.push(warning));
+
+            const info = await nodemailer.createTransport(transport).sendMail({ ...MESSAGE, sender: 'other@example.com' });
+            assert(info.warnings.length === 1 && info.warnings[0].includes('"sender"'), 'Should report the warning in info');
+            assert(emitted.length === 1, 'Should emit a warning event');
+            assert(requests[0].body.headers === undefined, 'Should not send an empty header map');
+        }
+    );
+
+    console.log();
+
+    // ===== Address Tests =====
+    console.log('👥 Addresses');
+    console.log('-'.repeat(70));
+
+    await runTest(
+        'Keep display names of Address objects',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+
+            await createMailer().sendMail({
+                ...MESSAGE,
+                from: { name: 'Acme Support', address: 'support@acme.com' },
+                to: { name: 'Jane', address: 'j@x.com' },
+            });
+
+            assert(requests[0].body.from === '"Acme Support" <support@acme.com>', `Unexpected from: ${requests[0].body.from}`);
+            assert(requests[0].body.to[0] === '"Jane" <j@x.com>', `Unexpected to: ${requests[0].body.to[0]}`);
+        }
+    );
+
+    await runTest(
+        'Split comma separated strings and expand groups',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+
+            await createMailer().sendMail({
+                ...MESSAGE,
+                to: 'a@x.com, "Bee, B" <b@y.com>',
+                cc: 'Team: c@x.com, d@x.com;',
+                bcc: ['e@x.com', { name: 'F', address: 'f@x.com' }],
+            });
+
+            const body = requests[0].body;
+            assert(body.to.join('|') === 'a@x.com|"Bee, B" <b@y.com>', `Unexpected to: ${body.to.join('|')}`);
+            assert(body.cc.join('|') === 'c@x.com|d@x.com', `Unexpected cc: ${body.cc.join('|')}`);
+            assert(body.bcc.join('|') === 'e@x.com|"F" <f@x.com>', `Unexpected bcc: ${body.bcc.join('|')}`);
+        }
+    );
+
+    await runTest(
+        'Quote names containing special characters',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+
+            await createMailer().sendMail({ ...MESSAGE, to: { name: 'Jane "JJ" <boss>', address: 'j@x.com' } });
+            assert(requests[0].body.to[0] === '"Jane \\"JJ\\" <boss>" <j@x.com>', `Unexpected to: ${requests[0].body.to[0]}`);
+        }
+    );
+
+    await runTest(
+        'Replace line breaks in display names with spaces',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+
+            await createMailer().sendMail({
+                ...MESSAGE,
+                from: { name: 'Acme\r\nBcc: victim@y.com', address: 'support@acme.com' },
+                to: { name: 'Jane\n', address: 'j@x.com' },
+                replyTo: { name: 'Jürgen\r\nBcc: victim@y.com', address: 'r@x.de' },
+            });
+
+            const body = requests[0].body;
+            assert(body.from === '"Acme Bcc: victim@y.com" <support@acme.com>', `Unexpected from: ${body.from}`);
+            assert(body.to[0] === '"Jane" <j@x.com>', `Unexpected to: ${body.to[0]}`);
+            const replyTo = [].concat(body.replyTo)[0];
+            assert(/^=\?UTF-8\?Q\?[^\r\n]+\?= <r@x\.de>$/.test(replyTo), `Unexpected replyTo: ${JSON.stringify(replyTo)}`);
+        }
+    );
+
+    await runTest(
+        'Encode non-ASCII display names',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+
+            await createMailer().sendMail({ ...MESSAGE, to: 'Jürgen Müller <j@x.de>' });
+            assert(/^=\?UTF-8\?Q\?.+\?= <j@x\.de>$/.test(requests[0].body.to[0]), `Unexpected to: ${requests[0].body.to[0]}`);
+        }
+    );
+
+    await runTest(
+        'Reject more than one sender',
+        async () => {
+            const error = await expectError(createMailer().sendMail({ ...MESSAGE, from: 'a@x.com, b@x.com' }));
+            assert(error instanceof UsesendValidationError && error.message.includes('Only one sender'), 'Should reject two senders');
+        }
+    );
+
+    await runTest(
+        'Remove recipients listed more than once across to/cc/bcc',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+
+            await createMailer().sendMail({
+                ...MESSAGE,
+                to: 'a@x.com, A@X.com',
+                cc: ['a@x.com', 'b@x.com'],
+                bcc: 'B@x.com, c@x.com',
+            });
+
+            const body = requests[0].body;
+            assert(body.to.join('|') === 'a@x.com', `Unexpected to: ${body.to.join('|')}`);
+            assert(body.cc.join('|') === 'b@x.com', `Unexpected cc: ${body.cc.join('|')}`);
+            assert(body.bcc.join('|') === 'c@x.com', `Unexpected bcc: ${body.bcc.join('|')}`);
+        }
+    );
+
+    await runTest(
+        'Deliver only to the recipients of an explicit envelope',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+
+            const info = await createMailer().sendMail({
+                ...MESSAGE,
+                to: 'a@x.com, b@x.com',
+                cc: 'c@x.com',
+                envelope: { from: 'bounces@x.com', to: 'a@x.com, hidden@x.com' },
+            });
+
+            const body = requests[0].body;
+            assert(body.to.join('|') === 'a@x.com', `Unexpected to: ${body.to.join('|')}`);
+            assert(body.cc === undefined, 'Should drop cc recipients missing from the envelope');
+            assert(body.bcc.join('|') === 'hidden@x.com', `Unexpected bcc: ${body.bcc && body.bcc.join('|')}`);
+            assert(info.warnings.some((warning) => warning.includes('b@x.com, c@x.com')), 'Should report dropped recipients');
+            assert(info.warnings.some((warning) => warning.includes('bounces@x.com')), 'Should report the unsupported envelope sender');
+        }
+    );
+
+    await runTest(
+        'Report entries Nodemailer could not parse as an address',
+        async () => {
+            const error = await expectError(createMailer().sendMail({ ...MESSAGE, to: 'a@x.com, john' }));
+            assert(error instanceof UsesendValidationError && error.message.includes('"john"'), `Unexpected error: ${error.message}`);
+        }
+    );
+
+    console.log();
+
+    // ===== Address Validation Tests =====
+    console.log('🔍 Address Validation');
+    console.log('-'.repeat(70));
+
+    await runTest(
+        'Reject malformed addresses in strict mode',
+        async () => {
+            mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+            const mailer = createMailer();
+
+            for (const to of ['a@b..com', 'a@-x.com', 'a..b@x.com', `${'a'.repeat(65)}@x.com`, 'a@[300.1.1.1]']) {
+                const error = await expectError(mailer.sendMail({ ...MESSAGE, to }));
+                assert(error instanceof UsesendValidationError, `Should reject ${to}`);
+            }
+        }
+    );
+
+    await runTest(
+        'Accept quoted local parts and IP literals in strict mode',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+
+            await createMailer().sendMail({ ...MESSAGE, to: ['"john doe"@x.com', 'ops@[192.0.2.1]'] });
+            assert(requests[0].body.to.length === 2, `Unexpected to: ${requests[0].body.to.join('|')}`);
+        }
+    );
+
+    await runTest(
+        'Punycode internationalized domains',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+
+            await createMailer().sendMail({ ...MESSAGE, from: 'info@bücher.de', to: { name: '', address: 'jürgen@münchen.de' } });
+            assert(requests[0].body.from === 'info@xn--bcher-kva.de', `Unexpected from: ${requests[0].body.from}`);
+            assert(requests[0].body.to[0] === 'jürgen@xn--mnchen-3ya.de', `Unexpected to: ${requests[0].body.to[0]}`);
+        }
+    );
+
+    await runTest(
+        'Only check the basic shape in lenient mode',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+            const mailer = createMailer({ addressValidation: 'lenient' });
+
+            await mailer.sendMail({ ...MESSAGE, to: 'user@under_score.example' });
+            assert(requests[0].body.to[0] === 'user@under_score.example', 'Should accept the address');
+
+            const error = await expectError(mailer.sendMail({ ...MESSAGE, to: 'a@b..com' }));
+            assert(error instanceof UsesendValidationError, 'Should still reject empty domain labels');
+        }
+    );
+
+    await runTest(
+        'Forward addresses unchecked when validation is off',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+
+            await createMailer({ addressValidation: 'off' }).sendMail({ ...MESSAGE, to: 'root@localhost' });
+            assert(requests[0].body.to[0] === 'root@localhost', `Unexpected to: ${requests[0].body.to[0]}`);
+        }
+    );
+
+    await runTest(
+        'Reject an unknown validation level',
+        async () => {
+            let error;
+            try {
+                makeTransport({ addressValidation: 'loose' });
+            } catch (e) {
+                error = e;
+            }
+            assert(error && error.message.includes('addressValidation'), 'Should reject the option');
+        }
+    );
+
+    console.log();
+
+    // ===== Alternative Part Generation Tests =====
+    console.log('📄 Plain Text and HTML Generation');
+    console.log('-'.repeat(70));
+
+    await runTest(
+        'Drop head, style and script content and decode entities',
+        async () => {
+            const text = htmlToText('<html><head><title>T</title><style>p { color: red; }</style></head><body><script>track()</script><p>Fish&nbsp;&amp;&nbsp;chips &copy; &#8364;5 &#x2713;</p></body></html>');
+            assert(text === 'Fish & chips © €5 ✓', `Unexpected text: ${JSON.stringify(text)}`);
+        }
+    );
+
+    await runTest(
+        'Keep paragraphs and line breaks, collapse source whitespace',
+        async () => {
+            const text = htmlToText('<h1>Hello</h1>\n<p>First   line\n continues<br>Second line</p><p>Next paragraph</p>');
+            assert(text === 'Hello\n\nFirst line continues\nSecond line\n\nNext paragraph', `Unexpected text: ${JSON.stringify(text)}`);
+        }
+    );
+
+    await runTest(
+        'Render links as text (url)',
+        async () => {
+            const text = htmlToText('<p><a href="https://x.com/docs">Docs</a>, <a href="https://x.com">https://x.com</a>, <a href="mailto:help@x.com">help@x.com</a>, <a href="#top">Top</a></p>');
+            assert(text === 'Docs (https://x.com/docs), https://x.com, help@x.com, Top', `Unexpected text: ${JSON.stringify(text)}`);
+            assert(htmlToText('<a href="https://x.com/docs">Docs</a>', { hideLinkUrls: true }) === 'Docs', 'Should hide link urls');
+        }
+    );
+
+    await runTest(
+        'Turn lists into bullets and numbers',
+        async () => {
+            const text = htmlToText('<p>Steps:</p><ol><li>Open</li><li>Click<ul><li>Save</li></ul></li></ol><p>Done</p>');
+            assert(text === 'Steps:\n\n1. Open\n2. Click\n  * Save\n\nDone', `Unexpected text: ${JSON.stringify(text)}`);
+        }
+    );
+
+    await runTest(
+        'Lay out data tables in columns and layout tables as blocks',
+        async () => {
+            const data = htmlToText('<table><tr><th>Item</th><th>Qty</th></tr><tr><td>Apple pie</td><td>3</td></tr></table>');
+            assert(data === 'Item       Qty\nApple pie  3', `Unexpected data table: ${JSON.stringify(data)}`);
+
+            const layout = htmlToText('<table><tr><td><p>Header</p></td></tr><tr><td><p>Body text</p></td></tr></table>');
+            assert(layout === 'Header\n\nBody text', `Unexpected layout table: ${JSON.stringify(layout)}`);
+        }
+    );
+
+    await runTest(
+        'Convert large HTML in linear time',
+        async () => {
+            // About 640 KB, the size of a long newsletter; a converter rescanning its output takes tens of seconds
+            const html = '<p>Hello <a href="https://x.com">there</a> <b>reader</b></p>\n'.repeat(10000);
+            const started = Date.now();
+            const text = htmlToText(html);
+            const elapsed = Date.now() - started;
+
+            assert(elapsed < 1500, `Took ${elapsed} ms`);
+            assert(text.split('\n\n').length === 10000 && text.endsWith('Hello there (https://x.com) reader'), 'Should convert every paragraph');
+        }
+    );
+
+    await runTest(
+        'Convert large HTML with unclosed tags and comments in linear time',
+        async () => {
+            const inputs = [
+                ['<p>Hi</p>' + '<a '.repeat(40000), (text) => text.startsWith('Hi\n\n<a <a ') && text.length > 100000],
+                ['<p>Hi</p>' + '<!--'.repeat(40000), (text) => text === 'Hi'],
+                ['<p>Hi</p>' + '<style>'.repeat(40000), (text) => text === 'Hi'],
+                ['<p>Hi</p>' + '<?x'.repeat(40000), (text) => text === 'Hi'],
+                ['<p>Hi</p>' + '<a title=\''.repeat(40000), (text) => text.startsWith('Hi\n\n<a title=')],
+            ];
+
+            for (const [html, check] of inputs) {
+                const started = Date.now();
+                const text = htmlToText(html);
+                const elapsed = Date.now() - started;
+
+                assert(elapsed < 1000, `Took ${elapsed} ms for ${html.slice(9, 16)}`);
+                assert(check(text), `Unexpected text for ${html.slice(9, 16)}: ${text.slice(0, 40)}`);
+            }
+
+            assert(htmlToText('<p>A<!-- <b>x</b> -->B</p><style>p { }</style><p title=\'a>b\'>C</p><?php x ?><!DOCTYPE html>D') === 'AB\n\nC\n\nD', 'Should skip comments, hidden content and declarations');
+        }
+    );
+
+    await runTest(
+        'Use the converter for html-only messages, configurable through htmlToText',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+            const html = '<style>p { margin: 0 }</style><p>Hello <b>there</b>, this line is long enough to wrap</p>';
+
+            await createMailer().sendMail({ ...MESSAGE, text: undefined, html });
+            await createMailer({ htmlToText: { wordwrap: 20 } }).sendMail({ ...MESSAGE, text: undefined, html });
+            await createMailer({ htmlToText: (input) => `custom:${input.length}` }).sendMail({ ...MESSAGE, text: undefined, html });
+            await createMailer({ htmlToText: false }).sendMail({ ...MESSAGE, text: undefined, html });
+
+            assert(requests[0].body.text === 'Hello there, this line is long enough to wrap', `Unexpected text: ${requests[0].body.text}`);
+            assert(requests[1].body.text.split('\n').every((line) => line.length <= 20), `Should wrap: ${requests[1].body.text}`);
+            assert(requests[2].body.text === `custom:${html.length}`, 'Should use the custom converter');
+            assert(requests[3].body.text === undefined && requests[3].body.html === html, 'Should send the html part alone');
+        }
+    );
+
+    await runTest(
+        'Escape plain text and keep its line breaks and paragraphs',
+        async () => {
+            const html = textToHtml('Error: a < b && c > d\nat line 2\n\nThanks');
+            assert(html === '<p>Error: a &lt; b &amp;&amp; c &gt; d<br>\nat line 2</p>\n<p>Thanks</p>', `Unexpected html: ${JSON.stringify(html)}`);
+        }
+    );
+
+    await runTest(
+        'Link URLs and email addresses in plain text',
+        async () => {
+            const html = textToHtml('See https://x.com/docs?a=1&b=2. Or www.x.com, or mail help@x.com.');
+            assert(html.includes('<a href="https://x.com/docs?a=1&amp;b=2">https://x.com/docs?a=1&amp;b=2</a>.'), `Unexpected url link: ${html}`);
+            assert(html.includes('<a href="http://www.x.com">www.x.com</a>,'), `Unexpected www link: ${html}`);
+            assert(html.includes('<a href="mailto:help@x.com">help@x.com</a>.'), `Unexpected mailto link: ${html}`);
+        }
+    );
+
+    await runTest(
+        'Scan long tokens without links in linear time',
+        async () => {
+            // A base64 blob pasted from a log, on one line
+            const blob = Buffer.alloc(120000, 'log line ').toString('base64');
+            const started = Date.now();
+            const html = textToHtml(`Payload: ${blob} (ask ops@x.com)`);
+            const elapsed = Date.now() - started;
+
+            assert(elapsed < 1000, `Took ${elapsed} ms`);
+            assert(html.includes(blob) && html.includes('<a href="mailto:ops@x.com">ops@x.com</a>)'), 'Should keep the blob and link the address');
+        }
+    );
+
+    await runTest(
+        'Trim long runs of parentheses after a link in linear time',
+        async () => {
+            const parentheses = '('.repeat(40000) + ')'.repeat(40000);
+            const started = Date.now();
+            const html = textToHtml(`See http://x/${parentheses} and http://x/${')'.repeat(40000)}a.`);
+            const elapsed = Date.now() - started;
+
+            assert(elapsed < 1000, `Took ${elapsed} ms`);
+            assert(html.includes(`<a href="http://x/${parentheses}">`), 'Should keep balanced parentheses in the link');
+            assert(html.includes(`<a href="http://x/${')'.repeat(40000)}a">`), 'Should keep parentheses inside the link');
+        }
+    );
+
+    await runTest(
+        'Render text-only messages as HTML, configurable through textToHtml',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+
+            await createMailer().sendMail({ ...MESSAGE, text: 'Disk <90%> full\n\nCheck it' });
+            await createMailer({ textToHtml: (text) => `<pre>${text.length}</pre>` }).sendMail({ ...MESSAGE, text: 'Alert' });
+            await createMailer({ textToHtml: false }).sendMail({ ...MESSAGE, text: 'Alert' });
+
+            assert(requests[0].body.html === '<p>Disk &lt;90%&gt; full</p>\n<p>Check it</p>', `Unexpected html: ${requests[0].body.html}`);
+            assert(requests[1].body.html === '<pre>5</pre>', 'Should use the custom renderer');
+            assert(requests[2].body.html === undefined && requests[2].body.text === 'Alert', 'Should send the text part alone');
+        }
+    );
+
+    console.log();
+
+    // ===== Body Content Tests =====
+    console.log('📦 Body Content');
+    console.log('-'.repeat(70));
+
+    await runTest(
+        'Read html and text from Buffers, streams, files and encoded strings',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+            const htmlPath = path.join(FIXTURES_DIR, 'sample.html');
+
+            await createMailer().sendMail({ ...MESSAGE, text: Buffer.from('From a buffer'), html: Readable.from(['<p>From ', 'a stream</p>']) });
+            await createMailer().sendMail({ ...MESSAGE, text: { content: 'RnJvbSBiYXNlNjQ=', encoding: 'base64' }, html: { path: htmlPath } });
+            await createMailer().sendMail({ ...MESSAGE, encoding: 'hex', text: Buffer.from('Hex text').toString('hex') });
+
+            assert(requests[0].body.text === 'From a buffer', `Unexpected text: ${requests[0].body.text}`);
+            assert(requests[0].body.html === '<p>From a stream</p>', `Unexpected html: ${requests[0].body.html}`);
+            assert(requests[1].body.text === 'From base64', `Unexpected text: ${requests[1].body.text}`);
+            assert(requests[1].body.html === fs.readFileSync(htmlPath, 'utf-8'), 'Should read the html file');
+            assert(requests[2].body.text === 'Hex text', `Unexpected text: ${requests[2].body.text}`);
+        }
+    );
+
+    await runTest(
+        'Stop reading bodies larger than the attachment size limit',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+            let chunks = 0;
+            const endless = () => new Readable({
+                read() {
+                    chunks++;
+                    this.push('<p>More</p>'.repeat(100));
+                },
+            });
+
+            const streamed = await expectError(createMailer({ attachments: { maxSize: 4096 } }).sendMail({ ...MESSAGE, html: endless() }));
+            assert(streamed instanceof UsesendAttachmentPolicyError && streamed.rule === 'size', `Unexpected error: ${streamed.message}`);
+            assert(streamed.message === 'The "html" body is larger than the limit of 4 KB.', `Unexpected message: ${streamed.message}`);
+            assert(chunks < 10, `Should stop reading the stream (${chunks} chunks read)`);
+
+            // Without a per-attachment limit, the per-message one applies; files are refused by their size
+            const filePath = path.join(FIXTURES_DIR, 'sample.html');
+            const file = await expectError(createMailer({ attachments: { maxTotalSize: 16 } }).sendMail({ ...MESSAGE, text: { path: filePath } }));
+            assert(file instanceof UsesendAttachmentPolicyError && file.message.startsWith('The "text" body is larger'), `Unexpected error: ${file.message}`);
+            assert(requests.length === 0, 'Should not call the API');
+
+            await createMailer({ attachments: { maxSize: 4096 } }).sendMail({ ...MESSAGE, html: { path: filePath } });
+            assert(requests[0].body.html === fs.readFileSync(filePath, 'utf-8'), 'Should read bodies within the limit');
+        }
+    );
+
+    await runTest(
+        'Fetch html from an href',
+        async () => {
+            const requests = mockFetch([
+                { status: 200, body: '<p>Remote</p>' },
+                { status: 200, body: { emailId: 'a' } },
+            ]);
+
+            await createMailer().sendMail({ ...MESSAGE, html: { href: 'https://cdn.example.com/mail.html' } });
+            assert(requests[0].url === 'https://cdn.example.com/mail.html', `Unexpected url: ${requests[0].url}`);
+            assert(requests[1].body.html === JSON.stringify('<p>Remote</p>'), `Unexpected html: ${requests[1].body.html}`);
+        }
+    );
+
+    await runTest(
+        'Decode content with the declared charset',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+
+            const latin1 = Buffer.from([0x47, 0x72, 0xfc, 0xdf, 0x65]);
+
+            await createMailer().sendMail({ ...MESSAGE, text: { content: latin1, charset: 'iso-8859-1' } });
+            await createMailer().sendMail({
+                ...MESSAGE,
+                alternatives: [{ contentType: 'text/html; charset=iso-8859-1', content: latin1 }],
+            });
+
+            assert(requests[0].body.text === 'Grüße', `Unexpected text: ${requests[0].body.text}`);
+            assert(requests[1].body.html === 'Grüße', `Unexpected html: ${requests[1].body.html}`);
+        }
+    );
+
+    await runTest(
+        'Map text/plain and text/html alternatives to missing bodies',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+
+            await createMailer().sendMail({
+                ...MESSAGE,
+                alternatives: [{ contentType: 'text/html; charset=utf-8', content: '<b>Alternative</b>' }],
+            });
+            assert(requests[0].body.text === 'Hello' && requests[0].body.html === '<b>Alternative</b>', `Unexpected body: ${JSON.stringify(requests[0].body)}`);
+        }
+    );
+
+    await runTest(
+        'Reject amp, watchHtml and unsupported alternatives',
+        async () => {
+            mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+
+            const error = await expectError(createMailer().sendMail({
+                ...MESSAGE,
+                amp: '<!doctype html><html ⚡4email></html>',
+                watchHtml: '<b>Watch</b>',
+                alternatives: [{ contentType: 'text/x-web-markdown', content: '**Hi**' }],
+            }));
+            assert(error instanceof UsesendValidationError, 'Should be a validation error');
+            assert(error.issues.map((issue) => issue.path.join('.')).join('|') === 'amp|watchHtml|alternatives.0', `Unexpected issues: ${JSON.stringify(error.issues)}`);
+        }
+    );
+
+    await runTest(
+        'Report unreadable body content',
+        async () => {
+            const error = await expectError(createMailer().sendMail({ ...MESSAGE, html: { path: '/nonexistent/mail.html' } }));
+            assert(error instanceof UsesendValidationError && error.message.includes('"html" body'), `Unexpected error: ${error.message}`);
+        }
+    );
+
+    console.log();
+
+    // ===== Inline Image Tests =====
+    console.log('🖼️  Inline Images');
+    console.log('-'.repeat(70));
+
+    const PIXEL = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+
+    await runTest(
+        'Embed cid: images as data URIs and keep other attachments',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+
+            await createMailer().sendMail({
+                ...MESSAGE,
+                html: '<img src="cid:logo@acme"><img src=\'cid:logo@acme\'>',
+                attachments: [
+                    { filename: 'logo.png', content: PIXEL, cid: 'logo@acme' },
+                    { filename: 'unused.png', content: PIXEL, cid: 'unused@acme' },
+                    { filename: 'report.txt', content: 'Report' },
+                ],
+            });
+
+            const body = requests[0].body;
+            const dataUri = `data:image/png;base64,${PIXEL.toString('base64')}`;
+            assert(body.html === `<img src="${dataUri}"><img src='${dataUri}'>`, `Unexpected html: ${body.html}`);
+            assert(body.attachments.map((a) => a.filename).join('|') === 'unused.png|report.txt', `Unexpected attachments: ${body.attachments.map((a) => a.filename)}`);
+        }
+    );
+
+    await runTest(
+        'Use the attachment contentType and match cids exactly',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+
+            await createMailer().sendMail({
+                ...MESSAGE,
+                html: '<img src="cid:img1"><img src="cid:img10"><img src="CID:img1"><img src="cid:IMG1">',
+                attachments: [{ filename: 'image', content: PIXEL, cid: 'img1', contentType: 'image/gif' }],
+            });
+
+            const html = requests[0].body.html;
+            assert(html.startsWith('<img src="data:image/gif;base64,'), `Unexpected html: ${html}`);
+            assert(html.includes('<img src="cid:img10">'), 'Should not replace a longer cid');
+            assert(html.split('data:image/gif').length === 3, 'Should match the cid: scheme in any case');
+            assert(html.endsWith('<img src="cid:IMG1">'), 'Should match the content id case-sensitively');
+        }
+    );
+
+    await runTest(
+        'Warn when embedded images exceed the size threshold',
+        async () => {
+            mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+
+            const info = await createMailer({ inlineImages: { warnSize: 10 } }).sendMail({
+                ...MESSAGE,
+                html: '<img src="cid:logo">',
+                attachments: [{ filename: 'logo.png', content: PIXEL, cid: 'logo' }],
+            });
+            assert(info.warnings && info.warnings[0].includes('Inline images'), 'Should warn about the size');
+
+            // The data URI is inserted at each reference, so an image used three times counts three times
+            const dataUriLength = `data:image/png;base64,${PIXEL.toString('base64')}`.length;
+            const repeated = await createMailer({ inlineImages: { warnSize: dataUriLength * 2 } }).sendMail({
+                ...MESSAGE,
+                html: '<img src="cid:logo"><img src="cid:logo"><img src="cid:logo">',
+                attachments: [{ filename: 'logo.png', content: PIXEL, cid: 'logo' }],
+            });
+            assert(repeated.warnings && repeated.warnings[0].includes('Inline images'), 'Should count every reference');
+        }
+    );
+
+    await runTest(
+        'Send cid images as regular attachments when inlining is disabled',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+
+            await createMailer({ inlineImages: false }).sendMail({
+                ...MESSAGE,
+                html: '<img src="cid:logo">',
+                attachments: [{ filename: 'logo.png', content: PIXEL, cid: 'logo' }],
+            });
+            assert(requests[0].body.html === '<img src="cid:logo">', 'Should leave the html untouched');
+            assert(requests[0].body.attachments.length === 1, 'Should send the attachment');
+        }
+    );
+
+    console.log();
+
+    // ===== Attachment Policy Tests =====
+    console.log('📏 Attachment Policy');
+    console.log('-'.repeat(70));
+
+    await runTest(
+        'Reject oversized attachments before calling the API',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+            const mailer = createMailer({ attachments: { maxSize: 1024, maxTotalSize: 1536 } });
+
+            const single = await expectError(mailer.sendMail({
+                ...MESSAGE,
+                attachments: [{ filename: 'big.bin', content: Buffer.alloc(2048) }],
+            }));
+            const total = await expectError(mailer.sendMail({
+                ...MESSAGE,
+                attachments: [
+                    { filename: 'a.bin', content: Buffer.alloc(1000) },
+                    { filename: 'b.bin', content: Buffer.alloc(1000) },
+                ],
+            }));
+
+            assert(single instanceof UsesendAttachmentPolicyError && single.rule === 'size' && single.filename === 'big.bin', `Unexpected error: ${single.message}`);
+            assert(total instanceof UsesendAttachmentPolicyError && total.rule === 'totalSize' && total.message.includes('per message'), `Unexpected error: ${total.message}`);
+            assert(requests.length === 0, 'Should not call the API');
+        }
+    );
+
+    await runTest(
+        'Count the per-message limit after base64 expansion',
+        async () => {
+            mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+            const mailer = createMailer({ attachments: { maxTotalSize: 1000 } });
+
+            await mailer.sendMail({ ...MESSAGE, attachments: [{ filename: 'a.bin', content: Buffer.alloc(750) }] });
+            const error = await expectError(mailer.sendMail({ ...MESSAGE, attachments: [{ filename: 'a.bin', content: Buffer.alloc(751) }] }));
+            assert(error instanceof UsesendAttachmentPolicyError && error.rule === 'totalSize', 'Should count 751 bytes as 1004 base64 bytes');
+        }
+    );
+
+    await runTest(
+        'Apply a configurable attachment count',
+        async () => {
+            mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+            const files = ['a', 'b', 'c'].map((name) => ({ filename: `${name}.txt`, content: name }));
+
+            const error = await expectError(createMailer({ attachments: { maxCount: 2 } }).sendMail({ ...MESSAGE, attachments: files }));
+            assert(error instanceof UsesendAttachmentPolicyError && error.rule === 'count', `Unexpected error: ${error.message}`);
+            assert(error.message.includes('Maximum 2 attachments'), `Unexpected message: ${error.message}`);
+        }
+    );
+
+    await runTest(
+        'Refuse blocked extensions and extensions outside the allowed list',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+            const blocking = createMailer({ attachments: { blockedExtensions: ['.EXE', 'tar.gz'] } });
+            const allowing = createMailer({ attachments: { allowedExtensions: ['pdf', 'txt'] } });
+
+            for (const filename of ['setup.exe', 'Setup.EXE.', 'backup.tar.gz']) {
+                const error = await expectError(blocking.sendMail({ ...MESSAGE, attachments: [{ filename, content: 'x' }] }));
+                assert(error instanceof UsesendAttachmentPolicyError && error.rule === 'extension' && error.filename === filename, `Should block ${filename}`);
+            }
+
+            const error = await expectError(allowing.sendMail({ ...MESSAGE, attachments: [{ filename: 'notes.md', content: 'x' }] }));
+            assert(error instanceof UsesendAttachmentPolicyError && error.rule === 'extension', 'Should refuse extensions outside the list');
+
+            await allowing.sendMail({ ...MESSAGE, attachments: [{ filename: 'notes.TXT', content: 'x' }] });
+            assert(requests.length === 1, 'Should send allowed files');
+        }
+    );
+
+    await runTest(
+        'Close the file or connection of attachments refused by extension',
+        async () => {
+            const mailer = createMailer({ attachments: { blockedExtensions: ['exe'] } });
+            const openFiles = () => fs.readdirSync('/proc/self/fd').length;
+
+            await withTempDir(async (dir) => {
+                const filePath = path.join(dir, 'x.exe');
+                fs.writeFileSync(filePath, 'MZ');
+
+                // A given filename is checked before the path is even opened
+                const missing = await expectError(mailer.sendMail({ ...MESSAGE, attachments: [{ filename: 'x.exe', path: path.join(dir, 'missing') }] }));
+                assert(missing instanceof UsesendAttachmentPolicyError && missing.rule === 'extension', `Unexpected error: ${missing.message}`);
+
+                const before = openFiles();
+                for (let i = 0; i < 20; i++) {
+                    const error = await expectError(mailer.sendMail({ ...MESSAGE, attachments: [{ path: filePath }] }));
+                    assert(error instanceof UsesendAttachmentPolicyError && error.rule === 'extension', `Unexpected error: ${error.message}`);
+                }
+                await wait(50);
+                assert(openFiles() <= before + 2, `Leaked file descriptors: ${before} before, ${openFiles()} after`);
+            });
+
+            let cancelled = false;
+            global.fetch = async () => new Response(new ReadableStream({
+                pull(controller) { controller.enqueue(new Uint8Array(1024)); },
+                cancel() { cancelled = true; },
+            }), { status: 200 });
+            const remote = await expectError(mailer.sendMail({ ...MESSAGE, attachments: [{ path: 'https://cdn.example.com/setup.exe' }] }));
+            await wait(10);
+            assert(remote instanceof UsesendAttachmentPolicyError && cancelled, 'Should cancel the response body of a refused URL');
+        }
+    );
+
+    await runTest(
+        'Detect content types from magic bytes, not filenames',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+            const mailer = createMailer({ attachments: { allowedTypes: ['application/pdf', 'image/*'] } });
+            const executable = Buffer.concat([Buffer.from('MZ'), Buffer.alloc(200)]);
+
+            const error = await expectError(mailer.sendMail({ ...MESSAGE, attachments: [{ filename: 'invoice.pdf', content: executable }] }));
+            assert(error instanceof UsesendAttachmentPolicyError && error.rule === 'type', `Unexpected error: ${error.message}`);
+            assert(error.filename === 'invoice.pdf' && error.message.includes('application/x-msdownload'), `Unexpected message: ${error.message}`);
+
+            await mailer.sendMail({
+                ...MESSAGE,
+                attachments: [
+                    { filename: 'image.dat', content: PIXEL },
+                    { filename: 'sample.pdf', content: fs.createReadStream(path.join(FIXTURES_DIR, 'sample.pdf')) },
+                ],
+            });
+            assert(requests.length === 1 && requests[0].body.attachments.length === 2, 'Should accept a PNG and a PDF');
+        }
+    );
+
+    console.log();
+
+    // ===== Remote and File Access Tests =====
+    console.log('🔒 Remote and File Access');
+    console.log('-'.repeat(70));
+
+    await runTest(
+        'Follow redirects manually and check every hop against the allowed hosts',
+        async () => {
+            const mailer = createMailer({ attachments: { remote: { allowedHosts: ['*.example.com'], maxRedirects: 1 } } });
+            const attachments = [{ filename: 'a.txt', path: 'https://files.example.com/a.txt' }];
+
+            let requests = mockFetch([
+                { status: 302, headers: { location: '/b.txt' } },
+                { status: 200, body: 'content' },
+                { status: 200, body: { emailId: 'a' } },
+            ]);
+            await mailer.sendMail({ ...MESSAGE, attachments });
+            assert(requests[0].options.redirect === 'manual', 'Should not let fetch follow redirects');
+            assert(requests[1].url === 'https://files.example.com/b.txt', `Unexpected redirect url: ${requests[1].url}`);
+
+            requests = mockFetch([{ status: 301, headers: { location: 'http://169.254.169.254/latest/meta-data' } }]);
+            const offHost = await expectError(mailer.sendMail({ ...MESSAGE, attachments }));
+            assert(offHost instanceof UsesendAttachmentPolicyError && offHost.rule === 'url' && offHost.filename === 'a.txt', `Unexpected error: ${offHost.message}`);
+            assert(requests.length === 1, 'Should not follow a redirect to another host');
+
+            mockFetch([{ status: 302, headers: { location: '/next' } }]);
+            const loop = await expectError(mailer.sendMail({ ...MESSAGE, attachments }));
+            assert(loop.message.includes('Too many redirects (more than 1)'), `Unexpected error: ${loop.message}`);
+        }
+    );
+
+    await runTest(
+        'Refuse non-public addresses and disabled remote content',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+            const guarded = createMailer({ attachments: { remote: { blockPrivateNetworks: true } } });
+
+            const embedded = [
+                'http://[64:ff9b::a00:1]/', 'http://[64:ff9b::169.254.169.254]/', 'http://[2002:7f00:1::1]/',
+                'http://[2001:0:4136:e378:8000:63bf:80ff:fffe]/',
+            ];
+            for (const url of ['http://127.0.0.1:8080/admin', 'http://169.254.169.254/latest', 'http://[::1]/', 'http://[::ffff:10.0.0.1]/', 'http://0x7f.1/', ...embedded]) {
+                const error = await expectError(guarded.sendMail({ ...MESSAGE, attachments: [{ filename: 'a.txt', path: url }] }));
+                assert(error instanceof UsesendAttachmentPolicyError && error.message.includes('non-public address'), `Should refuse ${url}: ${error.message}`);
+            }
+
+            // Public IPv4 addresses behind NAT64, 6to4 and Teredo are allowed (the fetch itself may fail here)
+            const quick = createMailer({ attachments: { remote: { blockPrivateNetworks: true, timeout: 200 } } });
+            for (const url of ['http://[64:ff9b::808:808]/', 'http://[2002:808:808::1]/', 'http://[2001:0:4136:e378:8000:63bf:f7f7:f7f7]/']) {
+                const result = await quick.sendMail({ ...MESSAGE, attachments: [{ filename: 'a.txt', path: url }] }).catch((error) => error);
+                assert(!(result instanceof UsesendAttachmentPolicyError), `Should allow ${url}: ${result.message}`);
+            }
+            requests.length = 0;
+
+            const disabled = createMailer({ attachments: { remote: false } });
+            const attachment = await expectError(disabled.sendMail({ ...MESSAGE, attachments: [{ path: 'https://cdn.example.com/a.txt' }] }));
+            const body = await expectError(disabled.sendMail({ ...MESSAGE, html: { href: 'https://cdn.example.com/mail.html' } }));
+            assert(attachment instanceof UsesendAttachmentPolicyError && attachment.rule === 'url', `Unexpected error: ${attachment.message}`);
+            assert(body instanceof UsesendAttachmentPolicyError && body.rule === 'url', `Unexpected body error: ${body.message}`);
+            assert(requests.length === 0, 'Should not fetch anything');
+        }
+    );
+
+    await runTest(
+        'Check the address connected to when a host name resolves to a non-public address',
+        async () => {
+            const internal = await startServer('internal');
+            const url = `http://localhost:${internal.port}/secret.txt`;
+
+            try {
+                // Attachment URLs go over the network, API requests to the mock
+                const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+                const mocked = global.fetch;
+                global.fetch = (target, options) => (String(target).startsWith('http://localhost') ? originalFetch(target, options) : mocked(target, options));
+
+                const error = await expectError(createMailer({ attachments: { remote: { blockPrivateNetworks: true } } }).sendMail({ ...MESSAGE, attachments: [{ path: url }] }));
+                assert(error instanceof UsesendAttachmentPolicyError && error.rule === 'url', `Unexpected error: ${error.message}`);
+                assert(error.message.includes('host "localhost" resolves to the non-public address 127.0.0.1'), `Unexpected message: ${error.message}`);
+                assert(internal.hits === 0 && requests.length === 0, 'Should not connect to the host');
+
+                await createMailer().sendMail({ ...MESSAGE, attachments: [{ path: url }] });
+                assert(internal.hits === 1 && requests[0].body.attachments[0].content === Buffer.from('internal').toString('base64'), 'Should fetch it without the guard');
+            } finally {
+                internal.server.close();
+            }
+        }
+    );
+
+    await runTest(
+        'Reject a host that resolves to a public address first and a non-public one on connection',
+        async () => {
+            const internal = await startServer('internal');
+
+            // An attacker's DNS answers with a public address to the first query and with loopback afterwards
+            const originalLookup = dns.lookup;
+            const lookups = [];
+            dns.lookup = (hostname, options, callback) => {
+                if (hostname !== 'rebind.test') {
+                    return originalLookup(hostname, options, callback);
+                }
+                lookups.push(hostname);
+                const address = lookups.length === 1 ? '93.184.215.14' : '127.0.0.1';
+                const callbackFn = typeof options === 'function' ? options : callback;
+                return options.all ? callbackFn(null, [{ address, family: 4 }]) : callbackFn(null, address, 4);
+            };
+
+            try {
+                const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+                dns.lookup('rebind.test', { all: true }, () => { });
+
+                const url = `http://rebind.test:${internal.port}/secret.txt`;
+                const error = await expectError(createMailer({ attachments: { remote: { blockPrivateNetworks: true } } }).sendMail({ ...MESSAGE, attachments: [{ path: url }] }));
+                assert(error instanceof UsesendAttachmentPolicyError && error.message.includes('resolves to the non-public address 127.0.0.1'), `Unexpected error: ${error.message}`);
+                assert(lookups.length === 2, `Should resolve the host when connecting (${lookups.length} lookups)`);
+                assert(internal.hits === 0 && requests.length === 0, 'Should not connect to the host');
+            } finally {
+                dns.lookup = originalLookup;
+                internal.server.close();
+            }
+        }
+    );
+
+    await runTest(
+        'Time out slow downloads and cap the response size',
+        async () => {
+            hangFetch();
+            const slow = await expectError(createMailer({ attachments: { remote: { timeout: 50 } } }).sendMail({
+                ...MESSAGE,
+                attachments: [{ filename: 'a.txt', path: 'https://cdn.example.com/a.txt' }],
+            }));
+            assert(slow instanceof UsesendAttachmentError && slow.message.includes('Timed out after 50 ms'), `Unexpected error: ${slow.message}`);
+
+            mockFetch([{ status: 200, body: 'x'.repeat(100) }]);
+            const large = await expectError(createMailer({ attachments: { remote: { maxSize: 10 } } }).sendMail({
+                ...MESSAGE,
+                attachments: [{ filename: 'a.txt', path: 'https://cdn.example.com/a.txt' }],
+            }));
+            assert(large instanceof UsesendAttachmentPolicyError && large.rule === 'size', `Unexpected error: ${large.message}`);
+        }
+    );
+
+    await runTest(
+        'Name fetched files from Content-Disposition or the decoded URL path',
+        async () => {
+            const requests = mockFetch([
+                { status: 200, body: 'a', headers: { 'content-type': 'application/pdf', 'content-disposition': `attachment; filename="fallback.pdf"; filename*=UTF-8''na%C3%AFve%20r%C3%A9sum%C3%A9.pdf` } },
+                { status: 200, body: 'b', headers: { 'content-type': 'application/pdf' } },
+                { status: 200, body: 'c', headers: { 'content-type': 'application/octet-stream' } },
+                { status: 200, body: { emailId: 'a' } },
+            ]);
+
+            await createMailer().sendMail({
+                ...MESSAGE,
+                attachments: [
+                    { path: 'https://cdn.example.com/download?id=1' },
+                    { path: 'https://cdn.example.com/files/Q1%20report' },
+                    { path: 'https://cdn.example.com/files/photo.JPG' },
+                ],
+            });
+
+            const attachments = requests[3].body.attachments;
+            assert(attachments.map((a) => a.filename).join('|') === 'naïve résumé.pdf|Q1 report.pdf|photo.JPG', `Unexpected filenames: ${attachments.map((a) => a.filename)}`);
+            assert(attachments.map((a) => a.contentType).join('|') === 'application/pdf|application/pdf|image/jpeg', `Unexpected types: ${attachments.map((a) => a.contentType)}`);
+        }
+    );
+
+    await runTest(
+        'Restrict file paths to the base directories',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+
+            await withTempDir(async (baseDir) => {
+                fs.writeFileSync(path.join(baseDir, 'notes.txt'), 'notes');
+                fs.symlinkSync(__filename, path.join(baseDir, 'link.txt'));
+
+                const mailer = createMailer({ attachments: { files: { baseDirs: [baseDir] } } });
+                await mailer.sendMail({ ...MESSAGE, attachments: [{ path: path.join(baseDir, 'notes.txt') }] });
+                assert(requests[0].body.attachments[0].content === Buffer.from('notes').toString('base64'), 'Should read files inside the base directory');
+
+                for (const filePath of [path.join(baseDir, '..', 'passwd'), '/etc/passwd', path.join(baseDir, 'link.txt')]) {
+                    const error = await expectError(mailer.sendMail({ ...MESSAGE, attachments: [{ path: filePath }] }));
+                    assert(error instanceof UsesendAttachmentPolicyError && error.rule === 'path', `Should refuse ${filePath}: ${error.message}`);
+                }
+
+                const body = await expectError(mailer.sendMail({ ...MESSAGE, text: { path: path.join(FIXTURES_DIR, 'sample.txt') } }));
+                assert(body instanceof UsesendAttachmentPolicyError && body.rule === 'path', 'Should apply to bodies as well');
+
+                const disabled = await expectError(createMailer({ attachments: { files: false } }).sendMail({ ...MESSAGE, attachments: [{ path: path.join(baseDir, 'notes.txt') }] }));
+                assert(disabled instanceof UsesendAttachmentPolicyError && disabled.message.includes('reading files is disabled'), `Unexpected error: ${disabled.message}`);
+            });
+        }
+    );
+
+    console.log();
+
+    // ===== Attachment Cache Tests =====
+    console.log('🗃️  Attachment Cache');
+    console.log('-'.repeat(70));
+
+    await runTest(
+        'Fetch a URL once while it is cached',
+        async () => {
+            const requests = mockFetch([
+                { status: 200, body: 'logo', headers: { 'content-type': 'image/png' } },
+                { status: 200, body: { emailId: 'a' } },
+            ]);
+            const mailer = createMailer({ attachments: { cache: true } });
+            const message = { ...MESSAGE, attachments: [{ path: 'https://cdn.example.com/logo.png' }] };
+
+            await mailer.sendMail(message);
+            await mailer.sendMail(message);
+
+            const fetches = requests.filter((request) => request.url === 'https://cdn.example.com/logo.png');
+            const sent = requests.filter((request) => request.body && request.body.attachments).map((request) => request.body.attachments[0]);
+            assert(fetches.length === 1, `Should fetch once, fetched ${fetches.length} times`);
+            assert(sent.length === 2 && sent[1].content === sent[0].content && sent[1].contentType === 'image/png', 'Should reuse the content, filename and type');
+        }
+    );
+
+    await runTest(
+        'Revalidate expired URLs with their ETag',
+        async () => {
+            const fetches = [];
+            global.fetch = async (url, options = {}) => {
+                if (url !== 'https://cdn.example.com/terms.pdf') {
+                    return new Response(JSON.stringify({ emailId: 'a' }), { status: 200 });
+                }
+                fetches.push(options.headers || {});
+                return fetches.length === 1
+                    ? new Response('%PDF-1.4', { status: 200, headers: { etag: '"v1"' } })
+                    : new Response(null, { status: 304 });
+            };
+            const mailer = createMailer({ attachments: { cache: { ttl: 20 } } });
+            const message = { ...MESSAGE, attachments: [{ path: 'https://cdn.example.com/terms.pdf' }] };
+
+            await mailer.sendMail(message);
+            await wait(40);
+            await mailer.sendMail(message);
+
+            assert(fetches.length === 2, `Expected a revalidation request, got ${fetches.length} requests`);
+            assert(fetches[1]['If-None-Match'] === '"v1"', `Unexpected headers: ${JSON.stringify(fetches[1])}`);
+        }
+    );
+
+    await runTest(
+        'Key files by modification time and size',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+            const sent = () => Buffer.from(requests[requests.length - 1].body.attachments[0].content, 'base64').toString();
+
+            await withTempDir(async (dir) => {
+                const filePath = path.join(dir, 'terms.txt');
+                const mailer = createMailer({ attachments: { cache: true } });
+                const mtime = new Date('2026-01-01T00:00:00Z');
+                fs.writeFileSync(filePath, 'one');
+                fs.utimesSync(filePath, mtime, mtime);
+                await mailer.sendMail({ ...MESSAGE, attachments: [{ path: filePath }] });
+
+                // Same size and modification time: the cached content is used
+                fs.writeFileSync(filePath, 'two');
+                fs.utimesSync(filePath, mtime, mtime);
+                await mailer.sendMail({ ...MESSAGE, attachments: [{ path: filePath }] });
+                assert(sent() === 'one', `Should use the cached content, got ${sent()}`);
+
+                fs.utimesSync(filePath, mtime, new Date(mtime.getTime() + 5000));
+                await mailer.sendMail({ ...MESSAGE, attachments: [{ path: filePath }] });
+                assert(sent() === 'two', `Should read the modified file, got ${sent()}`);
+            });
+        }
+    );
+
+    await runTest(
+        'Apply the attachment policy to cached content',
+        async () => {
+            mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+            const mailer = createMailer({ attachments: { cache: true, maxTotalSize: 100, allowedTypes: ['image/*'] } });
+
+            await mailer.sendMail({ ...MESSAGE, attachments: [{ filename: 'pixel.png', content: PIXEL }] });
+            const error = await expectError(mailer.sendMail({
+                ...MESSAGE,
+                attachments: [{ filename: 'a.png', content: PIXEL }, { filename: 'b.png', content: PIXEL }],
+            }));
+            assert(error instanceof UsesendAttachmentPolicyError && error.rule === 'totalSize', `Cached content should count towards the limit: ${error.message}`);
+        }
+    );
+
+    console.log();
+
+    // ===== Timeout Tests =====
+    console.log('⏱️  Timeouts and Cancellation');
+    console.log('-'.repeat(70));
+
+    await runTest(
+        'Time out a hanging API request once',
+        async () => {
+            const requests = hangFetch();
+            const results = [];
+            const started = Date.now();
+
+            createMailer({ timeout: 50 }).sendMail(MESSAGE, (error, info) => results.push({ error, info, elapsed: Date.now() - started }));
+            await wait(150);
+
+            assert(results.length === 1, `Expected one callback, got ${results.length}`);
+            const { error } = results[0];
+            assert(error instanceof UsesendTimeoutError && error.code === 'TIMEOUT_ERROR' && error.timeout === 50, `Unexpected error: ${error && error.message}`);
+            assert(requests.length === 1 && requests[0].options.signal.aborted, 'Should abort the API request');
+            assert(results[0].elapsed < 140, 'Should fail as soon as the time limit is reached');
+        }
+    );
+
+    await runTest(
+        'Let a message signal or timeout cancel reading attachments',
+        async () => {
+            const requests = hangFetch();
+            const controller = new AbortController();
+            const reason = new Error('Request closed');
+            setTimeout(() => controller.abort(reason), 20);
+
+            const aborted = await expectError(createMailer({ timeout: 60000 }).sendMail({
+                ...MESSAGE,
+                signal: controller.signal,
+                attachments: [{ filename: 'a.txt', path: 'https://cdn.example.com/a.txt' }],
+            }));
+            assert(aborted instanceof UsesendAbortError && aborted.cause === reason, `Unexpected error: ${aborted.message}`);
+            assert(aborted.message === 'Sending the email was aborted: Request closed', `Unexpected message: ${aborted.message}`);
+            assert(requests.length === 1 && requests[0].options.signal.aborted, 'Should abort the download');
+
+            const stream = new Readable({ read() { } });
+            const timedOut = await expectError(createMailer({ timeout: 60000 }).sendMail({
+                ...MESSAGE,
+                timeout: 20,
+                attachments: [{ filename: 'b.txt', content: stream }],
+            }));
+            assert(timedOut instanceof UsesendTimeoutError && timedOut.timeout === 20, `Message timeout should win: ${timedOut.message}`);
+            assert(stream.destroyed, 'Should destroy the stream being read');
+
+            // What AbortSignal.timeout() aborts with
+            const timeoutReason = new DOMException('The operation was aborted due to timeout', 'TimeoutError');
+            const signalTimeout = await expectError(createMailer().sendMail({ ...MESSAGE, signal: AbortSignal.abort(timeoutReason) }));
+            assert(signalTimeout instanceof UsesendTimeoutError && signalTimeout.timeout === undefined, `Unexpected error: ${signalTimeout.message}`);
+        }
+    );
+
+    await runTest(
+        'Stop retrying once aborted',
+        async () => {
+            const requests = mockFetch([{ status: 503, body: { error: { code: 'INTERNAL_SERVER_ERROR', message: 'Down' } } }]);
+            const started = Date.now();
+
+            const error = await expectError(createMailer({ retry: { baseDelay: 60000, jitter: 0 }, timeout: 50 }).sendMail(MESSAGE));
+            assert(error instanceof UsesendTimeoutError, `Unexpected error: ${error.message}`);
+            assert(requests.length === 1, `Expected 1 request, got ${requests.length}`);
+            assert(Date.now() - started < 1000, 'Should not wait for the retry delay');
+        }
+    );
+
+    await runTest(
+        'Withdraw aborted messages from the batch queue',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { data: [{ emailId: 'b' }] } }]);
+            const mailer = createMailer({ batch: { window: 60000 } });
+            const controller = new AbortController();
+
+            const first = expectError(mailer.sendMail({ ...MESSAGE, to: 'a@example.com', signal: controller.signal }));
+            const second = mailer.sendMail({ ...MESSAGE, to: 'b@example.com' });
+            await wait(20);
+            controller.abort();
+            mailer.close();
+
+            const error = await first;
+            const info = await second;
+            assert(error instanceof UsesendAbortError && error.message === 'Sending the email was aborted.', `Unexpected error: ${error.message}`);
+            assert(requests.length === 1 && requests[0].body.length === 1 && requests[0].body[0].to[0] === 'b@example.com', 'Should send the other message alone');
+            assert(info.emailId === 'b', 'Should deliver the other message');
+        }
+    );
+
+    await runTest(
+        'Send nothing when the time limit passes while the payload is prepared',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { data: [{ emailId: 'b' }] } }]);
+            const slowHook = () => wait(60);
+
+            const batched = await expectError(createMailer({ batch: { window: 10 }, onBeforeSend: slowHook }).sendMail({ ...MESSAGE, timeout: 20 }));
+            const single = await expectError(createMailer({ onBeforeSend: slowHook }).sendMail({ ...MESSAGE, timeout: 20 }));
+            await wait(80);
+
+            assert(batched instanceof UsesendTimeoutError && single instanceof UsesendTimeoutError, `Unexpected errors: ${batched.message} / ${single.message}`);
+            assert(requests.length === 0, `Should not send after the timeout, sent ${requests.length} requests`);
+        }
+    );
+
+    await runTest(
+        'Fail fast for aborted signals and reject invalid timeouts',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+
+            const aborted = await expectError(createMailer().sendMail({ ...MESSAGE, signal: AbortSignal.abort('shutting down') }));
+            assert(aborted instanceof UsesendAbortError && aborted.cause === 'shutting down', `Unexpected error: ${aborted.message}`);
+            assert(requests.length === 0, 'Should not send anything');
+
+            const invalid = await expectError(createMailer().sendMail({ ...MESSAGE, timeout: -1 }));
+            assert(invalid instanceof UsesendValidationError && invalid.issues[0].path[0] === 'timeout', `Unexpected error: ${invalid.message}`);
+
+            let thrown;
+            try {
+                createMailer({ timeout: 0 });
+            } catch (error) {
+                thrown = error;
+            }
+            assert(thrown && thrown.message.includes('Invalid option "timeout"'), 'Should reject a non-positive timeout');
+        }
+    );
+
+    console.log();
+
+    // ===== Idempotency Tests =====
+    console.log('🔑 Idempotency');
+    console.log('-'.repeat(70));
+
+    await runTest(
+        'Derive a stable idempotency key from the Message-ID',
+        async () => {
+            const requests = mockFetch([
+                new TypeError('fetch failed'),
+                { status: 200, body: { emailId: 'a' } },
+            ]);
+            const message = { ...MESSAGE, messageId: '<order-42@example.com>' };
+
+            const info = await createMailer({ retry: { baseDelay: 0 } }).sendMail(message);
+            await createMailer().sendMail({ ...message, messageId: 'order-42@example.com' });
+            await createMailer().sendMail(MESSAGE);
+
+            const keys = requests.map((request) => request.options.headers.get('idempotency-key'));
+            assert(/^[0-9a-f]{64}$/.test(keys[0]), `Unexpected key: ${keys[0]}`);
+            assert(keys[1] === keys[0], 'Retries should send the same key');
+            assert(keys[2] === keys[0], 'The same Message-ID should give the same key in another transport');
+            assert(keys[3] && keys[3] !== keys[0], 'Other messages should get their own key');
+            assert(info.idempotencyKey === keys[0], 'Should return the key with the result');
+        }
+    );
+
+    await runTest(
+        'Send explicit keys under a configurable header, or none',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+
+            await createMailer().sendMail({ ...MESSAGE, idempotencyKey: 'order-42-confirmation' });
+            await createMailer({ idempotency: { header: 'X-Request-Id' } }).sendMail({ ...MESSAGE, idempotencyKey: 'order-43' });
+            await createMailer({ idempotency: false }).sendMail({ ...MESSAGE, idempotencyKey: 'order-44' });
+
+            assert(requests[0].options.headers.get('idempotency-key') === 'order-42-confirmation', 'Should send the explicit key');
+            assert(requests[1].options.headers.get('x-request-id') === 'order-43', 'Should use the configured header');
+            assert(!requests[2].options.headers.has('idempotency-key'), 'Should not send a key when disabled');
+            assert(requests[0].options.headers.get('authorization') === 'Bearer test_key', 'Should keep the client headers');
+
+            const invalid = await expectError(createMailer().sendMail({ ...MESSAGE, idempotencyKey: 'has spaces' }));
+            assert(invalid instanceof UsesendValidationError && invalid.issues[0].path[0] === 'idempotencyKey', `Unexpected error: ${invalid.message}`);
+
+            let thrown;
+            try {
+                createMailer({ idempotency: { header: 'Bad Header' } });
+            } catch (error) {
+                thrown = error;
+            }
+            assert(thrown && thrown.message.includes('"header"'), 'Should reject an invalid header name');
+        }
+    );
+
+    await runTest(
+        'Answer repeated keys from the store without sending again',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+            const mailer = createMailer({ idempotency: { store: true } });
+            const message = { ...MESSAGE, messageId: '<welcome-7@example.com>' };
+
+            const first = await mailer.sendMail(message);
+            const second = await mailer.sendMail(message);
+
+            assert(requests.length === 1, `Expected 1 request, got ${requests.length}`);
+            assert(!first.duplicate && second.duplicate === true, 'Should flag the repeated send');
+            assert(second.emailId === 'a' && second.idempotencyKey === first.idempotencyKey, 'Should return the recorded email id');
+        }
+    );
+
+    await runTest(
+        'Use custom stores and report store failures as warnings',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+            const records = new Map();
+            const shared = { get: async (key) => records.get(key), set: async (key, record) => { records.set(key, record); } };
+
+            await createMailer({ idempotency: { store: shared } }).sendMail({ ...MESSAGE, idempotencyKey: 'k1' });
+            const restarted = await createMailer({ idempotency: { store: shared } }).sendMail({ ...MESSAGE, idempotencyKey: 'k1' });
+            assert(requests.length === 1 && restarted.duplicate && records.get('k1').emailId === 'a', 'Should dedupe through the shared store');
+
+            const failing = { get: () => undefined, set: () => { throw new Error('Store offline'); } };
+            const transport = makeTransport({ idempotency: { store: failing } });
+            const events = [];
+            transport.on('warning', (warning) => events.push(warning));
+            const info = await nodemailer.createTransport(transport).sendMail({ ...MESSAGE, idempotencyKey: 'k2' });
+            assert(info.emailId === 'a' && info.warnings.some((warning) => warning.includes('Store offline')), 'Should still report the send');
+            assert(events.length === 1, 'Should emit the warning');
+        }
+    );
+
+    await runTest(
+        'Key batch requests by the keys of their messages and expire memory records',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { data: [{ emailId: 'a' }, { emailId: 'b' }] } }]);
+            const send = () => {
+                const mailer = createMailer({ batch: { maxSize: 2, window: 60000 } });
+                return Promise.all([
+                    mailer.sendMail({ ...MESSAGE, idempotencyKey: 'one' }),
+                    mailer.sendMail({ ...MESSAGE, idempotencyKey: 'two' }),
+                ]);
+            };
+
+            const infos = await send();
+            await send();
+            const keys = requests.map((request) => request.options.headers.get('idempotency-key'));
+            assert(/^[0-9a-f]{64}$/.test(keys[0]) && keys[0] === keys[1], `Unexpected batch keys: ${keys.join()}`);
+            assert(infos[1].idempotencyKey === 'two', 'Each message should keep its own key');
+
+            const store = new MemoryIdempotencyStore({ ttl: 20, maxEntries: 2 });
+            ['x', 'y', 'z'].forEach((key) => store.set(key, { emailId: key }));
+            assert(store.size === 2 && store.get('x') === undefined && store.get('z').emailId === 'z', 'Should forget the oldest key');
+            await wait(30);
+            assert(store.get('z') === undefined, 'Should forget expired keys');
+        }
+    );
+
+    console.log();
+
+    // ===== Rate Limiting Tests =====
+    console.log('🚦 Rate Limiting and Concurrency');
+    console.log('-'.repeat(70));
+
+    await runTest(
+        'Keep at most maxConcurrency requests in flight',
+        async () => {
+            const stats = slowFetch(20);
+            const mailer = createMailer({ maxConcurrency: 2 });
+
+            const infos = await Promise.all([1, 2, 3, 4, 5].map(() => mailer.sendMail(MESSAGE)));
+            assert(stats.requests.length === 5 && infos.every((info) => info.emailId), 'Should send every message');
+            assert(stats.peak === 2, `Expected at most 2 requests in flight, got ${stats.peak}`);
+        }
+    );
+
+    await runTest(
+        'Space requests beyond a burst to stay under the rate limit',
+        async () => {
+            let stats = slowFetch(0);
+            const started = Date.now();
+            await Promise.all([1, 2, 3, 4].map(() => createMailer({ rateLimit: { requests: 2, perMs: 100 } }).sendMail(MESSAGE)));
+            assert(stats.requests.every((request) => request.at - started < 40), 'Separate transports should not share a limit');
+
+            stats = slowFetch(0);
+            const mailer = createMailer({ rateLimit: { requests: 2, perMs: 100 } });
+            const burst = Date.now();
+            await Promise.all([1, 2, 3, 4].map(() => mailer.sendMail(MESSAGE)));
+            const offsets = stats.requests.map((request) => request.at - burst);
+            assert(offsets[0] < 40 && offsets[1] < 40, `The burst should go out at once: ${offsets.join()}`);
+            assert(offsets[2] >= 45 && offsets[3] >= 95, `Later requests should wait for tokens: ${offsets.join()}`);
+
+            stats = slowFetch(0);
+            const pooled = createMailer({ rateLimit: 1, rateDelta: 50 });
+            const first = Date.now();
+            await Promise.all([pooled.sendMail(MESSAGE), pooled.sendMail(MESSAGE)]);
+            assert(stats.requests[1].at - first >= 45, 'A numeric rateLimit should apply per rateDelta');
+        }
+    );
+
+    await runTest(
+        'Reject sends beyond maxQueueSize and emit idle once drained',
+        async () => {
+            const stats = slowFetch(30);
+            const transport = makeTransport({ maxConcurrency: 1, maxQueueSize: 1 });
+            const mailer = nodemailer.createTransport(transport);
+            let idleEvents = 0;
+            mailer.on('idle', () => idleEvents++);
+
+            const first = mailer.sendMail(MESSAGE);
+            const second = mailer.sendMail(MESSAGE);
+            const third = await expectError(mailer.sendMail(MESSAGE));
+            assert(third instanceof UsesendRateLimitError && third.message.includes('Send queue is full'), `Unexpected error: ${third.message}`);
+            assert(mailer.isIdle() === false, 'Should not be idle while requests wait');
+
+            await Promise.all([first, second]);
+            await new Promise((resolve) => setImmediate(resolve));
+            assert(stats.requests.length === 2, `Expected 2 requests, got ${stats.requests.length}`);
+            assert(idleEvents === 1 && mailer.isIdle() === true, `Expected one idle event, got ${idleEvents}`);
+        }
+    );
+
+    await runTest(
+        'Withdraw queued requests when the send is aborted',
+        async () => {
+            const stats = slowFetch(60);
+            const mailer = createMailer({ maxConcurrency: 1 });
+
+            const first = mailer.sendMail(MESSAGE);
+            const error = await expectError(mailer.sendMail({ ...MESSAGE, timeout: 20 }));
+            await first;
+
+            assert(error instanceof UsesendTimeoutError, `Unexpected error: ${error.message}`);
+            assert(stats.requests.length === 1, 'The aborted message should never be sent');
+        }
+    );
+
+    await runTest(
+        'Reject invalid rate limit options',
+        async () => {
+            const invalid = [
+                [{ maxConcurrency: 0 }, '"maxConcurrency"'],
+                [{ rateLimit: 0 }, '"rateLimit"'],
+                [{ rateLimit: { requests: 5 } }, '"rateLimit"'],
+                [{ rateLimit: 5, rateDelta: 0 }, '"rateDelta"'],
+                [{ maxQueueSize: -1 }, '"maxQueueSize"'],
+            ];
+
+            for (const [options, name] of invalid) {
+                let thrown;
+                try {
+                    createMailer(options);
+                } catch (error) {
+                    thrown = error;
+                }
+                assert(thrown && thrown.message.includes(name), `Should reject ${JSON.stringify(options)}`);
+            }
+        }
+    );
+
+    console.log();
+
+    // ===== Circuit Breaker Tests =====
+    console.log('🔌 Circuit Breaker');
+    console.log('-'.repeat(70));
+
+    const SERVER_ERROR = { status: 503, body: { error: { code: 'INTERNAL_SERVER_ERROR', message: 'Down' } } };
+
+    await runTest(
+        'Open after consecutive server or network failures and fail fast',
+        async () => {
+            const requests = mockFetch([SERVER_ERROR, new TypeError('fetch failed')]);
+            const transport = makeTransport({ circuitBreaker: { failureThreshold: 2, cooldown: 60000 } });
+            const mailer = nodemailer.createTransport(transport);
+            const events = [];
+            transport.on('circuit', (event) => events.push(event));
+
+            assert(await expectError(mailer.sendMail(MESSAGE)) instanceof UsesendServerError, 'Should report the server error');
+            assert(await expectError(mailer.sendMail(MESSAGE)) instanceof UsesendNetworkError, 'Should report the network error');
+            const error = await expectError(mailer.sendMail({ ...MESSAGE, attachments: [{ filename: 'a.txt', path: 'https://cdn.example.com/a.txt' }] }));
+
+            assert(error instanceof UsesendCircuitOpenError && error.code === 'CIRCUIT_OPEN_ERROR', `Unexpected error: ${error.message}`);
+            assert(error.retryAfter > 59000 && error.message.includes('60 s'), `Unexpected retryAfter: ${error.retryAfter}`);
+            assert(requests.length === 2, 'Should not fetch attachments or call the API while open');
+            assert(events.length === 1 && events[0].state === 'open' && events[0].previous === 'closed' && events[0].failures === 2, `Unexpected events: ${JSON.stringify(events)}`);
+        }
+    );
+
+    await runTest(
+        'Count only consecutive server and network failures',
+        async () => {
+            const requests = mockFetch([
+                SERVER_ERROR,
+                { status: 422, body: { error: { code: 'BAD_REQUEST', message: 'Invalid' } } },
+                SERVER_ERROR,
+                { status: 429, body: { error: { code: 'RATE_LIMITED', message: 'Slow down' } } },
+                SERVER_ERROR,
+            ]);
+            const mailer = createMailer({ circuitBreaker: { failureThreshold: 2 } });
+
+            for (let i = 0; i < 5; i++) {
+                await expectError(mailer.sendMail(MESSAGE));
+            }
+            assert(requests.length === 5, 'Client errors should reset the failure count');
+        }
+    );
+
+    await runTest(
+        'Let one trial request through after the cooldown',
+        async () => {
+            mockFetch([SERVER_ERROR]);
+            const transport = makeTransport({ circuitBreaker: { failureThreshold: 1, cooldown: 30 } });
+            const mailer = nodemailer.createTransport(transport);
+            const states = [];
+            transport.on('circuit', (event) => states.push(event.state));
+
+            await expectError(mailer.sendMail(MESSAGE));
+            await wait(40);
+            await expectError(mailer.sendMail(MESSAGE));
+            assert(states.join() === 'open,half-open,open', `A failed trial should reopen: ${states.join()}`);
+
+            await wait(40);
+            const stats = slowFetch(20);
+            const [trial, other] = await Promise.all([mailer.sendMail(MESSAGE), expectError(mailer.sendMail(MESSAGE))]);
+            assert(trial.emailId && other instanceof UsesendCircuitOpenError, 'Only the trial should be sent');
+            assert(other.message.includes('trial request'), `Unexpected message: ${other.message}`);
+            assert(stats.requests.length === 1, `Expected 1 request, got ${stats.requests.length}`);
+            assert(states.join() === 'open,half-open,open,half-open,closed', `Unexpected states: ${states.join()}`);
+
+            await mailer.sendMail(MESSAGE);
+            assert(stats.requests.length === 2, 'Should send normally once closed');
+        }
+    );
+
+    await runTest(
+        'Send through the fallback transport while the circuit is open',
+        async () => {
+            const requests = mockFetch([SERVER_ERROR]);
+            const fallback = nodemailer.createTransport({ jsonTransport: true });
+            const mailer = createMailer({ retry: { baseDelay: 0, maxAttempts: 3 }, circuitBreaker: { failureThreshold: 2, fallback } });
+
+            // The circuit opens during the retries, so the last attempt goes to the fallback
+            const retried = await mailer.sendMail({ ...MESSAGE, messageId: '<first@example.com>' });
+            assert(requests.length === 2, `Expected 2 requests, got ${requests.length}`);
+            assert(retried.fallback === true && JSON.parse(retried.message).messageId === '<first@example.com>', 'Should forward the message');
+
+            const info = await mailer.sendMail(MESSAGE);
+            assert(requests.length === 2 && info.fallback === true && info.envelope.to[0] === 'user@example.com', 'Should go straight to the fallback');
+
+            const sent = [];
+            const transport = { name: 'Fallback', version: '1.0.0', send: (mail, callback) => { sent.push(mail.data.subject); callback(null, { messageId: 'fallback-1' }); } };
+            const raw = createMailer({ circuitBreaker: { failureThreshold: 1, fallback: transport } });
+            await expectError(raw.sendMail(MESSAGE));
+            const forwarded = await raw.sendMail(MESSAGE);
+            assert(sent.join() === 'Test' && forwarded.messageId === 'fallback-1' && forwarded.fallback === true, 'Should accept a plain transport');
+        }
+    );
+
+    await runTest(
+        'Reject invalid circuit breaker options',
+        async () => {
+            const invalid = [
+                [{ failureThreshold: 0 }, '"failureThreshold"'],
+                [{ cooldown: -1 }, '"cooldown"'],
+                [{ fallback: {} }, '"fallback"'],
+            ];
+
+            for (const [circuitBreaker, name] of invalid) {
+                let thrown;
+                try {
+                    createMailer({ circuitBreaker });
+                } catch (error) {
+                    thrown = error;
+                }
+                assert(thrown && thrown.message.includes(name), `Should reject ${name}`);
+            }
+        }
+    );
+
+    console.log();
+
+    // ===== Lifecycle Tests =====
+    console.log('📡 Lifecycle Events and Hooks');
+    console.log('-'.repeat(70));
+
+    await runTest(
+        'Emit attachmentResolved, beforeSend and sent events',
+        async () => {
+            mockFetch([{ status: 200, body: { emailId: 'evt_1' } }]);
+            const transport = makeTransport();
+            const events = [];
+            ['attachmentResolved', 'beforeSend', 'sent'].forEach((name) => transport.on(name, (event) => events.push({ name, event })));
+
+            await nodemailer.createTransport(transport).sendMail({
+                ...MESSAGE,
+                attachments: [
+                    { filename: 'a.txt', content: 'Hello' },
+                    { filename: 'b.bin', content: Readable.from([Buffer.from([1, 2, 3, 4])]) },
+                ],
+            });
+
+            assert(events.map((entry) => entry.name).join() === 'attachmentResolved,attachmentResolved,beforeSend,sent', `Unexpected order: ${events.map((entry) => entry.name).join()}`);
+            const [first, second, before, sent] = events.map((entry) => entry.event);
+            assert(first.filename === 'a.txt' && first.size === 5 && first.encodedSize === 8 && first.source === 'string' && first.cached === false, `Unexpected details: ${JSON.stringify(first)}`);
+            assert(second.source === 'stream' && second.size === 4 && second.contentType === 'application/octet-stream', `Unexpected details: ${JSON.stringify(second)}`);
+            assert(before.payload.subject === 'Test' && before.payload.attachments[0].content === '[redacted: 8 base64 characters]', 'Should redact attachment content');
+            assert(before.idempotencyKey && before.idempotencyKey === sent.idempotencyKey, 'Should include the idempotency key');
+            assert(sent.emailId === 'evt_1' && sent.attempts === 1 && sent.latency >= 0, `Unexpected sent event: ${JSON.stringify(sent)}`);
+        }
+    );
+
+    await runTest(
+        'Redact embedded images in beforeSend and keep listeners from changing the payload',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+            const transport = makeTransport();
+            const image = Buffer.from('fake image bytes').toString('base64');
+            let seen;
+            transport.on('beforeSend', ({ payload }) => {
+                seen = payload.html;
+                payload.subject = 'Changed';
+                payload.to.push('intruder@example.com');
+            });
+
+            await nodemailer.createTransport(transport).sendMail({
+                ...MESSAGE,
+                html: '<img src="cid:logo">',
+                attachments: [{ filename: 'logo.png', content: Buffer.from('fake image bytes'), cid: 'logo' }],
+            });
+
+            assert(seen === `<img src="data:image/png;base64,[redacted: ${image.length} base64 characters]">`, `Unexpected html: ${seen}`);
+            assert(requests[0].body.html.includes(image), 'Should send the embedded image');
+            assert(requests[0].body.subject === 'Test' && requests[0].body.to.length === 1, 'Listeners should not change the payload sent');
+        }
+    );
+
+    await runTest(
+        'Emit retry and error events without requiring an error listener',
+        async () => {
+            mockFetch([{ status: 503, body: { error: { code: 'INTERNAL_SERVER_ERROR', message: 'Down' } } }]);
+            const transport = makeTransport({ retry: { maxAttempts: 2, baseDelay: 5, jitter: 0 } });
+            const retries = [];
+            transport.on('retry', (event) => retries.push(event));
+
+            // Nodemailer forwards the error to the transporter, which has no listener here and throws
+            const transporter = nodemailer.createTransport(transport);
+            const seen = [];
+            transport.on('error', (emitted) => seen.push(emitted));
+            transport.once('error', () => { throw new Error('Broken listener'); });
+            transport.on('error', (emitted) => seen.push(emitted));
+
+            const error = await expectError(transporter.sendMail(MESSAGE));
+            assert(error instanceof UsesendServerError, `Unexpected error: ${error.message}`);
+            assert(seen.length === 2 && seen.every((emitted) => emitted === error), 'Should call every listener added after createTransport');
+            assert(transport.listenerCount('error') === 3, 'Should remove once listeners');
+            assert(retries.length === 1 && retries[0].attempt === 1 && retries[0].delay === 5 && retries[0].error instanceof UsesendServerError, `Unexpected retry events: ${JSON.stringify(retries)}`);
+
+            const errors = [];
+            const mailer = nodemailer.createTransport(makeTransport());
+            mailer.on('error', (emitted) => errors.push(emitted));
+            const missing = await expectError(mailer.sendMail({ ...MESSAGE, from: undefined }));
+            assert(errors.length === 1 && errors[0] === missing, 'Should emit the error the callback gets');
+        }
+    );
+
+    await runTest(
+        'Let onBeforeSend hooks change or veto the payload',
+        async () => {
+            const requests = mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+            const seen = [];
+            const mailer = createMailer({
+                onBeforeSend: [
+                    (payload, { mail }) => { payload.headers = { 'X-Tenant': mail.tenant }; },
+                    (payload) => ({ ...payload, subject: `[Staging] ${payload.subject}` }),
+                    (payload) => { seen.push(payload.subject); },
+                ],
+            });
+
+            await mailer.sendMail({ ...MESSAGE, tenant: 'acme' });
+            assert(requests[0].body.subject === '[Staging] Test' && requests[0].body.headers['X-Tenant'] === 'acme', `Unexpected payload: ${JSON.stringify(requests[0].body)}`);
+            assert(seen.join() === '[Staging] Test', 'Hooks should run in order');
+
+            const vetoed = await expectError(createMailer({ onBeforeSend: (payload) => (payload.to.includes('blocked@example.com') ? false : undefined) }).sendMail({ ...MESSAGE, to: 'blocked@example.com' }));
+            assert(vetoed instanceof UsesendHookError && vetoed.hook === 'onBeforeSend' && vetoed.message.includes('vetoed'), `Unexpected error: ${vetoed.message}`);
+
+            const cause = new Error('Audit log unavailable');
+            const failed = await expectError(createMailer({ onBeforeSend: async () => { throw cause; } }).sendMail(MESSAGE));
+            assert(failed instanceof UsesendHookError && failed.cause === cause && failed.code === 'HOOK_ERROR', `Unexpected error: ${failed.message}`);
+            assert(requests.length === 1, 'Vetoed messages should not be sent');
+        }
+    );
+
+    await runTest(
+        'Let onAfterSend hooks replace the result and report their failures as warnings',
+        async () => {
+            mockFetch([{ status: 200, body: { emailId: 'a' } }]);
+            const audited = [];
+            const info = await createMailer({
+                onAfterSend: [
+                    (result, { payload }) => { audited.push(`${result.emailId}:${payload.to[0]}`); },
+                    (result) => ({ ...result, auditId: 'audit_1' }),
+                    () => { throw new Error('Metrics down'); },
+                ],
+            }).sendMail(MESSAGE);
+
+            assert(audited.join() === 'a:user@example.com', 'Should pass the result and payload');
+            assert(info.emailId === 'a' && info.auditId === 'audit_1', 'Should use the replaced result');
+            assert(info.warnings.length === 1 && info.warnings[0].includes('Metrics down'), 'Should report the failing hook as a warning');
+
+            let thrown;
+            try {
+                createMailer({ onAfterSend: ['not a function'] });
+            } catch (error) {
+                thrown = error;
+            }
+            assert(thrown && thrown.message.includes('"onAfterSend"'), 'Should reject hooks that are not functions');
+        }
+    );
+
+    // ========================================
+    // Logging
+    // ========================================
+    console.log();
+    console.log('📝 Logging');
+    console.log('-'.repeat(70));
+
+    await runTest(
+        'Log validation, attachment resolution and the result at suitable levels',
+        async () => {
+            mockFetch([{ status: 200, body: { emailId: 'log_1' } }]);
+            const { logger, entries } = captureLogger();
+            const mailer = createMailer({ logger });
+
+            await mailer.sendMail({ ...MESSAGE, messageId: '<log-1@example.com>', attachments: [{ filename: 'a.txt', content: 'Hello' }] });
+            const summary = entries.map((entry) => `${entry.level}:${entry.meta.tnx}`).join();
+            assert(summary === 'debug:validate,debug:attachment,info:send,info:send', `Unexpected entries: ${summary}`);
+            assert(entries.every((entry) => entry.meta.component === 'usesend-transport' && entry.meta.messageId === '<log-1@example.com>'), 'Should tag entries with the component and message id');
+            assert(entries[1].message === 'Resolved attachment a.txt (text/plain, 5 bytes from string)', `Unexpected message: ${entries[1].message}`);
+            assert(entries[2].message === 'Sending message <log-1@example.com> to <user@example.com>', `Unexpected message: ${entries[2].message}`);
+            assert(entries[3].meta.emailId === 'log_1' && entries[3].meta.attempts === 1, `Unexpected meta: ${JSON.stringify(entries[3].meta)}`);
+
+            entries.length = 0;
+            await expectError(mailer.sendMail({ ...MESSAGE, to: 'not-an-address' }));
+            const [failure] = entries;
+            assert(entries.length === 1 && failure.level === 'error' && failure.meta.err.code === 'VALIDATION_ERROR', `Unexpected entries: ${JSON.stringify(entries)}`);
+            assert(failure.message.includes('Invalid email address in "to"'), `Unexpected message: ${failure.message}`);
+        }
+    );
+
+    await runTest(
+        'Log API traffic in debug mode without the API key or attachment contents',
+        async () => {
+            const apiKey = 'us_secret_key_123';
+            mockFetch([
+                { status: 503, body: { error: { code: 'INTERNAL_SERVER_ERROR', message: `Overloaded (key ${apiKey})` } } },
+                { status: 200, body: { emailId: 'log_2' } },
+            ]);
+            const { logger, entries } = captureLogger();
+            const transport = makeTransport({ apiKey, logger, debug: true, retry: { maxAttempts: 2, baseDelay: 5, jitter: 0 } });
+
+            await nodemailer.createTransport(transport).sendMail({
+                ...MESSAGE,
+                html: '<p>Hi</p><img src="cid:badge">',
+                attachments: [
+                    { filename: 'secret.txt', content: 'TOP SECRET CONTENT' },
+                    { filename: 'badge.png', content: Buffer.from('SECRET BADGE IMAGE'), cid: 'badge' },
+                ],
+            });
+            const logged = JSON.stringify(entries);
+            assert(!logged.includes(apiKey), 'Should never log the API key');
+            assert(!logged.includes(Buffer.from('TOP SECRET CONTENT').toString('base64')), 'Should never log attachment contents');
+            assert(!logged.includes(Buffer.from('SECRET BADGE IMAGE').toString('base64')), 'Should never log images embedded in the HTML');
+
+            const request = entries.find((entry) => entry.meta.tnx === 'client');
+            const responses = entries.filter((entry) => entry.meta.tnx === 'server');
+            const payload = entries.find((entry) => entry.meta.tnx === 'payload');
+            assert(request && request.level === 'debug' && request.meta.headers.authorization === 'Bearer [redacted]', `Unexpected request entry: ${JSON.stringify(request)}`);
+            assert(responses.length === 2 && responses[0].meta.status === 503 && responses[1].meta.body.emailId === 'log_2', `Unexpected responses: ${JSON.stringify(responses)}`);
+            assert(payload && payload.meta.payload.attachments[0].content.startsWith('[redacted'), 'Should log the payload with attachments redacted');
+            assert(entries.some((entry) => entry.level === 'warn' && entry.message.startsWith('Request failed on attempt 1, retrying in 5 ms') && entry.message.includes('Overloaded (key [redacted])')), 'Should log the retry');
+
+            entries.length = 0;
+            await createMailer({ logger }).sendMail(MESSAGE);
+            assert(!entries.some((entry) => ['client', 'server', 'payload'].includes(entry.meta.tnx)), 'Should only log traffic in debug mode');
+        }
+    );
+
+    await runTest(
+        'Redact recipient addresses when redactRecipients is set',
+        async () => {
+            mockFetch([{ status: 200, body: { emailId: 'log_3' } }]);
+            const { logger, entries } = captureLogger();
+            const mailer = createMailer({ logger, debug: true, redactRecipients: true });
+
+            await mailer.sendMail({ ...MESSAGE, to: 'Jane Doe <jane@example.com>', cc: 'ops@example.org', envelope: { from: 'sender@example.com', to: 'jane@example.com' } });
+            await expectError(mailer.sendMail({ ...MESSAGE, to: 'jane@@example.com' }));
+
+            const logged = JSON.stringify(entries);
+            assert(!logged.includes('jane@') && !logged.includes('ops@') && !logged.includes('Jane Doe'), `Should redact recipients: ${logged}`);
+            assert(entries.find((entry) => entry.meta.tnx === 'payload').meta.payload.to[0] === '***@example.com', 'Should keep the domain of redacted recipients');
+            assert(entries.some((entry) => entry.level === 'warn' && entry.message.includes('***@example.org')), 'Should redact addresses in warnings');
+            assert(entries[0].meta.messageId.endsWith('@example.com>') && !entries[0].meta.messageId.startsWith('<***'), 'Should keep the Message-ID for correlation');
+        }
+    );
+
+    await runTest(
+        'Accept true for a console logger and ignore failing loggers',
+        async () => {
+            mockFetch([{ status: 200, body: { emailId: 'log_4' } }]);
+            const printed = [];
+            const log = console.log;
+            console.log = (...args) => printed.push(util.format(...args));
+            try {
+                await createMailer({ logger: true }).sendMail(MESSAGE);
+            } finally {
+                console.log = log;
+            }
+            assert(printed.some((line) => /INFO\s+Message .+ sent as log_4 in \d+ ms$/.test(line)), `Unexpected console output: ${printed.join('\n')}`);
+
+            const broken = { debug() { throw new Error('Disk full'); }, info() { throw new Error('Disk full'); }, warn() {}, error() {} };
+            const info = await createMailer({ logger: broken }).sendMail(MESSAGE);
+            assert(info.emailId === 'log_4', 'A failing logger should not fail the send');
+
+            let thrown;
+            try {
+                createMailer({ logger: { info() {} } });
+            } catch (error) {
+                thrown = error;
+            }
+            assert(thrown && thrown.message.includes('"logger"'), 'Should reject loggers without the needed methods');
+        }
+    );
+
+    global.fetch = originalFetch;
+
+    console.log();
+    console.log('='.repeat(70));
+    console.log('📊 Test Results:');
+    console.log(`   Total: ${testsRun}`);
+    console.log(`   ✅ Passed: ${testsPassed}`);
+    console.log(`   ❌ Failed: ${testsFailed}`);
+    console.log(`   Success Rate: ${((testsPassed / testsRun) * 100).toFixed(1)}%`);
+    console.log('='.repeat(70));
+
+    if (testsFailed > 0) {
+        process.exit(1);
+    }
+}
+
+// Run all tests
+runAllTests().catch(error => {
+    console.error('\n💥 Fatal error:', error);
+    console.error(error.stack);
+    process.exit(1);
+});
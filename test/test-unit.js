@@ -7,7 +7,7 @@
  * Run: node test/test-unit.js
  */
 
-const { processAttachment } = require('../dist/main.js');
+const { processAttachment, AttachmentCache } = require('../dist/main.js');
 const fs = require('fs');
 const path = require('path');
 const { Readable } = require('stream');
@@ -239,6 +239,44 @@ async function runAllTests() {
         }
     );
 
+    await runTest(
+        'Parse data URI parameters',
+        async () => {
+            const withCharset = await processAttachment({ path: 'data:text/plain;charset=UTF-8;base64,SGk=' });
+            const noType = await processAttachment({ path: 'data:;base64,SGk=' });
+            const named = await processAttachment({ path: 'data:text/csv;name="a%20b.csv";header=present,caf%C3%A9%2C%FF' });
+            const encodedBase64 = await processAttachment({ path: 'DATA:image/png;BASE64,iVBORw0KGgo%3D' });
+
+            assert(withCharset.contentType === 'text/plain; charset=UTF-8' && withCharset.filename === 'attachment.txt', `Unexpected: ${withCharset.contentType}`);
+            assert(Buffer.from(withCharset.content, 'base64').toString() === 'Hi', 'Should decode base64 data after parameters');
+            assert(noType.contentType === 'text/plain; charset=US-ASCII', `Unexpected default type: ${noType.contentType}`);
+            assert(named.contentType === 'text/csv; name="a b.csv"; header=present', `Unexpected parameters: ${named.contentType}`);
+            assert(Buffer.from(named.content, 'base64').equals(Buffer.from([0x63, 0x61, 0x66, 0xc3, 0xa9, 0x2c, 0xff])), 'Should percent-decode to raw bytes');
+            assert(encodedBase64.contentType === 'image/png' && Buffer.from(encodedBase64.content, 'base64')[0] === 0x89, 'Should accept percent-encoded base64');
+        }
+    );
+
+    await runTest(
+        'Reject malformed data URIs',
+        async () => {
+            const cases = [
+                ['data:text/plain;charset,abc', '"charset" is not a parameter'],
+                ['data:text;base64,SGk=', '"text" is not a media type'],
+                ['data:text/plain;base64,SGk!', 'not valid base64'],
+            ];
+
+            for (const [uri, message] of cases) {
+                let error;
+                try {
+                    await processAttachment({ path: uri });
+                } catch (e) {
+                    error = e;
+                }
+                assert(error && error.message.includes(message), `Expected "${message}", got ${error && error.message}`);
+            }
+        }
+    );
+
     console.log();
 
     // ===== Stream Tests =====
@@ -320,6 +358,80 @@ async function runAllTests() {
         }
     );
 
+    await runTest(
+        'Process quoted-printable encoded string',
+        async () => {
+            const result = await processAttachment({
+                filename: 'qp.txt',
+                content: 'Caf=C3=A9 au lait, soft =\r\nbreak=3D ok  \r\nnext =ZZ line',
+                encoding: 'quoted-printable',
+            });
+
+            const decoded = Buffer.from(result.content, 'base64').toString('utf-8');
+            assert(decoded === 'Café au lait, soft break= ok\r\nnext =ZZ line', `Unexpected content: ${JSON.stringify(decoded)}`);
+        }
+    );
+
+    await runTest(
+        'Decode quoted-printable with long runs of spaces in linear time',
+        async () => {
+            const spaces = ' '.repeat(40000);
+            const started = Date.now();
+            const result = await processAttachment({
+                filename: 'qp.txt',
+                content: `a${spaces}b\nc${spaces}\nd =${spaces}\ne`,
+                encoding: 'quoted-printable',
+            });
+            const elapsed = Date.now() - started;
+
+            const decoded = Buffer.from(result.content, 'base64').toString('utf-8');
+            assert(elapsed < 1000, `Took ${elapsed} ms`);
+            assert(decoded === `a${spaces}b\nc\nd e`, 'Should keep inner spaces and drop trailing ones');
+        }
+    );
+
+    await runTest(
+        'Accept encoding name variants',
+        async () => {
+            const cases = [
+                ['BASE64', 'SGk=', Buffer.from('Hi')],
+                ['base64url', 'w6k_', Buffer.from([0xc3, 0xa9, 0x3f])],
+                ['Quoted_Printable', 'H=69', Buffer.from('Hi')],
+                ['utf-8', 'café', Buffer.from('café')],
+                ['7bit', 'Hi', Buffer.from('Hi')],
+                ['binary', 'café', Buffer.from([0x63, 0x61, 0x66, 0xe9])],
+                ['ucs-2', 'Hi', Buffer.from('Hi', 'utf16le')],
+            ];
+
+            for (const [encoding, content, expected] of cases) {
+                const result = await processAttachment({ filename: 'a.txt', content, encoding });
+                const decoded = Buffer.from(result.content, 'base64');
+                assert(decoded.equals(expected), `Unexpected content for ${encoding}: ${decoded.toString('hex')}`);
+            }
+        }
+    );
+
+    await runTest(
+        'Reject unknown encodings and malformed content',
+        async () => {
+            const cases = [
+                [{ content: 'Uryyb', encoding: 'rot13' }, 'Unsupported content encoding "rot13"'],
+                [{ content: 'zz', encoding: 'hex' }, 'Invalid hex content'],
+                [{ content: 'not base64!', encoding: 'base64' }, 'Invalid base64 content'],
+            ];
+
+            for (const [attachment, message] of cases) {
+                let error;
+                try {
+                    await processAttachment({ filename: 'a.txt', ...attachment });
+                } catch (e) {
+                    error = e;
+                }
+                assert(error && error.message.includes(message), `Expected "${message}", got ${error && error.message}`);
+            }
+        }
+    );
+
     console.log();
 
     // ===== Filename Tests =====
@@ -373,6 +485,42 @@ async function runAllTests() {
         }
     );
 
+    await runTest(
+        'Strip path and control characters from filenames',
+        async () => {
+            const names = ['../../etc/passwd', 'C:\\Temp\\report.pdf', 'invoice\u202efdp.exe', 'tab\tbell\u0007.txt', '..'];
+            const results = await Promise.all(names.map((filename) => processAttachment({ filename, content: 'Test' })));
+
+            assert(results[0].filename === '.._.._etc_passwd', `Unexpected filename: ${results[0].filename}`);
+            assert(results[1].filename === 'C:_Temp_report.pdf', `Unexpected filename: ${results[1].filename}`);
+            assert(results[2].filename === 'invoicefdp.exe', `Unexpected filename: ${results[2].filename}`);
+            assert(results[3].filename === 'tabbell.txt', `Unexpected filename: ${results[3].filename}`);
+            assert(results[4].filename === 'attachment.bin', `Unexpected filename: ${results[4].filename}`);
+        }
+    );
+
+    await runTest(
+        'Shorten overlong filenames and keep the extension',
+        async () => {
+            const result = await processAttachment({ filename: `${'é'.repeat(200)}.pdf`, content: 'Test' });
+
+            assert(Buffer.byteLength(result.filename) <= 255, `Filename too long: ${Buffer.byteLength(result.filename)} bytes`);
+            assert(result.filename.endsWith('é.pdf'), 'Should keep whole characters and the extension');
+        }
+    );
+
+    await runTest(
+        'Shorten very long filenames in linear time',
+        async () => {
+            const started = Date.now();
+            const result = await processAttachment({ filename: `${'é'.repeat(32000)}.pdf`, content: 'Test' });
+            const elapsed = Date.now() - started;
+
+            assert(elapsed < 1000, `Took ${elapsed} ms`);
+            assert(result.filename === `${'é'.repeat(125)}.pdf`, `Unexpected filename length: ${Buffer.byteLength(result.filename)} bytes`);
+        }
+    );
+
     console.log();
 
     // ===== Content Type Tests =====
@@ -404,6 +552,38 @@ async function runAllTests() {
         }
     );
 
+    await runTest(
+        'Look up extensions for structured and vendor content types',
+        async () => {
+            const types = {
+                'image/svg+xml': 'attachment.svg',
+                'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'attachment.xlsx',
+                'image/jpg': 'attachment.jpg',
+                'text/plain; charset=utf-8': 'attachment.txt',
+                'application/x-unknown': 'attachment.bin',
+            };
+
+            for (const [contentType, filename] of Object.entries(types)) {
+                const result = await processAttachment({ content: 'Test', contentType });
+                assert(result.filename === filename, `Expected ${filename} for ${contentType}, got ${result.filename}`);
+                assert(result.contentType === contentType, 'Should keep the given content type');
+            }
+        }
+    );
+
+    await runTest(
+        'Derive the content type from the source or the extension',
+        async () => {
+            const file = await processAttachment({ path: path.join(FIXTURES_DIR, 'sample.pdf') });
+            const dataUri = await processAttachment({ filename: 'data', path: 'data:application/json;base64,e30=' });
+            const unknown = await processAttachment({ filename: 'notes.xyz', content: 'Test' });
+
+            assert(file.contentType === 'application/pdf', `Unexpected type: ${file.contentType}`);
+            assert(dataUri.contentType === 'application/json', `Unexpected type: ${dataUri.contentType}`);
+            assert(unknown.contentType === 'application/octet-stream', `Unexpected type: ${unknown.contentType}`);
+        }
+    );
+
     console.log();
 
     // ===== Size Tests =====
@@ -450,6 +630,156 @@ async function runAllTests() {
         }
     );
 
+    console.log();
+
+    // ===== Streaming and Size Limit Tests =====
+    console.log('📏 Streaming and Size Limits');
+    console.log('-'.repeat(70));
+
+    await runTest(
+        'Encode streams chunk by chunk with uneven chunk sizes',
+        async () => {
+            const data = Buffer.from(Array.from({ length: 1000 }, (_, i) => i % 256));
+            const chunks = [];
+            for (let offset = 0, size = 1; offset < data.length; offset += size, size = (size % 7) + 1) {
+                chunks.push(data.subarray(offset, offset + size));
+            }
+
+            const result = await processAttachment({ filename: 'chunks.bin', content: Readable.from(chunks) });
+            assert(result.content === data.toString('base64'), 'Should match the base64 of the whole content');
+        }
+    );
+
+    await runTest(
+        'Stop reading a stream once it exceeds maxSize',
+        async () => {
+            let chunksRead = 0;
+            const stream = new Readable({
+                read() {
+                    chunksRead++;
+                    this.push(chunksRead > 1000 ? null : Buffer.alloc(1024));
+                },
+            });
+
+            let error;
+            try {
+                await processAttachment({ filename: 'big.bin', content: stream }, { maxSize: 4096 });
+            } catch (e) {
+                error = e;
+            }
+
+            assert(error && error.message.includes('"big.bin" is larger than the limit of 4 KB'), `Unexpected error: ${error && error.message}`);
+            assert(chunksRead < 20, `Should stop early, read ${chunksRead} chunks`);
+        }
+    );
+
+    await runTest(
+        'Reject files over maxSize before reading them',
+        async () => {
+            const filePath = path.join(FIXTURES_DIR, 'sample.pdf');
+            let error;
+            try {
+                await processAttachment({ path: filePath }, { maxSize: 10 });
+            } catch (e) {
+                error = e;
+            }
+            assert(error && error.message.includes('larger than the limit of 10 bytes'), `Unexpected error: ${error && error.message}`);
+        }
+    );
+
+    await runTest(
+        'Share the per-message limit between attachments',
+        async () => {
+            const message = { used: 0, maxSize: 100 };
+
+            await processAttachment({ filename: 'a.txt', content: 'a'.repeat(60) }, { message });
+
+            let error;
+            try {
+                await processAttachment({ filename: 'b.txt', content: 'b'.repeat(60) }, { message });
+            } catch (e) {
+                error = e;
+            }
+            assert(error && error.message.includes('per message'), `Unexpected error: ${error && error.message}`);
+        }
+    );
+
+    await runTest(
+        'Read paths within the base directories and stop on abort',
+        async () => {
+            const filePath = path.join(FIXTURES_DIR, 'sample.txt');
+            const result = await processAttachment({ path: filePath }, { files: { baseDirs: [FIXTURES_DIR] } });
+            assert(result.filename === 'sample.txt', 'Should read files inside the base directory');
+
+            const errors = [];
+            for (const options of [{ files: { baseDirs: [path.join(FIXTURES_DIR, 'none')] } }, { signal: AbortSignal.abort() }]) {
+                try {
+                    await processAttachment({ path: filePath }, options);
+                } catch (e) {
+                    errors.push(e.message);
+                }
+            }
+            assert(errors.length === 2, 'Should refuse both reads');
+            assert(errors[0].includes('outside the allowed directories'), `Unexpected error: ${errors[0]}`);
+            assert(errors[1].includes('aborted'), `Unexpected error: ${errors[1]}`);
+        }
+    );
+
+    console.log();
+
+    // ===== Cache Tests =====
+    console.log('🗃️  Attachment Cache');
+    console.log('-'.repeat(70));
+
+    await runTest(
+        'Encode repeated Buffer content once',
+        async () => {
+            const cache = new AttachmentCache();
+            const content = Buffer.from('Terms of service');
+
+            const first = await processAttachment({ filename: 'a.txt', content }, { cache });
+            const second = await processAttachment({ filename: 'b.txt', content: Buffer.from(content) }, { cache });
+            await processAttachment({ filename: 'c.txt', content: 'Other content' }, { cache });
+
+            assert(cache.size === 2, `Expected 2 entries, got ${cache.size}`);
+            assert(second.content === first.content && second.filename === 'b.txt', 'Should reuse the content under the new filename');
+        }
+    );
+
+    await runTest(
+        'Evict least recently used entries over the memory budget',
+        async () => {
+            const cache = new AttachmentCache({ maxSize: 300 });
+            const entry = (content) => ({ content, size: content.length, head: Buffer.alloc(0) });
+
+            cache.set('a', entry('a'.repeat(100)));
+            cache.set('b', entry('b'.repeat(100)));
+            cache.get('a');
+            cache.set('c', entry('c'.repeat(100)));
+            cache.set('huge', entry('x'.repeat(400)));
+
+            assert(cache.get('a') && cache.get('c'), 'Should keep recently used entries');
+            assert(!cache.get('b'), 'Should evict the least recently used entry');
+            assert(!cache.get('huge'), 'Should not cache content larger than the budget');
+            assert(cache.bytes <= 300, `Over budget: ${cache.bytes} bytes`);
+        }
+    );
+
+    await runTest(
+        'Expire entries after the ttl unless they can be revalidated',
+        async () => {
+            const cache = new AttachmentCache({ ttl: 10 });
+            cache.set('plain', { content: 'a', size: 1, head: Buffer.alloc(0) });
+            cache.set('etag', { content: 'a', size: 1, head: Buffer.alloc(0), etag: '"v1"' });
+            await new Promise((resolve) => setTimeout(resolve, 20));
+
+            assert(cache.get('plain') === undefined, 'Should drop expired entries');
+            assert(cache.get('etag').fresh === false, 'Should keep expired entries with an ETag as stale');
+            cache.refresh('etag');
+            assert(cache.get('etag').fresh === true, 'Should be fresh again after refreshing');
+        }
+    );
+
     console.log();
     console.log('='.repeat(70));
     console.log('📊 Test Results:');